@@ -8,15 +8,37 @@ dotenv.config();
 
 const authRoutes = require('./routes/auth');
 const endpointRoutes = require('./routes/endpoints');
+const apiKeyRoutes = require('./routes/apiKeys');
+const workspaceRoutes = require('./routes/workspaces');
+const graphqlRoutes = require('./routes/graphql');
 const dynamicRoutes = require('./routes/dynamic');
+const { apiRateLimit } = require('./middleware/rateLimit');
+const pool = require('./db');
+const { migrate } = require('./storage/migrate');
 
 const app = express();
-app.use(cors());
-app.use(bodyParser.json());
+// Behind a load balancer or reverse proxy, set TRUST_PROXY (e.g. 1) so rate limits see the real client IP
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+// Plain OPTIONS requests (not CORS preflights) fall through so dynamic endpoints can report their Allow header
+app.use(cors((req, callback) => {
+    callback(null, {
+        exposedHeaders: ['X-Total-Count', 'Link', 'Allow', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
+        preflightContinue: !req.headers['access-control-request-method']
+    });
+}));
+// Count requests before parsing bodies so limited callers are turned away cheaply
+app.use(apiRateLimit);
+// Batch creates and JSON imports need more than the default 100kb
+app.use(bodyParser.json({ limit: process.env.JSON_BODY_LIMIT || '10mb' }));
 
 // Routes
 app.use('/auth', authRoutes);
 app.use('/endpoints', endpointRoutes);
+app.use('/api-keys', apiKeyRoutes);
+app.use('/workspaces', workspaceRoutes);
+app.use('/graphql', graphqlRoutes);
 app.use('/', dynamicRoutes); // Dynamic routes are handled under /
 
 app.get('/', (req, res) => {
@@ -29,8 +51,27 @@ app.use((err, req, res, next) => {
     res.status(500).json({ message: 'Something went wrong!' });
 });
 
-// Start the server
+// Start the server once the schema is up to date. Set DB_AUTO_MIGRATE=false to manage
+// migrations separately with npm run migrate.
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-    console.log(`Server is running on port ${PORT}`);
-});
\ No newline at end of file
+const start = async () => {
+    if (process.env.DB_AUTO_MIGRATE !== 'false') {
+        const versions = await migrate(pool);
+        if (versions.length > 0) {
+            console.log(`Applied migrations: ${versions.join(', ')}`);
+        }
+    }
+    app.listen(PORT, () => {
+        console.log(`Server is running on port ${PORT}`);
+    });
+};
+
+// Tests require the app and listen on their own database
+if (require.main === module) {
+    start().catch((err) => {
+        console.error(err.message);
+        process.exit(1);
+    });
+}
+
+module.exports = app;
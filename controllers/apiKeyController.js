@@ -0,0 +1,102 @@
+// controllers/apiKeyController.js
+const pool = require('../db');
+const { API_KEY_SCOPES, hashApiKey, generateApiKey, parseList } = require('../utils/apiKeys');
+
+// Never expose the hash; the plain key is only returned once, on creation
+const formatApiKey = (row) => ({
+    key_id: row.key_id,
+    name: row.name,
+    key_prefix: row.key_prefix,
+    scopes: parseList(row.scopes),
+    endpoint_ids: parseList(row.endpoint_ids).map(Number),
+    created_at: row.created_at,
+    last_used_at: row.last_used_at,
+    revoked_at: row.revoked_at
+});
+
+// Create a new API key
+const createApiKey = async (req, res) => {
+    const user_id = req.user.user_id;
+    const { name, scopes = ['read'], endpoint_ids = [] } = req.body;
+
+    if (!name) {
+        return res.status(400).json({ message: 'API key name is required.' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0 || scopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+        return res.status(400).json({ message: `Scopes must be a non-empty array of: ${API_KEY_SCOPES.join(', ')}.` });
+    }
+
+    if (!Array.isArray(endpoint_ids) || endpoint_ids.some(id => !Number.isInteger(Number(id)))) {
+        return res.status(400).json({ message: 'endpoint_ids must be an array of endpoint IDs.' });
+    }
+
+    try {
+        // Keys work on the public /u/:username paths, so they can only be limited to the user's personal endpoints
+        for (const endpoint_id of endpoint_ids) {
+            const [rows] = await pool.execute(
+                'SELECT endpoint_id FROM api_endpoints WHERE endpoint_id = ? AND user_id = ? AND workspace_id IS NULL',
+                [endpoint_id, user_id]
+            );
+            if (rows.length === 0) {
+                return res.status(404).json({ message: `API endpoint ${endpoint_id} not found.` });
+            }
+        }
+
+        const key = generateApiKey();
+        const [result] = await pool.execute(
+            'INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, endpoint_ids) VALUES (?, ?, ?, ?, ?, ?)',
+            [user_id, name, key.slice(0, 12), hashApiKey(key), scopes.join(','), endpoint_ids.length > 0 ? endpoint_ids.join(',') : null]
+        );
+
+        res.status(201).json({
+            key_id: result.insertId,
+            key,
+            message: 'API key created successfully. Store it now; it will not be shown again.'
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Get all API keys for the user
+const getApiKeys = async (req, res) => {
+    const user_id = req.user.user_id;
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT * FROM api_keys WHERE user_id = ?',
+            [user_id]
+        );
+
+        res.json(rows.map(formatApiKey));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Revoke an API key
+const revokeApiKey = async (req, res) => {
+    const user_id = req.user.user_id;
+    const key_id = req.params.id;
+
+    try {
+        const [result] = await pool.execute(
+            'UPDATE api_keys SET revoked_at = NOW() WHERE key_id = ? AND user_id = ? AND revoked_at IS NULL',
+            [key_id, user_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'API key not found.' });
+        }
+
+        res.json({ message: 'API key revoked successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { createApiKey, getApiKeys, revokeApiKey };
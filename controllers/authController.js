@@ -1,9 +1,39 @@
 // controllers/authController.js
 const pool = require('../db');
+const { isDuplicateKeyError } = require('../storage');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const {
+    hashToken,
+    generateRefreshToken,
+    refreshTokenExpiry,
+    PASSWORD_RESET_TTL_MINUTES,
+    generateResetToken,
+    resetTokenExpiry,
+    signAccessToken,
+    verifyAccessToken,
+    revokeAccessToken,
+    revokeAllAccessTokens
+} = require('../utils/tokens');
+const { isValidEmail, validatePassword } = require('../utils/validation');
+const { sendMail } = require('../utils/mailer');
+const { deleteScopeEndpoints, deleteWorkspaceData } = require('../utils/workspaces');
 require('dotenv').config();
 
+// Issue an access token plus a refresh token. Rotated refresh tokens stay in the same
+// family so reuse of an old one can revoke the whole chain.
+const issueTokens = async (user, family_id = crypto.randomUUID()) => {
+    const { token, expires_in } = signAccessToken(user);
+    const refresh_token = generateRefreshToken();
+
+    const [result] = await pool.execute(
+        'INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at) VALUES (?, ?, ?, ?)',
+        [user.user_id, hashToken(refresh_token), family_id, refreshTokenExpiry()]
+    );
+
+    return { token, expires_in, refresh_token, refresh_token_id: result.insertId };
+};
+
 const register = async (req, res) => {
     const { username, password, email } = req.body;
 
@@ -11,6 +41,15 @@ const register = async (req, res) => {
         return res.status(400).json({ message: 'Username, password, and email are required.' });
     }
 
+    if (!isValidEmail(email)) {
+        return res.status(400).json({ message: 'Invalid email address.' });
+    }
+
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
     try {
         const hashedPassword = await bcrypt.hash(password, 10);
 
@@ -21,7 +60,7 @@ const register = async (req, res) => {
 
         res.status(201).json({ message: 'User registered successfully.' });
     } catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (isDuplicateKeyError(err)) {
             return res.status(409).json({ message: 'Username or email already exists.' });
         }
         console.error(err);
@@ -53,17 +92,412 @@ const login = async (req, res) => {
             return res.status(400).json({ message: 'Invalid credentials.' });
         }
 
-        const token = jwt.sign(
-            { user_id: user.user_id, username: user.username },
-            process.env.JWT_SECRET,
-            { expiresIn: '1h' }
+        const { token, expires_in, refresh_token } = await issueTokens(user);
+
+        res.json({ token, expires_in, refresh_token });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Exchange a refresh token for a new access token and a new refresh token
+const refresh = async (req, res) => {
+    const { refresh_token } = req.body;
+
+    if (!refresh_token) {
+        return res.status(400).json({ message: 'Refresh token is required.' });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            `SELECT rt.*, u.username FROM refresh_tokens rt
+             JOIN users u ON rt.user_id = u.user_id
+             WHERE rt.token_hash = ?`,
+            [hashToken(refresh_token)]
+        );
+
+        if (rows.length === 0) {
+            return res.status(401).json({ message: 'Invalid refresh token.' });
+        }
+
+        const stored = rows[0];
+
+        // A rotated token being used again means it leaked: revoke the whole family
+        const revokeFamily = async () => {
+            await pool.execute(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+                [stored.family_id]
+            );
+            return res.status(401).json({ message: 'Refresh token has been revoked.' });
+        };
+
+        if (stored.revoked_at) {
+            return revokeFamily();
+        }
+
+        if (new Date(stored.expires_at) < new Date()) {
+            return res.status(401).json({ message: 'Refresh token has expired.' });
+        }
+
+        // Claim the token first so two concurrent refreshes can't both rotate it; the one that
+        // loses counts as reuse
+        const [claimed] = await pool.execute(
+            'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_id = ? AND revoked_at IS NULL',
+            [stored.token_id]
+        );
+        if (claimed.affectedRows === 0) {
+            return revokeFamily();
+        }
+
+        const tokens = await issueTokens({ user_id: stored.user_id, username: stored.username }, stored.family_id);
+
+        await pool.execute(
+            'UPDATE refresh_tokens SET replaced_by = ? WHERE token_id = ?',
+            [tokens.refresh_token_id, stored.token_id]
+        );
+
+        res.json({ token: tokens.token, expires_in: tokens.expires_in, refresh_token: tokens.refresh_token });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Revoke the current access token and the given refresh token, or every session's tokens with all: true
+const logout = async (req, res) => {
+    const user_id = req.user.user_id;
+    const { refresh_token, all } = req.body;
+
+    try {
+        await revokeAccessToken(req.user);
+
+        if (all) {
+            await revokeRefreshTokens(user_id);
+            await revokeAllAccessTokens(user_id);
+        } else if (refresh_token) {
+            const [rows] = await pool.execute(
+                'SELECT family_id FROM refresh_tokens WHERE token_hash = ? AND user_id = ?',
+                [hashToken(refresh_token), user_id]
+            );
+
+            if (rows.length > 0) {
+                await pool.execute(
+                    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = ? AND revoked_at IS NULL',
+                    [rows[0].family_id]
+                );
+            }
+        }
+
+        res.json({ message: 'Logged out successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Revoke a specific access token or refresh token belonging to the user, e.g. one that leaked
+const revoke = async (req, res) => {
+    const user_id = req.user.user_id;
+    const { token, refresh_token } = req.body;
+
+    if (!token && !refresh_token) {
+        return res.status(400).json({ message: 'A token or refresh_token is required.' });
+    }
+
+    try {
+        if (token) {
+            const payload = await verifyAccessToken(token);
+            if (!payload || payload.user_id !== user_id) {
+                return res.status(404).json({ message: 'Token not found.' });
+            }
+            await revokeAccessToken(payload);
+        }
+
+        if (refresh_token) {
+            const [result] = await pool.execute(
+                'UPDATE refresh_tokens SET revoked_at = NOW() WHERE token_hash = ? AND user_id = ? AND revoked_at IS NULL',
+                [hashToken(refresh_token), user_id]
+            );
+            if (result.affectedRows === 0) {
+                return res.status(404).json({ message: 'Refresh token not found.' });
+            }
+        }
+
+        res.json({ message: 'Token revoked successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Load the signed-in user and check their current password
+const verifyPassword = async (user_id, password) => {
+    const [rows] = await pool.execute(
+        'SELECT * FROM users WHERE user_id = ?',
+        [user_id]
+    );
+    if (rows.length === 0 || !password) return null;
+
+    const match = await bcrypt.compare(password, rows[0].password_hash);
+    return match ? rows[0] : null;
+};
+
+const revokeRefreshTokens = (user_id, db = pool) => db.execute(
+    'UPDATE refresh_tokens SET revoked_at = NOW() WHERE user_id = ? AND revoked_at IS NULL',
+    [user_id]
+);
+
+// Get the signed-in user's profile
+const getProfile = async (req, res) => {
+    try {
+        const [rows] = await pool.execute(
+            'SELECT user_id, username, email FROM users WHERE user_id = ?',
+            [req.user.user_id]
+        );
+
+        if (rows.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        res.json(rows[0]);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Change the email address; the current password is required
+const updateProfile = async (req, res) => {
+    const { email, current_password } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    if (!isValidEmail(email)) {
+        return res.status(400).json({ message: 'Invalid email address.' });
+    }
+
+    try {
+        const user = await verifyPassword(req.user.user_id, current_password);
+        if (!user) {
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+
+        await pool.execute(
+            'UPDATE users SET email = ? WHERE user_id = ?',
+            [email, user.user_id]
+        );
+
+        res.json({ user_id: user.user_id, username: user.username, email });
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ message: 'Email already exists.' });
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Change the password. Every other session is signed out; the caller gets fresh tokens.
+const changePassword = async (req, res) => {
+    const { current_password, new_password } = req.body;
+
+    if (!current_password || !new_password) {
+        return res.status(400).json({ message: 'Current password and new password are required.' });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    try {
+        const user = await verifyPassword(req.user.user_id, current_password);
+        if (!user) {
+            return res.status(401).json({ message: 'Current password is incorrect.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(new_password, 10);
+        await pool.execute(
+            'UPDATE users SET password_hash = ? WHERE user_id = ?',
+            [hashedPassword, user.user_id]
+        );
+
+        await revokeRefreshTokens(user.user_id);
+        await revokeAllAccessTokens(user.user_id);
+        await revokeAccessToken(req.user);
+
+        const { token, expires_in, refresh_token } = await issueTokens(user);
+
+        res.json({ message: 'Password changed successfully.', token, expires_in, refresh_token });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Email a single-use reset token. The response is the same whether or not the email is known.
+const forgotPassword = async (req, res) => {
+    const { email } = req.body;
+
+    if (!email) {
+        return res.status(400).json({ message: 'Email is required.' });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT user_id, username, email FROM users WHERE email = ?',
+            [email]
+        );
+
+        if (rows.length > 0) {
+            const user = rows[0];
+            const token = generateResetToken();
+
+            // Only the newest reset token is usable
+            await pool.execute(
+                'UPDATE password_resets SET used_at = NOW() WHERE user_id = ? AND used_at IS NULL',
+                [user.user_id]
+            );
+            await pool.execute(
+                'INSERT INTO password_resets (user_id, token_hash, expires_at) VALUES (?, ?, ?)',
+                [user.user_id, hashToken(token), resetTokenExpiry()]
+            );
+
+            await sendMail({
+                to: user.email,
+                subject: 'Password reset',
+                text: `Hi ${user.username},\n\nUse this token to reset your password: ${token}\n\nIt expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once. If you did not ask for a reset, ignore this email.`
+            });
+        }
+
+        res.json({ message: 'If the email is registered, a password reset token has been sent.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Set a new password with a reset token, then sign out every session
+const resetPassword = async (req, res) => {
+    const { token, new_password } = req.body;
+
+    if (!token || !new_password) {
+        return res.status(400).json({ message: 'Token and new password are required.' });
+    }
+
+    const passwordError = validatePassword(new_password);
+    if (passwordError) {
+        return res.status(400).json({ message: passwordError });
+    }
+
+    try {
+        const [rows] = await pool.execute(
+            'SELECT * FROM password_resets WHERE token_hash = ? AND used_at IS NULL',
+            [hashToken(token)]
+        );
+
+        if (rows.length === 0 || new Date(rows[0].expires_at) < new Date()) {
+            return res.status(400).json({ message: 'Invalid or expired reset token.' });
+        }
+
+        const reset = rows[0];
+
+        // Claim the token first so two concurrent requests can't both use it
+        const [claimed] = await pool.execute(
+            'UPDATE password_resets SET used_at = NOW() WHERE reset_id = ? AND used_at IS NULL',
+            [reset.reset_id]
+        );
+        if (claimed.affectedRows === 0) {
+            return res.status(400).json({ message: 'Invalid or expired reset token.' });
+        }
+
+        const hashedPassword = await bcrypt.hash(new_password, 10);
+        await pool.execute(
+            'UPDATE users SET password_hash = ? WHERE user_id = ?',
+            [hashedPassword, reset.user_id]
+        );
+
+        await revokeRefreshTokens(reset.user_id);
+        await revokeAllAccessTokens(reset.user_id);
+
+        res.json({ message: 'Password reset successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Delete the account with all of its personal endpoints, fields, data, API keys and tokens.
+// Workspaces the user is the only member of go too; shared workspaces they solely own block the delete.
+const deleteAccount = async (req, res) => {
+    const { password } = req.body;
+    let connection;
+
+    try {
+        const user = await verifyPassword(req.user.user_id, password);
+        if (!user) {
+            return res.status(401).json({ message: 'Password is incorrect.' });
+        }
+
+        const [owned] = await pool.execute(
+            `SELECT wm.workspace_id,
+                    (SELECT COUNT(*) FROM workspace_members o WHERE o.workspace_id = wm.workspace_id AND o.role = 'owner') AS owners,
+                    (SELECT COUNT(*) FROM workspace_members m WHERE m.workspace_id = wm.workspace_id) AS members
+             FROM workspace_members wm
+             WHERE wm.user_id = ? AND wm.role = 'owner'`,
+            [user.user_id]
         );
 
-        res.json({ token });
+        const blocking = owned.filter(row => Number(row.owners) === 1 && Number(row.members) > 1);
+        if (blocking.length > 0) {
+            return res.status(409).json({
+                message: 'Transfer ownership of your shared workspaces before deleting the account.',
+                workspace_ids: blocking.map(row => row.workspace_id)
+            });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        for (const row of owned.filter(candidate => Number(candidate.members) === 1)) {
+            await deleteWorkspaceData(connection, row.workspace_id);
+        }
+
+        await deleteScopeEndpoints(connection, { user_id: user.user_id, workspace_id: null });
+        await connection.execute('DELETE FROM audit_log WHERE user_id = ? AND workspace_id IS NULL', [user.user_id]);
+        for (const table of ['workspace_members', 'api_keys', 'refresh_tokens', 'password_resets', 'users']) {
+            await connection.execute(`DELETE FROM ${table} WHERE user_id = ?`, [user.user_id]);
+        }
+
+        await connection.commit();
+
+        res.json({ message: 'Account deleted successfully.' });
     } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
 };
 
-module.exports = { register, login };
\ No newline at end of file
+module.exports = {
+    register,
+    login,
+    refresh,
+    logout,
+    revoke,
+    getProfile,
+    updateProfile,
+    changePassword,
+    forgotPassword,
+    resetPassword,
+    deleteAccount
+};
\ No newline at end of file
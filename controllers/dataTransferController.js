@@ -0,0 +1,159 @@
+// controllers/dataTransferController.js
+const { pipeline } = require('stream');
+const pool = require('../db');
+const { listFields } = require('../repositories/endpointRepository');
+const { buildRecord, createBatchValidator } = require('../utils/validation');
+const { FORMATS, resolveFormat, createExportStream, parseImport } = require('../utils/dataFormats');
+const { authorize, findEndpoint } = require('../utils/permissions');
+const { checkRecordQuota, checkRecordSize, sendQuotaExceeded } = require('../utils/quotas');
+const { hasMissingParent } = require('../utils/references');
+const { bindNamedParams, bindingValue } = require('../utils/pathTemplates');
+const { changeContext } = require('../utils/history');
+const { createRecords } = require('../utils/recordOperations');
+
+const MAX_IMPORT_ROWS = 50000;
+
+// Stream an endpoint's records as JSON, NDJSON or CSV (?format=, default json)
+const exportData = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const format = resolveFormat(req.query.format);
+
+    if (!format) {
+        return res.status(400).json({ message: `Format must be one of: ${Object.keys(FORMATS).join(', ')}.` });
+    }
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    try {
+        const endpoint = await findEndpoint(pool, req.scope, endpoint_id);
+        if (!endpoint) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const fields = await listFields(pool, endpoint_id);
+
+        const rows = await pool.streamRows(
+            'SELECT data_id, data FROM data_storage WHERE endpoint_id = ? ORDER BY data_id',
+            [endpoint_id]
+        );
+
+        // attachment() guesses a Content-Type from the extension, so set ours afterwards
+        res.attachment(`${endpoint.endpoint_name}.${FORMATS[format].extension}`);
+        res.set('Content-Type', `${FORMATS[format].contentType}; charset=utf-8`);
+
+        pipeline(rows, createExportStream(format, fields), res, (err) => {
+            if (err) {
+                console.error('Error while streaming export:', err);
+            }
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Check each imported row the same way handleCreate checks a record, with the path parameter
+// bindings applied. Failed rows are reported by their 1-based row number.
+const checkRows = (records, fields, bindings, validate) => {
+    const valid = [];
+    const failed = [];
+    records.forEach((record, index) => {
+        if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+            failed.push({ row: index + 1, errors: [{ field: null, message: 'Each row must be a JSON object.' }] });
+            return;
+        }
+        bindings.forEach((binding) => {
+            record[binding.field_name] = bindingValue(binding);
+        });
+        const { jsonData, errors } = buildRecord(record, fields);
+        const tooLarge = checkRecordSize([jsonData]);
+        const allErrors = validate(jsonData, tooLarge ? [...errors, { field: null, message: tooLarge.message }] : errors);
+        if (allErrors.length > 0) {
+            failed.push({ row: index + 1, errors: allErrors });
+        } else {
+            valid.push(jsonData);
+        }
+    });
+    return { valid, failed };
+};
+
+// Import records from a JSON array, NDJSON or CSV upload. Valid rows are inserted in one
+// transaction, with history versions and change notifications like batch creates.
+// ?atomic=true imports nothing if any row fails, ?dry_run=true only reports what would happen,
+// and ?params[name]=value binds a path parameter, e.g. to import one parent's records.
+const importData = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const format = resolveFormat(req.query.format, req.headers['content-type']);
+    const dryRun = req.query.dry_run === 'true';
+    const atomic = req.query.atomic === 'true';
+
+    if (!format) {
+        return res.status(400).json({ message: `Format must be one of: ${Object.keys(FORMATS).join(', ')}.` });
+    }
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    try {
+        const endpoint = await findEndpoint(pool, req.scope, endpoint_id);
+        if (!endpoint) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const fields = await listFields(pool, endpoint_id);
+
+        const { records, error } = parseImport(format, req.body, fields);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        if (records.length === 0 || records.length > MAX_IMPORT_ROWS) {
+            return res.status(400).json({ message: `An import must contain between 1 and ${MAX_IMPORT_ROWS} rows.` });
+        }
+
+        const binding = bindNamedParams(endpoint, req.query.params, fields);
+        if (binding.error) {
+            return res.status(400).json({ message: binding.error });
+        }
+        const { bindings } = binding;
+        if (await hasMissingParent(pool, bindings)) {
+            return res.status(404).json({ message: 'Parent record not found.' });
+        }
+
+        if (dryRun) {
+            const { valid, failed } = checkRows(records, fields, bindings, await createBatchValidator(pool, endpoint_id, fields));
+            const exceeded = await checkRecordQuota(pool, endpoint_id, valid.length);
+            if (exceeded) {
+                return sendQuotaExceeded(res, exceeded);
+            }
+            return res.json({ dry_run: true, total: records.length, valid: valid.length, failed: failed.length, errors: failed });
+        }
+
+        // Rows are checked with the endpoint locked, so unique values can't be taken meanwhile
+        const context = changeContext(req);
+        const result = await createRecords(context, endpoint_id, async (connection) => {
+            const { valid, failed } = checkRows(records, fields, bindings, await createBatchValidator(connection, endpoint_id, fields));
+            if (valid.length === 0 || (atomic && failed.length > 0)) {
+                return { status: 400, message: 'Validation failed.', imported: 0, failed: failed.length, errors: failed };
+            }
+            return { records: valid, failed };
+        });
+
+        if (result.status) {
+            const { status, ...body } = result;
+            return res.status(status).json(body);
+        }
+
+        res.status(201).json({ message: 'Data imported successfully.', imported: result.data_ids.length, failed: result.failed.length, errors: result.failed });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { exportData, importData };
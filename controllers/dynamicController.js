@@ -1,72 +1,204 @@
 // controllers/dynamicController.js
 const pool = require('../db');
+const { listFields, lockEndpoint } = require('../repositories/endpointRepository');
+const { listRecords, findRecord, insertRecord, updateRecord } = require('../repositories/recordRepository');
+const { parseListQuery, applyListQuery, buildPageLinks } = require('../utils/listQuery');
+const { parseMethods, requestMethod, allowHeader } = require('../utils/httpMethods');
+const { buildRecord, applyPartial, validateStored, validateBatchUnique } = require('../utils/validation');
+const { parseExpand, expandRecords, deleteWithReferences, hasMissingParent } = require('../utils/references');
+const { applyBehavior } = require('../utils/behavior');
+const { checkAccess } = require('../utils/access');
+const { changeContext, recordVersions } = require('../utils/history');
+const { publishChanges } = require('../utils/changeStream');
+const { checkRecordQuota, checkRecordSize, sendQuotaExceeded } = require('../utils/quotas');
+const { inTransaction, createRecord, replaceRecord, patchRecord, removeRecord } = require('../utils/recordOperations');
+const { parseTemplates, unshapeRecord, unshapeQuery, createResponder } = require('../utils/responseTemplates');
+const { bindPathParams, bindingValue } = require('../utils/pathTemplates');
+
+// Record id from the item path (/api/:endpoint_name/:data_id) or the legacy ?id= query parameter
+const getRecordId = (req) => req.params.data_id || req.query.id;
+
+// Every violation is reported together in one structured response
+const sendValidationErrors = (respond, errors) => respond('validation_error', { status: 400, body: { message: 'Validation failed.', errors } });
+
+// Failures that have their own response template outcome; others always use the default response
+const FAILURE_OUTCOMES = { 400: 'validation_error', 404: 'not_found', 409: 'conflict' };
+
+// Send a failed record operation's { status, message, ... } as the response body
+const sendFailure = (respond, { status, ...body }) => respond(FAILURE_OUTCOMES[status], { status, body });
+
+const MAX_BATCH_SIZE = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Path parameters bound to fields scope the request to one parent: listings and bulk selections
+// filter on them (req.pathFilters), single records must carry the values, and written records
+// get them. A REFERENCE binding must point at an existing record. Returns an error message when
+// the parent or record isn't there.
+const applyPathBindings = async (req, bindings) => {
+    req.pathFilters = Object.fromEntries(bindings.map(({ field_name, value }) => [field_name, value]));
+    if (await hasMissingParent(pool, bindings)) {
+        return 'Parent record not found.';
+    }
+
+    if (bindings.length === 0) return null;
 
-// Utility function for basic data type validation
-const validateDataType = (value, data_type) => {
-    switch (data_type.toUpperCase()) {
-        case 'INT':
-            return Number.isInteger(Number(value));
-        case 'FLOAT':
-            return !isNaN(parseFloat(value));
-        case 'VARCHAR':
-        case 'TEXT':
-            return typeof value === 'string';
-        case 'BOOLEAN':
-            return value === 'true' || value === 'false' || typeof value === 'boolean';
-        case 'DATE':
-        case 'DATETIME':
-            return !isNaN(Date.parse(value));
-        default:
-            return false;
+    const identifier = getRecordId(req);
+    if (identifier) {
+        const record = await findRecord(pool, req.endpoint.endpoint_id, identifier);
+        if (record && bindings.some(({ field_name, value }) => String(record[field_name]) !== String(value))) {
+            return 'Data not found.';
+        }
     }
+
+    const assign = (target) => {
+        if (!isPlainObject(target)) return;
+        bindings.forEach((binding) => {
+            target[binding.field_name] = bindingValue(binding);
+        });
+    };
+    const method = requestMethod(req);
+    if (Array.isArray(req.body)) {
+        req.body.forEach(assign);
+    } else if (method === 'PATCH' && !identifier) {
+        assign(req.body && req.body.data);
+    } else if (['POST', 'PUT', 'PATCH'].includes(method)) {
+        assign(req.body);
+    }
+    return null;
+};
+
+// Response templates that rename fields (or data_id) rename them on the way in as well: bodies
+// and the listing query (req.listQuery) are mapped back to stored names. req.query keeps the
+// client's names for page links. Returns { errors } for bodies, { message } for the query, or null.
+const applyTemplateNames = (req, endpoint) => {
+    req.listQuery = req.query;
+    const templates = parseTemplates(endpoint);
+    if (!templates.id_key && !templates.fields) return null;
+
+    const query = unshapeQuery(req.query, templates);
+    if (query.error) {
+        return { message: query.error };
+    }
+    req.listQuery = query.query;
+
+    const errors = [];
+    const method = requestMethod(req);
+    if (Array.isArray(req.body)) {
+        req.body = req.body.map((item, index) => {
+            const mapped = unshapeRecord(item, templates);
+            if (mapped.errors.length > 0) errors.push({ index, errors: mapped.errors });
+            return mapped.record;
+        });
+    } else if (method === 'PATCH' && !getRecordId(req)) {
+        if (isPlainObject(req.body) && isPlainObject(req.body.data)) {
+            const mapped = unshapeRecord(req.body.data, templates);
+            errors.push(...mapped.errors);
+            req.body = { ...req.body, data: mapped.record };
+        }
+    } else if (['POST', 'PUT', 'PATCH'].includes(method)) {
+        const mapped = unshapeRecord(req.body, templates);
+        errors.push(...mapped.errors);
+        req.body = mapped.record;
+    }
+    return errors.length > 0 ? { errors } : null;
 };
 
 // Main handler for dynamic requests
 const handleRequest = async (req, res) => {
-    const user_id = req.user.user_id;
-    const endpoint_name = req.params.endpoint_name;
-    const http_method = req.method.toUpperCase();
-
-    console.log('Endpoint Name:', endpoint_name);
-    console.log('HTTP Method:', http_method);
-    console.log('User ID:', user_id);
+    // /u/:username routes resolve the owner and caller up front; /api routes act with the caller's
+    // role in their personal endpoints or the selected workspace
+    const scope = req.scope;
+    const access = req.access || { type: 'member', role: scope.role };
+    const http_method = requestMethod(req);
 
     try {
-        // Fetch the endpoint configuration
-        const [endpoints] = await pool.execute(
-            'SELECT * FROM api_endpoints WHERE endpoint_name = ? AND user_id = ?',
-            [endpoint_name, user_id]
-        );
+        // The endpoint was matched from the request path by resolveDynamicRoute
+        const endpoint = req.endpoint;
 
-        console.log('Endpoints Found:', endpoints.length);
+        const denied = checkAccess(endpoint, access, http_method);
+        if (denied) {
+            return res.status(denied.status).json({ message: denied.message });
+        }
+
+        // Only the methods configured on the endpoint are answered; POST never applies to a single record
+        const allowedMethods = parseMethods(endpoint.http_method)
+            .filter(method => !(req.params.data_id && method === 'POST'));
+        const allow = allowHeader(allowedMethods);
 
-        if (endpoints.length === 0) {
-            return res.status(404).json({ message: 'API endpoint not found.' });
+        if (http_method === 'OPTIONS') {
+            res.set('Allow', allow);
+            return res.status(204).end();
         }
 
-        const endpoint = endpoints[0];
+        if (!allowedMethods.includes(http_method)) {
+            res.set('Allow', allow);
+            return res.status(405).json({ message: 'Method Not Allowed' });
+        }
+
+        // Simulated latency, injected errors and canned responses come before the CRUD handlers
+        if (await applyBehavior(endpoint, req, res)) {
+            return;
+        }
 
         // Fetch the fields for this endpoint
-        const [fields] = await pool.execute(
-            'SELECT * FROM fields WHERE endpoint_id = ?',
-            [endpoint.endpoint_id]
-        );
+        const fields = await listFields(pool, endpoint.endpoint_id);
+        const respond = createResponder(endpoint, req, res);
+
+        const nameError = applyTemplateNames(req, endpoint);
+        if (nameError) {
+            return nameError.errors
+                ? sendValidationErrors(respond, nameError.errors)
+                : res.status(400).json({ message: nameError.message });
+        }
+
+        const bindingError = await applyPathBindings(req, bindPathParams(endpoint, req.pathParams, fields));
+        if (bindingError) {
+            return respond('not_found', { status: 404, body: { message: bindingError } });
+        }
 
         // Determine which operation to perform based on HTTP method
         switch (http_method) {
             case 'GET':
-                await handleRead(req, res, endpoint.endpoint_id, fields);
+                if (req.params.data_id) {
+                    await handleReadOne(req, res, endpoint.endpoint_id, fields, respond);
+                } else {
+                    await handleRead(req, res, endpoint.endpoint_id, fields, respond);
+                }
                 break;
             case 'POST':
-                await handleCreate(req, res, endpoint.endpoint_id, fields);
+                // An array body creates a batch of records
+                if (Array.isArray(req.body)) {
+                    await handleBulkCreate(req, res, endpoint.endpoint_id, fields, respond);
+                } else {
+                    await handleCreate(req, res, endpoint.endpoint_id, fields, respond);
+                }
                 break;
             case 'PUT':
-                await handleUpdate(req, res, endpoint.endpoint_id, fields);
+                // PUT on the item path replaces the record; the legacy ?id= form keeps its merge behavior
+                if (req.params.data_id) {
+                    await handleReplace(req, res, endpoint.endpoint_id, fields, respond);
+                } else {
+                    await handleUpdate(req, res, endpoint.endpoint_id, fields, respond);
+                }
+                break;
+            case 'PATCH':
+                // PATCH on the collection updates every record selected by ids or filters
+                if (getRecordId(req)) {
+                    await handleUpdate(req, res, endpoint.endpoint_id, fields, respond);
+                } else {
+                    await handleBulkUpdate(req, res, endpoint.endpoint_id, fields, respond);
+                }
                 break;
             case 'DELETE':
-                await handleDelete(req, res, endpoint.endpoint_id, fields);
+                if (getRecordId(req)) {
+                    await handleDelete(req, res, endpoint.endpoint_id, fields, respond);
+                } else {
+                    await handleBulkDelete(req, res, endpoint.endpoint_id, fields, respond);
+                }
                 break;
             default:
+                res.set('Allow', allow);
                 res.status(405).json({ message: 'Method Not Allowed' });
                 break;
         }
@@ -77,134 +209,367 @@ const handleRequest = async (req, res) => {
 };
 
 // Handle CREATE (POST) requests
-const handleCreate = async (req, res, endpoint_id, fields) => {
-    const data = req.body;
-    const jsonData = {};
+const handleCreate = async (req, res, endpoint_id, fields, respond) => {
+    try {
+        const result = await createRecord(changeContext(req), endpoint_id, fields, req.body);
+        if (result.status) {
+            return sendFailure(respond, result);
+        }
+
+        respond('success', {
+            status: 201,
+            body: { message: 'Data created successfully.' },
+            data: result.record,
+            id: result.record.data_id
+        });
+    } catch (err) {
+        console.error('Error in handleCreate:', err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
 
-    // Validate required fields and data types
-    for (const field of fields) {
-        const { field_name, data_type, is_required, default_value } = field;
-        let value = data[field_name];
+// Handle READ (GET) requests
+const handleRead = async (req, res, endpoint_id, fields, respond) => {
+    // Filters, sorting and pagination are checked against the field definitions up front
+    const options = parseListQuery({ ...req.listQuery, ...req.pathFilters }, fields);
+    if (options.error) {
+        return res.status(400).json({ message: options.error });
+    }
 
-        if (is_required && (value === undefined || value === null || value === '')) {
-            return res.status(400).json({ message: `Field '${field_name}' is required.` });
+    const expand = parseExpand(req.listQuery.expand, fields);
+    if (expand.error) {
+        return res.status(400).json({ message: expand.error });
+    }
+
+    try {
+        const records = await listRecords(pool, endpoint_id);
+
+        const result = applyListQuery(records, options);
+        const links = buildPageLinks(req.originalUrl.split('?')[0], req.query, options, result);
+
+        // Paging metadata goes in headers so the body stays a plain array
+        res.set('X-Total-Count', String(result.total));
+        const linkHeader = Object.entries(links).map(([rel, url]) => `<${url}>; rel="${rel}"`).join(', ');
+        if (linkHeader) {
+            res.set('Link', linkHeader);
         }
 
-        if (value !== undefined && value !== null && value !== '') {
-            // Basic data type validation
-            if (!validateDataType(value, data_type)) {
-                return res.status(400).json({ message: `Invalid data type for field '${field_name}'. Expected ${data_type}.` });
+        const page = await expandRecords(pool, result.data, fields, expand.names);
+        respond('success', {
+            status: 200,
+            body: page,
+            data: page,
+            count: page.length,
+            meta: {
+                total: result.total,
+                limit: options.limit,
+                offset: options.useCursor ? null : options.offset,
+                next: links.next || null,
+                prev: links.prev || null
             }
-            jsonData[field_name] = value;
-        } else if (default_value !== null) {
-            jsonData[field_name] = default_value;
-        }
+        });
+    } catch (err) {
+        console.error('Error in handleRead:', err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Handle READ (GET) requests for a single record
+const handleReadOne = async (req, res, endpoint_id, fields, respond) => {
+    const identifier = req.params.data_id;
+
+    const expand = parseExpand(req.listQuery.expand, fields);
+    if (expand.error) {
+        return res.status(400).json({ message: expand.error });
     }
 
     try {
-        await pool.execute(
-            'INSERT INTO data_storage (endpoint_id, data) VALUES (?, ?)',
-            [endpoint_id, JSON.stringify(jsonData)]
-        );
+        const record = await findRecord(pool, endpoint_id, identifier);
+        if (!record) {
+            return respond('not_found', { status: 404, body: { message: 'Data not found.' }, id: identifier });
+        }
 
-        res.status(201).json({ message: 'Data created successfully.' });
+        const [expanded] = await expandRecords(pool, [record], fields, expand.names);
+        respond('success', { status: 200, body: expanded, data: expanded, id: record.data_id });
     } catch (err) {
-        console.error('Error in handleCreate:', err);
+        console.error('Error in handleReadOne:', err);
         res.status(500).json({ message: 'Server error.' });
     }
 };
 
-// Handle READ (GET) requests
-const handleRead = async (req, res, endpoint_id, fields) => {
+// Handle full replacement (PUT on the item path) requests
+const handleReplace = async (req, res, endpoint_id, fields, respond) => {
     try {
-        // Fetch data_id and data from data_storage
-        const [rows] = await pool.execute(
-            'SELECT data_id, data FROM data_storage WHERE endpoint_id = ?',
-            [endpoint_id]
-        );
-
-        // Map the results to include data_id alongside parsed data
-        const data = rows.map(row => {
-            const parsedData = JSON.parse(row.data);
-            return { data_id: row.data_id, ...parsedData };
-        });
+        const result = await replaceRecord(changeContext(req), endpoint_id, fields, req.params.data_id, req.body);
+        if (result.status) {
+            return sendFailure(respond, result);
+        }
 
-        res.json(data);
+        respond('success', {
+            status: 200,
+            body: { message: 'Data replaced successfully.' },
+            data: result.record,
+            id: result.record.data_id
+        });
     } catch (err) {
-        console.error('Error in handleRead:', err);
+        console.error('Error in handleReplace:', err);
         res.status(500).json({ message: 'Server error.' });
     }
 };
 
-// Handle UPDATE (PUT) requests
-const handleUpdate = async (req, res, endpoint_id, fields) => {
-    const data = req.body;
-    const identifier = req.query.id; // Assuming data_id is passed as a query parameter
+// Handle partial UPDATE (PATCH, legacy PUT ?id=) requests
+const handleUpdate = async (req, res, endpoint_id, fields, respond) => {
+    const identifier = getRecordId(req);
 
     if (!identifier) {
         return res.status(400).json({ message: 'Data ID is required for update.' });
     }
 
-    // Fetch existing data
-    const [existingRows] = await pool.execute(
-        'SELECT data FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
-        [identifier, endpoint_id]
-    );
+    try {
+        const result = await patchRecord(changeContext(req), endpoint_id, fields, identifier, req.body);
+        if (result.status) {
+            return sendFailure(respond, result);
+        }
 
-    if (existingRows.length === 0) {
-        return res.status(404).json({ message: 'Data not found.' });
+        respond('success', {
+            status: 200,
+            body: { message: 'Data updated successfully.' },
+            data: result.record,
+            id: result.record.data_id
+        });
+    } catch (err) {
+        console.error('Error in handleUpdate:', err);
+        res.status(500).json({ message: 'Server error.' });
     }
+};
 
-    const existingData = JSON.parse(existingRows[0].data);
+// Handle DELETE (DELETE) requests
+const handleDelete = async (req, res, endpoint_id, fields, respond) => {
+    const identifier = getRecordId(req);
 
-    // Update data with new values
-    for (const field of fields) {
-        const { field_name, data_type, is_required, default_value } = field;
-        if (data[field_name] !== undefined) {
-            const value = data[field_name];
-            if (!validateDataType(value, data_type)) {
-                return res.status(400).json({ message: `Invalid data type for field '${field_name}'. Expected ${data_type}.` });
-            }
-            existingData[field_name] = value;
+    if (!identifier) {
+        return res.status(400).json({ message: 'Data ID is required for deletion.' });
+    }
+
+    try {
+        const result = await removeRecord(changeContext(req), endpoint_id, identifier);
+        if (result.status) {
+            return sendFailure(respond, result);
+        }
+
+        respond('success', {
+            status: 200,
+            body: { message: 'Data deleted successfully.' },
+            data: result.record,
+            id: identifier
+        });
+    } catch (err) {
+        console.error('Error in handleDelete:', err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Pick the records a bulk update or delete applies to: an ids list (body or ?ids=1,2,3)
+// and/or the same filters as a listing. Returns { records } or { status, error }.
+const selectRecords = async (req, endpoint_id, fields) => {
+    const ids = req.body && req.body.ids !== undefined
+        ? req.body.ids
+        : req.query.ids !== undefined ? String(req.query.ids).split(',') : undefined;
+
+    if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || ids.some(id => !Number.isInteger(Number(id))))) {
+        return { status: 400, error: 'ids must be a non-empty array of data IDs.' };
+    }
+
+    const options = parseListQuery({ ...req.listQuery, ...req.pathFilters }, fields);
+    if (options.error) {
+        return { status: 400, error: options.error };
+    }
+
+    // Never touch every record by accident; truncating is a separate action, and a parent in the path doesn't count
+    if (ids === undefined && options.filters.length === Object.keys(req.pathFilters).length) {
+        return { status: 400, error: 'Select records with ids or filters. Use the truncate action to remove all data.' };
+    }
+
+    let records = await listRecords(pool, endpoint_id);
+
+    if (ids !== undefined) {
+        const wanted = new Set(ids.map(String));
+        const found = new Set(records.map(record => String(record.data_id)));
+        const missing = [...wanted].filter(id => !found.has(id));
+        if (missing.length > 0) {
+            return { status: 404, error: `Data not found: ${missing.join(', ')}.` };
         }
+        records = records.filter(record => wanted.has(String(record.data_id)));
+    }
+
+    return { records: applyListQuery(records, options).data };
+};
+
+// Handle batch CREATE (POST with an array body): every item is validated, then all are inserted or none
+const handleBulkCreate = async (req, res, endpoint_id, fields, respond) => {
+    const items = req.body;
+
+    if (items.length === 0 || items.length > MAX_BATCH_SIZE) {
+        return res.status(400).json({ message: `A batch must contain between 1 and ${MAX_BATCH_SIZE} records.` });
     }
 
     try {
-        await pool.execute(
-            'UPDATE data_storage SET data = ? WHERE data_id = ? AND endpoint_id = ?',
-            [JSON.stringify(existingData), identifier, endpoint_id]
-        );
+        const built = items.map(item => (item !== null && typeof item === 'object' && !Array.isArray(item)
+            ? buildRecord(item, fields)
+            : { jsonData: {}, errors: [{ field: null, message: 'Each item must be a JSON object.' }] }));
+
+        const batchErrors = validateBatchUnique(built.map(item => item.jsonData), fields);
+
+        // Checked with the endpoint locked, like single-record writes
+        const context = changeContext(req);
+        const result = await inTransaction(async (connection) => {
+            await lockEndpoint(connection, endpoint_id);
+            const itemErrors = [];
+            for (let index = 0; index < built.length; index++) {
+                const errors = await validateStored(connection, endpoint_id, fields, built[index].jsonData, [...built[index].errors, ...batchErrors[index]]);
+                if (errors.length > 0) {
+                    itemErrors.push({ index, errors });
+                }
+            }
+            if (itemErrors.length > 0) {
+                return { error: true, itemErrors };
+            }
+
+            const exceeded = checkRecordSize(built.map(item => item.jsonData)) || await checkRecordQuota(connection, endpoint_id, built.length);
+            if (exceeded) {
+                return { error: true, exceeded };
+            }
+
+            const inserted = [];
+            for (const { jsonData } of built) {
+                inserted.push(await insertRecord(connection, endpoint_id, jsonData));
+            }
+            await recordVersions(connection, context, built.map(({ jsonData }, index) => ({
+                endpoint_id, data_id: inserted[index], action: 'create', after: jsonData
+            })));
+            return { data_ids: inserted };
+        });
 
-        res.json({ message: 'Data updated successfully.' });
+        if (result.itemErrors) {
+            return sendValidationErrors(respond, result.itemErrors);
+        }
+        if (result.exceeded) {
+            return sendQuotaExceeded(res, result.exceeded);
+        }
+        publishChanges(context);
+        const { data_ids } = result;
+
+        respond('success', {
+            status: 201,
+            body: { message: 'Data created successfully.', count: data_ids.length, data_ids },
+            data: built.map(({ jsonData }, index) => ({ data_id: data_ids[index], ...jsonData })),
+            count: data_ids.length
+        });
     } catch (err) {
-        console.error('Error in handleUpdate:', err);
+        console.error('Error in handleBulkCreate:', err);
         res.status(500).json({ message: 'Server error.' });
     }
 };
 
-// Handle DELETE (DELETE) requests
-const handleDelete = async (req, res, endpoint_id, fields) => {
-    const identifier = req.query.id; // Retrieve 'id' from query parameters
+// Handle bulk UPDATE (PATCH on the collection): body { ids?, data } plus optional listing filters
+const handleBulkUpdate = async (req, res, endpoint_id, fields, respond) => {
+    const changes = req.body && req.body.data;
 
-    console.log(`Received DELETE request with id: ${identifier}`); // Debugging line
+    if (!changes || typeof changes !== 'object' || Array.isArray(changes)) {
+        return res.status(400).json({ message: 'Bulk updates need the changes in a data object.' });
+    }
 
-    if (!identifier) {
-        return res.status(400).json({ message: 'Data ID is required for deletion.' });
+    try {
+        const selection = await selectRecords(req, endpoint_id, fields);
+        if (selection.error) {
+            return sendFailure(respond, { status: selection.status, message: selection.error });
+        }
+
+        const updated = selection.records.map(({ data_id, ...existing }) => ({ data_id, existing, ...applyPartial(existing, changes, fields) }));
+
+        const exceeded = checkRecordSize(updated.map(item => item.jsonData));
+        if (exceeded) {
+            return sendQuotaExceeded(res, exceeded);
+        }
+
+        const batchErrors = validateBatchUnique(updated.map(item => item.jsonData), fields);
+
+        // Checked with the endpoint locked, like single-record writes
+        const context = changeContext(req);
+        const result = await inTransaction(async (connection) => {
+            await lockEndpoint(connection, endpoint_id);
+            const itemErrors = [];
+            for (let index = 0; index < updated.length; index++) {
+                const { data_id, jsonData, errors } = updated[index];
+                const allErrors = await validateStored(connection, endpoint_id, fields, jsonData, [...errors, ...batchErrors[index]], data_id);
+                if (allErrors.length > 0) {
+                    itemErrors.push({ data_id, errors: allErrors });
+                }
+            }
+            if (itemErrors.length > 0) {
+                return { error: true, itemErrors };
+            }
+
+            for (const { data_id, jsonData } of updated) {
+                await updateRecord(connection, endpoint_id, data_id, jsonData);
+            }
+            await recordVersions(connection, context, updated.map(({ data_id, existing, jsonData }) => ({
+                endpoint_id, data_id, action: 'update', before: existing, after: jsonData
+            })));
+            return {};
+        });
+
+        if (result.itemErrors) {
+            return sendValidationErrors(respond, result.itemErrors);
+        }
+        publishChanges(context);
+
+        respond('success', {
+            status: 200,
+            body: { message: 'Data updated successfully.', count: updated.length, data_ids: updated.map(item => item.data_id) },
+            data: updated.map(({ data_id, jsonData }) => ({ data_id, ...jsonData })),
+            count: updated.length
+        });
+    } catch (err) {
+        console.error('Error in handleBulkUpdate:', err);
+        res.status(500).json({ message: 'Server error.' });
     }
+};
 
+// Handle bulk DELETE (DELETE on the collection) by ids and/or listing filters
+const handleBulkDelete = async (req, res, endpoint_id, fields, respond) => {
     try {
-        const [result] = await pool.execute(
-            'DELETE FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
-            [identifier, endpoint_id]
-        );
+        const selection = await selectRecords(req, endpoint_id, fields);
+        if (selection.error) {
+            return sendFailure(respond, { status: selection.status, message: selection.error });
+        }
+
+        // Referencing records are restricted, cascaded or nulled; one RESTRICT failure undoes the batch
+        const context = changeContext(req);
+        const result = await inTransaction(async (connection) => {
+            const visited = new Set();
+            for (const record of selection.records) {
+                const deleted = await deleteWithReferences(connection, endpoint_id, record.data_id, visited, context);
+                if (deleted.error) {
+                    return { error: deleted.error, data_id: record.data_id };
+                }
+            }
+            return {};
+        });
 
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ message: 'Data not found.' });
+        if (result.error) {
+            return respond('conflict', { status: 409, body: { message: result.error, data_id: result.data_id }, id: result.data_id });
         }
+        publishChanges(context);
 
-        res.json({ message: 'Data deleted successfully.' });
+        respond('success', {
+            status: 200,
+            body: { message: 'Data deleted successfully.', count: selection.records.length },
+            data: selection.records,
+            count: selection.records.length
+        });
     } catch (err) {
-        console.error('Error in handleDelete:', err);
+        console.error('Error in handleBulkDelete:', err);
         res.status(500).json({ message: 'Server error.' });
     }
 };
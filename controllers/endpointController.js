@@ -1,29 +1,148 @@
 // controllers/endpointController.js
 const pool = require('../db');
+const { isDuplicateKeyError } = require('../storage');
+const endpointRepository = require('../repositories/endpointRepository');
+const { parseMethods, serializeMethods, normalizeMethods } = require('../utils/httpMethods');
+const { ON_DELETE_ACTIONS, truncateWithReferences } = require('../utils/references');
+const { DATA_TYPES, parseConstraints, validateFieldConstraints } = require('../utils/validation');
+const { parseBehavior, validateBehavior } = require('../utils/behavior');
+const { parseTemplates, validateTemplates, renameTemplateField } = require('../utils/responseTemplates');
+const { normalizePath, parsePathParams, validatePathParams, findRouteConflict, renamePathParamField } = require('../utils/pathTemplates');
+const { ACCESS_MODES } = require('../utils/access');
+const { authorize, findEndpoint, isEndpointNameTaken } = require('../utils/permissions');
+const { planFieldMigration, applyMigration, summarizePlan } = require('../utils/fieldMigration');
+const { changeContext, recordAudit } = require('../utils/history');
+const { publishChanges } = require('../utils/changeStream');
+const { checkEndpointQuota, checkFieldQuota, sendQuotaExceeded } = require('../utils/quotas');
+
+// Expose the stored comma-separated methods as an array alongside the raw column
+const formatEndpoint = (row) => ({
+    ...row,
+    path: row.path || null,
+    path_params: parsePathParams(row),
+    http_methods: parseMethods(row.http_method),
+    behavior: parseBehavior(row),
+    response_templates: parseTemplates(row),
+    access_mode: row.access_mode || 'private'
+});
+
+// The settings of an endpoint or field as they appear in the audit log
+const describeEndpoint = (row) => {
+    const { endpoint_name, path, path_params, http_methods, behavior, response_templates, access_mode } = formatEndpoint(row);
+    return { endpoint_name, path, path_params, http_methods, behavior, response_templates, access_mode };
+};
+
+const describeField = (row) => {
+    const { field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete } = row;
+    return { field_name, data_type, is_required: Boolean(is_required), default_value, ref_endpoint_id, on_delete, constraints: parseConstraints(row) };
+};
+
+// Check that a REFERENCE field points at another endpoint in the same scope
+const findReferenceTarget = async (scope, ref_endpoint_id) => Boolean(await findEndpoint(pool, scope, ref_endpoint_id));
+
+const sendDenied = (res, denied) => res.status(denied.status).json({ message: denied.message });
+
+const sendRouteConflict = (res, conflict) => res.status(409).json({
+    message: `The endpoint's path overlaps the route of endpoint '${conflict.endpoint_name}'.`
+});
+
+// Field changes leave stored records alone unless ?migrate=true; ?dry_run=true previews the migration
+const migrationOptions = (query) => ({ migrate: query.migrate === 'true', dryRun: query.dry_run === 'true' });
+
+const sendMigrationFailed = (res, plan) => res.status(409).json({
+    message: 'Some records cannot be migrated; no changes were made.',
+    ...summarizePlan(plan)
+});
 
 // Create a new API endpoint
 const createEndpoint = async (req, res) => {
-    const { endpoint_name, http_method } = req.body;
-    const user_id = req.user.user_id;
+    const { endpoint_name, path_params, behavior, response_templates, access_mode = 'private' } = req.body;
+    const http_methods = req.body.http_methods !== undefined ? req.body.http_methods : req.body.http_method;
+    const scope = req.scope;
+
+    const denied = authorize(scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    if (!endpoint_name || !http_methods) {
+        return res.status(400).json({ message: 'Endpoint name and HTTP methods are required.' });
+    }
+
+    const { methods, error } = normalizeMethods(http_methods);
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    // A path template such as users/:userId/orders replaces the endpoint name in its URLs
+    const { path, error: pathError } = req.body.path !== undefined ? normalizePath(req.body.path) : { path: null };
+    if (pathError) {
+        return res.status(400).json({ message: pathError });
+    }
+
+    const pathParamsError = path_params !== undefined && validatePathParams(path_params, path);
+    if (pathParamsError) {
+        return res.status(400).json({ message: pathParamsError });
+    }
 
-    if (!endpoint_name || !http_method) {
-        return res.status(400).json({ message: 'Endpoint name and HTTP method are required.' });
+    const behaviorError = behavior !== undefined && validateBehavior(behavior);
+    if (behaviorError) {
+        return res.status(400).json({ message: behaviorError });
     }
 
-    const validMethods = ['GET', 'POST', 'PUT', 'DELETE'];
-    if (!validMethods.includes(http_method.toUpperCase())) {
-        return res.status(400).json({ message: 'Invalid HTTP method.' });
+    const templatesError = response_templates !== undefined && validateTemplates(response_templates);
+    if (templatesError) {
+        return res.status(400).json({ message: templatesError });
+    }
+
+    if (!ACCESS_MODES.includes(access_mode)) {
+        return res.status(400).json({ message: `Invalid access mode. Use one of: ${ACCESS_MODES.join(', ')}.` });
     }
 
     try {
-        const [result] = await pool.execute(
-            'INSERT INTO api_endpoints (user_id, endpoint_name, http_method) VALUES (?, ?, ?)',
-            [user_id, endpoint_name, http_method.toUpperCase()]
-        );
+        if (await isEndpointNameTaken(pool, scope, endpoint_name)) {
+            return res.status(409).json({ message: 'Endpoint name already exists.' });
+        }
 
-        res.status(201).json({ endpoint_id: result.insertId, message: 'API endpoint created successfully.' });
+        const conflict = findRouteConflict(await endpointRepository.listEndpoints(pool, scope), { endpoint_name, path });
+        if (conflict) {
+            return sendRouteConflict(res, conflict);
+        }
+
+        const exceeded = await checkEndpointQuota(pool, scope.user_id);
+        if (exceeded) {
+            return sendQuotaExceeded(res, exceeded);
+        }
+
+        const endpoint_id = await endpointRepository.createEndpoint(pool, {
+            user_id: scope.user_id,
+            workspace_id: scope.workspace_id,
+            endpoint_name,
+            path,
+            path_params,
+            http_method: serializeMethods(methods),
+            behavior,
+            response_templates,
+            access_mode
+        });
+
+        await recordAudit(pool, req, {
+            endpoint_id,
+            action: 'endpoint.create',
+            details: {
+                endpoint_name,
+                path,
+                path_params: path_params || null,
+                http_methods: methods,
+                behavior: behavior || null,
+                response_templates: response_templates || null,
+                access_mode
+            }
+        });
+
+        res.status(201).json({ endpoint_id, message: 'API endpoint created successfully.' });
     } catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (isDuplicateKeyError(err)) {
             return res.status(409).json({ message: 'Endpoint name already exists.' });
         }
         console.error(err);
@@ -31,17 +150,17 @@ const createEndpoint = async (req, res) => {
     }
 };
 
-// Get all API endpoints for the user
+// Get all API endpoints in the caller's scope (personal or workspace)
 const getEndpoints = async (req, res) => {
-    const user_id = req.user.user_id;
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
 
     try {
-        const [rows] = await pool.execute(
-            'SELECT * FROM api_endpoints WHERE user_id = ?',
-            [user_id]
-        );
+        const endpoints = await endpointRepository.listEndpoints(pool, req.scope);
 
-        res.json(rows);
+        res.json(endpoints.map(formatEndpoint));
     } catch (err) {
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
@@ -50,20 +169,21 @@ const getEndpoints = async (req, res) => {
 
 // Get a specific API endpoint by ID
 const getEndpointById = async (req, res) => {
-    const user_id = req.user.user_id;
     const endpoint_id = req.params.id;
 
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
     try {
-        const [rows] = await pool.execute(
-            'SELECT * FROM api_endpoints WHERE endpoint_id = ? AND user_id = ?',
-            [endpoint_id, user_id]
-        );
+        const endpoint = await findEndpoint(pool, req.scope, endpoint_id);
 
-        if (rows.length === 0) {
+        if (!endpoint) {
             return res.status(404).json({ message: 'API endpoint not found.' });
         }
 
-        res.json(rows[0]);
+        res.json(formatEndpoint(endpoint));
     } catch (err) {
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
@@ -72,51 +192,114 @@ const getEndpointById = async (req, res) => {
 
 // Update an API endpoint
 const updateEndpoint = async (req, res) => {
-    const user_id = req.user.user_id;
+    const scope = req.scope;
     const endpoint_id = req.params.id;
-    const { endpoint_name, http_method } = req.body;
+    const { endpoint_name, path_params, behavior, response_templates, access_mode } = req.body;
+    const http_methods = req.body.http_methods !== undefined ? req.body.http_methods : req.body.http_method;
 
-    if (!endpoint_name && !http_method) {
-        return res.status(400).json({ message: 'At least one field (endpoint_name or http_method) is required.' });
+    const denied = authorize(scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
     }
 
-    const validMethods = ['GET', 'POST', 'PUT', 'DELETE'];
-    if (http_method && !validMethods.includes(http_method.toUpperCase())) {
-        return res.status(400).json({ message: 'Invalid HTTP method.' });
+    if (!endpoint_name && !http_methods && req.body.path === undefined && path_params === undefined
+        && behavior === undefined && response_templates === undefined && !access_mode) {
+        return res.status(400).json({
+            message: 'At least one field (endpoint_name, http_methods, path, path_params, behavior, response_templates or access_mode) is required.'
+        });
+    }
+
+    // Send path: null to go back to serving the endpoint under its name
+    const { path, error: pathError } = req.body.path !== undefined ? normalizePath(req.body.path) : {};
+    if (pathError) {
+        return res.status(400).json({ message: pathError });
+    }
+
+    if (access_mode && !ACCESS_MODES.includes(access_mode)) {
+        return res.status(400).json({ message: `Invalid access mode. Use one of: ${ACCESS_MODES.join(', ')}.` });
+    }
+
+    // Behavior replaces the stored settings as a whole; send null to clear it
+    const behaviorError = behavior !== undefined && validateBehavior(behavior);
+    if (behaviorError) {
+        return res.status(400).json({ message: behaviorError });
+    }
+
+    // Templates are replaced as a whole too
+    const templatesError = response_templates !== undefined && validateTemplates(response_templates);
+    if (templatesError) {
+        return res.status(400).json({ message: templatesError });
+    }
+
+    let methods;
+    if (http_methods) {
+        const normalized = normalizeMethods(http_methods);
+        if (normalized.error) {
+            return res.status(400).json({ message: normalized.error });
+        }
+        methods = normalized.methods;
     }
 
     try {
         // Check if endpoint exists
-        const [existing] = await pool.execute(
-            'SELECT * FROM api_endpoints WHERE endpoint_id = ? AND user_id = ?',
-            [endpoint_id, user_id]
-        );
-
-        if (existing.length === 0) {
+        const endpoint = await findEndpoint(pool, scope, endpoint_id);
+        if (!endpoint) {
             return res.status(404).json({ message: 'API endpoint not found.' });
         }
 
-        // Build dynamic query
-        let query = 'UPDATE api_endpoints SET ';
-        const params = [];
-        if (endpoint_name) {
-            query += 'endpoint_name = ?, ';
-            params.push(endpoint_name);
+        if (endpoint_name && await isEndpointNameTaken(pool, scope, endpoint_name, endpoint_id)) {
+            return res.status(409).json({ message: 'Endpoint name already exists.' });
+        }
+
+        // Parameter bindings must still fit the path when either of them changes
+        const newPath = path !== undefined ? path : endpoint.path;
+        if (path !== undefined || path_params !== undefined) {
+            const pathParamsError = validatePathParams(path_params !== undefined ? path_params : parsePathParams(endpoint), newPath);
+            if (pathParamsError) {
+                return res.status(400).json({ message: pathParamsError });
+            }
         }
-        if (http_method) {
-            query += 'http_method = ?, ';
-            params.push(http_method.toUpperCase());
+
+        if (endpoint_name || path !== undefined) {
+            const conflict = findRouteConflict(await endpointRepository.listEndpoints(pool, scope), {
+                endpoint_id,
+                endpoint_name: endpoint_name || endpoint.endpoint_name,
+                path: newPath
+            });
+            if (conflict) {
+                return sendRouteConflict(res, conflict);
+            }
         }
-        // Remove trailing comma and space
-        query = query.slice(0, -2);
-        query += ' WHERE endpoint_id = ? AND user_id = ?';
-        params.push(endpoint_id, user_id);
 
-        await pool.execute(query, params);
+        await endpointRepository.updateEndpoint(pool, endpoint_id, {
+            endpoint_name: endpoint_name || undefined,
+            path,
+            path_params,
+            http_method: methods ? serializeMethods(methods) : undefined,
+            behavior,
+            response_templates,
+            access_mode: access_mode || undefined
+        });
+
+        const after = {
+            ...endpoint,
+            ...(endpoint_name && { endpoint_name }),
+            ...(path !== undefined && { path }),
+            ...(path_params !== undefined && { path_params }),
+            ...(methods && { http_method: serializeMethods(methods) }),
+            ...(behavior !== undefined && { behavior }),
+            ...(response_templates !== undefined && { response_templates }),
+            ...(access_mode && { access_mode })
+        };
+        await recordAudit(pool, req, {
+            endpoint_id,
+            action: 'endpoint.update',
+            details: { before: describeEndpoint(endpoint), after: describeEndpoint(after) }
+        });
 
         res.json({ message: 'API endpoint updated successfully.' });
     } catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (isDuplicateKeyError(err)) {
             return res.status(409).json({ message: 'Endpoint name already exists.' });
         }
         console.error(err);
@@ -126,19 +309,29 @@ const updateEndpoint = async (req, res) => {
 
 // Delete an API endpoint
 const deleteEndpoint = async (req, res) => {
-    const user_id = req.user.user_id;
     const endpoint_id = req.params.id;
 
-    try {
-        const [result] = await pool.execute(
-            'DELETE FROM api_endpoints WHERE endpoint_id = ? AND user_id = ?',
-            [endpoint_id, user_id]
-        );
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
 
-        if (result.affectedRows === 0) {
+    try {
+        const endpoint = await findEndpoint(pool, req.scope, endpoint_id);
+        if (!endpoint) {
             return res.status(404).json({ message: 'API endpoint not found.' });
         }
 
+        // Endpoints referenced by another endpoint's fields can't be removed out from under them
+        const references = await endpointRepository.findReferencingFields(pool, endpoint_id);
+        if (references.length > 0) {
+            return res.status(409).json({ message: 'API endpoint is referenced by other endpoints\' fields.' });
+        }
+
+        await endpointRepository.deleteEndpoint(pool, endpoint_id);
+
+        await recordAudit(pool, req, { endpoint_id, action: 'endpoint.delete', details: describeEndpoint(endpoint) });
+
         res.json({ message: 'API endpoint deleted successfully.' });
     } catch (err) {
         console.error(err);
@@ -148,80 +341,148 @@ const deleteEndpoint = async (req, res) => {
 
 // Add fields to an API endpoint
 const addFields = async (req, res) => {
-    const user_id = req.user.user_id;
+    const scope = req.scope;
     const endpoint_id = req.params.id;
     const fields = req.body.fields; // Expecting an array of field objects
+    const { migrate, dryRun } = migrationOptions(req.query);
+
+    const denied = authorize(scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
 
     if (!fields || !Array.isArray(fields) || fields.length === 0) {
         return res.status(400).json({ message: 'Fields are required and should be an array.' });
     }
 
     // Validate fields
-    const validDataTypes = ['INT', 'VARCHAR', 'TEXT', 'DATE', 'DATETIME', 'BOOLEAN', 'FLOAT'];
     for (const field of fields) {
-        const { field_name, data_type, is_required, default_value } = field;
+        const { field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete, constraints } = field;
         if (!field_name || !data_type) {
             return res.status(400).json({ message: 'Each field must have a field_name and data_type.' });
         }
-        if (!validDataTypes.includes(data_type.toUpperCase())) {
+        if (!DATA_TYPES.includes(data_type.toUpperCase())) {
             return res.status(400).json({ message: `Invalid data type for field ${field_name}.` });
         }
+        const constraintError = validateFieldConstraints(constraints, data_type);
+        if (constraintError) {
+            return res.status(400).json({ message: `Invalid constraints for field ${field_name}: ${constraintError}` });
+        }
+        if (data_type.toUpperCase() === 'REFERENCE' && !ref_endpoint_id) {
+            return res.status(400).json({ message: `Reference field ${field_name} requires a ref_endpoint_id.` });
+        }
+        if (on_delete && !ON_DELETE_ACTIONS.includes(on_delete.toUpperCase())) {
+            return res.status(400).json({ message: `Invalid on_delete for field ${field_name}. Use one of: ${ON_DELETE_ACTIONS.join(', ')}.` });
+        }
     }
 
+    let connection;
     try {
-        // Verify the endpoint belongs to the user
-        const [existing] = await pool.execute(
-            'SELECT * FROM api_endpoints WHERE endpoint_id = ? AND user_id = ?',
-            [endpoint_id, user_id]
-        );
-
-        if (existing.length === 0) {
+        // Verify the endpoint is in the caller's scope
+        if (!(await findEndpoint(pool, scope, endpoint_id))) {
             return res.status(404).json({ message: 'API endpoint not found.' });
         }
 
+        const exceeded = await checkFieldQuota(pool, endpoint_id, fields.length);
+        if (exceeded) {
+            return sendQuotaExceeded(res, exceeded);
+        }
+
+        // Reference fields may only point at endpoints in the same scope
+        for (const field of fields) {
+            if (field.data_type.toUpperCase() === 'REFERENCE' && !(await findReferenceTarget(scope, field.ref_endpoint_id))) {
+                return res.status(400).json({ message: `Referenced endpoint for field ${field.field_name} not found.` });
+            }
+        }
+
+        // Migrating backfills new required fields in existing records from their default_value
+        const changes = fields.map(field => ({ from: null, to: { default_value: null, ...field } }));
+        if (dryRun) {
+            const plan = await planFieldMigration(pool, endpoint_id, changes);
+            return res.json({ dry_run: true, ...summarizePlan(plan) });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Migrated records are rewritten with the endpoint locked, so no record write is lost
+        const context = changeContext(req);
+        let plan;
+        if (migrate) {
+            await endpointRepository.lockEndpoint(connection, endpoint_id);
+            plan = await planFieldMigration(connection, endpoint_id, changes);
+            if (plan.failed.length > 0) {
+                await connection.rollback();
+                return sendMigrationFailed(res, plan);
+            }
+        }
+
         // Insert fields
-        const insertPromises = fields.map(field => {
-            const { field_name, data_type, is_required = false, default_value = null } = field;
-            return pool.execute(
-                'INSERT INTO fields (endpoint_id, field_name, data_type, is_required, default_value) VALUES (?, ?, ?, ?, ?)',
-                [endpoint_id, field_name, data_type.toUpperCase(), is_required, default_value]
-            );
+        for (const field of fields) {
+            const { field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete, constraints } = field;
+            const isReference = data_type.toUpperCase() === 'REFERENCE';
+            await endpointRepository.createField(connection, endpoint_id, {
+                field_name,
+                data_type: data_type.toUpperCase(),
+                is_required,
+                default_value,
+                ref_endpoint_id: isReference ? ref_endpoint_id : null,
+                on_delete: isReference ? (on_delete || 'RESTRICT').toUpperCase() : null,
+                constraints
+            });
+        }
+
+        if (plan) {
+            await applyMigration(connection, context, endpoint_id, plan);
+        }
+
+        await recordAudit(connection, req, {
+            endpoint_id,
+            action: 'field.create',
+            details: {
+                fields: fields.map(field => describeField({ is_required: false, default_value: null, ref_endpoint_id: null, on_delete: null, ...field, data_type: field.data_type.toUpperCase() })),
+                migrated: plan ? plan.changed.length : null
+            }
         });
 
-        await Promise.all(insertPromises);
+        await connection.commit();
+        publishChanges(context);
 
-        res.status(201).json({ message: 'Fields added successfully.' });
+        res.status(201).json({ message: 'Fields added successfully.', ...(plan && { migrated: plan.changed.length }) });
     } catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (connection) {
+            await connection.rollback();
+        }
+        if (isDuplicateKeyError(err)) {
             return res.status(409).json({ message: 'One or more field names already exist for this endpoint.' });
         }
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
 };
 
 // Get all fields for an API endpoint
 const getFields = async (req, res) => {
-    const user_id = req.user.user_id;
     const endpoint_id = req.params.id;
 
-    try {
-        // Verify the endpoint belongs to the user
-        const [endpoint] = await pool.execute(
-            'SELECT * FROM api_endpoints WHERE endpoint_id = ? AND user_id = ?',
-            [endpoint_id, user_id]
-        );
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
 
-        if (endpoint.length === 0) {
+    try {
+        // Verify the endpoint is in the caller's scope
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
             return res.status(404).json({ message: 'API endpoint not found.' });
         }
 
-        const [fields] = await pool.execute(
-            'SELECT * FROM fields WHERE endpoint_id = ?',
-            [endpoint_id]
-        );
+        const fields = await endpointRepository.listFields(pool, endpoint_id);
 
-        res.json(fields);
+        res.json(fields.map(field => ({ ...field, constraints: parseConstraints(field) })));
     } catch (err) {
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
@@ -230,97 +491,255 @@ const getFields = async (req, res) => {
 
 // Update a field
 const updateField = async (req, res) => {
-    const user_id = req.user.user_id;
+    const scope = req.scope;
     const endpoint_id = req.params.id;
     const field_id = req.params.fieldId;
-    const { field_name, data_type, is_required, default_value } = req.body;
+    const { field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete, constraints } = req.body;
+    const { migrate, dryRun } = migrationOptions(req.query);
+
+    const denied = authorize(scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
 
-    if (!field_name && !data_type && is_required === undefined && default_value === undefined) {
+    if (!field_name && !data_type && is_required === undefined && default_value === undefined && !ref_endpoint_id && !on_delete && constraints === undefined) {
         return res.status(400).json({ message: 'At least one field to update is required.' });
     }
 
-    const validDataTypes = ['INT', 'VARCHAR', 'TEXT', 'DATE', 'DATETIME', 'BOOLEAN', 'FLOAT'];
-    if (data_type && !validDataTypes.includes(data_type.toUpperCase())) {
+    if (data_type && !DATA_TYPES.includes(data_type.toUpperCase())) {
         return res.status(400).json({ message: 'Invalid data type.' });
     }
 
+    if (on_delete && !ON_DELETE_ACTIONS.includes(on_delete.toUpperCase())) {
+        return res.status(400).json({ message: `Invalid on_delete. Use one of: ${ON_DELETE_ACTIONS.join(', ')}.` });
+    }
+
+    let connection;
     try {
-        // Verify the endpoint and field belong to the user
-        const [field] = await pool.execute(
-            `SELECT fe.* FROM fields fe
-             JOIN api_endpoints ae ON fe.endpoint_id = ae.endpoint_id
-             WHERE fe.field_id = ? AND ae.endpoint_id = ? AND ae.user_id = ?`,
-            [field_id, endpoint_id, user_id]
-        );
-
-        if (field.length === 0) {
+        // Verify the field belongs to an endpoint in the caller's scope
+        const field = await endpointRepository.findField(pool, scope, endpoint_id, field_id);
+        if (!field) {
             return res.status(404).json({ message: 'Field not found.' });
         }
 
-        // Build dynamic query
-        let query = 'UPDATE fields SET ';
-        const params = [];
-        if (field_name) {
-            query += 'field_name = ?, ';
-            params.push(field_name);
+        // Reference settings only apply to REFERENCE fields, and the target must be in the same scope
+        const newType = (data_type || field.data_type).toUpperCase();
+        const isReference = newType === 'REFERENCE';
+        if ((ref_endpoint_id || on_delete) && !isReference) {
+            return res.status(400).json({ message: 'ref_endpoint_id and on_delete only apply to REFERENCE fields.' });
         }
-        if (data_type) {
-            query += 'data_type = ?, ';
-            params.push(data_type.toUpperCase());
+        if (isReference && !ref_endpoint_id && !field.ref_endpoint_id) {
+            return res.status(400).json({ message: 'Reference fields require a ref_endpoint_id.' });
         }
-        if (is_required !== undefined) {
-            query += 'is_required = ?, ';
-            params.push(is_required);
+        if (ref_endpoint_id && !(await findReferenceTarget(scope, ref_endpoint_id))) {
+            return res.status(400).json({ message: 'Referenced endpoint not found.' });
         }
-        if (default_value !== undefined) {
-            query += 'default_value = ?, ';
-            params.push(default_value);
+
+        // Constraints are checked against the field's type after the update
+        const newConstraints = constraints !== undefined ? constraints : parseConstraints(field);
+        const constraintError = validateFieldConstraints(newConstraints, newType);
+        if (constraintError) {
+            return res.status(400).json({ message: `Invalid constraints: ${constraintError}` });
         }
-        // Remove trailing comma and space
-        query = query.slice(0, -2);
-        query += ' WHERE field_id = ?';
-        params.push(field_id);
 
-        await pool.execute(query, params);
+        // Migrating renames the key in stored records, converts values to the new type and
+        // backfills default_value when the field becomes required
+        const updated = {
+            ...field,
+            field_name: field_name || field.field_name,
+            data_type: newType,
+            is_required: is_required !== undefined ? is_required : field.is_required,
+            default_value: default_value !== undefined ? default_value : field.default_value,
+            constraints: newConstraints
+        };
+        const changes = [{ from: field, to: updated }];
+        if (dryRun) {
+            const plan = await planFieldMigration(pool, endpoint_id, changes);
+            return res.json({ dry_run: true, ...summarizePlan(plan) });
+        }
+
+        const fieldChanges = {
+            field_name: field_name || undefined,
+            data_type: data_type ? newType : undefined,
+            is_required,
+            default_value,
+            constraints
+        };
+        if (isReference) {
+            fieldChanges.ref_endpoint_id = ref_endpoint_id || undefined;
+            if (on_delete || !field.on_delete) {
+                fieldChanges.on_delete = (on_delete || 'RESTRICT').toUpperCase();
+            }
+        } else if (field.ref_endpoint_id) {
+            // A field that stops being a reference drops its reference settings
+            fieldChanges.ref_endpoint_id = null;
+            fieldChanges.on_delete = null;
+        }
 
-        res.json({ message: 'Field updated successfully.' });
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const context = changeContext(req);
+        let plan;
+        if (migrate) {
+            await endpointRepository.lockEndpoint(connection, endpoint_id);
+            plan = await planFieldMigration(connection, endpoint_id, changes);
+            if (plan.failed.length > 0) {
+                await connection.rollback();
+                return sendMigrationFailed(res, plan);
+            }
+        }
+
+        await endpointRepository.updateField(connection, field_id, fieldChanges);
+
+        if (plan) {
+            await applyMigration(connection, context, endpoint_id, plan);
+        }
+
+        // Response templates and path parameters that name the field follow the rename
+        if (updated.field_name !== field.field_name) {
+            const endpoint = await findEndpoint(connection, scope, endpoint_id);
+            const response_templates = renameTemplateField(endpoint, field.field_name, updated.field_name);
+            const path_params = renamePathParamField(endpoint, field.field_name, updated.field_name);
+            if (response_templates || path_params) {
+                await endpointRepository.updateEndpoint(connection, endpoint_id, {
+                    ...(response_templates && { response_templates }),
+                    ...(path_params && { path_params })
+                });
+            }
+        }
+
+        await recordAudit(connection, req, {
+            endpoint_id,
+            action: 'field.update',
+            details: { before: describeField(field), after: describeField(updated), migrated: plan ? plan.changed.length : null }
+        });
+
+        await connection.commit();
+        publishChanges(context);
+
+        res.json({ message: 'Field updated successfully.', ...(plan && { migrated: plan.changed.length }) });
     } catch (err) {
-        if (err.code === 'ER_DUP_ENTRY') {
+        if (connection) {
+            await connection.rollback();
+        }
+        if (isDuplicateKeyError(err)) {
             return res.status(409).json({ message: 'Field name already exists for this endpoint.' });
         }
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
 };
 
 // Delete a field
 const deleteField = async (req, res) => {
-    const user_id = req.user.user_id;
     const endpoint_id = req.params.id;
     const field_id = req.params.fieldId;
+    const { migrate, dryRun } = migrationOptions(req.query);
 
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    let connection;
     try {
-        // Verify the endpoint and field belong to the user
-        const [field] = await pool.execute(
-            `SELECT fe.* FROM fields fe
-             JOIN api_endpoints ae ON fe.endpoint_id = ae.endpoint_id
-             WHERE fe.field_id = ? AND ae.endpoint_id = ? AND ae.user_id = ?`,
-            [field_id, endpoint_id, user_id]
-        );
-
-        if (field.length === 0) {
+        // Verify the field belongs to an endpoint in the caller's scope
+        const field = await endpointRepository.findField(pool, req.scope, endpoint_id, field_id);
+        if (!field) {
             return res.status(404).json({ message: 'Field not found.' });
         }
 
-        await pool.execute(
-            'DELETE FROM fields WHERE field_id = ?',
-            [field_id]
-        );
+        // Migrating drops the field's key from stored records
+        const changes = [{ from: field, to: null }];
+        if (dryRun) {
+            const plan = await planFieldMigration(pool, endpoint_id, changes);
+            return res.json({ dry_run: true, ...summarizePlan(plan) });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await endpointRepository.deleteField(connection, field_id);
+
+        const context = changeContext(req);
+        let plan;
+        if (migrate) {
+            await endpointRepository.lockEndpoint(connection, endpoint_id);
+            plan = await planFieldMigration(connection, endpoint_id, changes);
+            await applyMigration(connection, context, endpoint_id, plan);
+        }
+
+        await recordAudit(connection, req, {
+            endpoint_id,
+            action: 'field.delete',
+            details: { ...describeField(field), migrated: plan ? plan.changed.length : null }
+        });
+
+        await connection.commit();
+        publishChanges(context);
+
+        res.json({ message: 'Field deleted successfully.', ...(plan && { migrated: plan.changed.length }) });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Delete all data of an endpoint, e.g. to reset state between test runs.
+// Other endpoints' references are restricted, cascaded or nulled as for single deletes.
+const truncateData = async (req, res) => {
+    const endpoint_id = req.params.id;
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    let connection;
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
 
-        res.json({ message: 'Field deleted successfully.' });
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const context = changeContext(req);
+        const result = await truncateWithReferences(connection, endpoint_id, context);
+
+        if (result.error) {
+            await connection.rollback();
+            return res.status(409).json({ message: result.error });
+        }
+
+        await recordAudit(connection, req, { endpoint_id, action: 'data.truncate', details: { count: result.affectedRows } });
+
+        await connection.commit();
+        publishChanges(context);
+
+        res.json({ message: 'Endpoint data truncated successfully.', count: result.affectedRows });
     } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
         console.error(err);
         res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
     }
 };
 
@@ -333,5 +752,6 @@ module.exports = {
     addFields,
     getFields,
     updateField,
-    deleteField
+    deleteField,
+    truncateData
 };
\ No newline at end of file
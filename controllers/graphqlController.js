@@ -0,0 +1,111 @@
+// controllers/graphqlController.js
+const { parse, validate, execute, getOperationAST, GraphQLError } = require('graphql');
+const pool = require('../db');
+const { listEndpoints, listScopeFields } = require('../repositories/endpointRepository');
+const { buildSchema } = require('../utils/graphqlSchema');
+
+const MAX_CACHED_SCHEMAS = 100;
+
+// Built schemas per scope, with the endpoint and field rows they were built from. A schema is
+// rebuilt as soon as those rows change, so added, renamed or removed fields show up immediately.
+const schemaCache = new Map();
+
+const scopeKey = (scope) => (scope.workspace_id ? `workspace:${scope.workspace_id}` : `user:${scope.user_id}`);
+
+const getSchema = async (scope) => {
+    const endpoints = await listEndpoints(pool, scope);
+    const fields = await listScopeFields(pool, scope);
+    const signature = JSON.stringify([endpoints, fields]);
+
+    const key = scopeKey(scope);
+    const cached = schemaCache.get(key);
+    if (cached && cached.signature === signature) {
+        return cached.schema;
+    }
+
+    const schema = buildSchema(endpoints, fields);
+    schemaCache.delete(key);
+    schemaCache.set(key, { signature, schema });
+    if (schemaCache.size > MAX_CACHED_SCHEMAS) {
+        schemaCache.delete(schemaCache.keys().next().value);
+    }
+    return schema;
+};
+
+// GET takes the request in the query string, with variables as a JSON string
+const readParams = (req) => {
+    if (req.method !== 'GET') {
+        return req.body || {};
+    }
+    const { query, operationName } = req.query;
+    let variables = req.query.variables;
+    if (typeof variables === 'string' && variables !== '') {
+        try {
+            variables = JSON.parse(variables);
+        } catch (err) {
+            return { error: 'Variables must be valid JSON.' };
+        }
+    }
+    return { query, operationName, variables };
+};
+
+const sendErrors = (res, status, errors) => res.status(status).json({ errors: errors.map(error => error.toJSON()) });
+
+// Run a GraphQL query or mutation against the caller's endpoints (GET for queries, POST for both)
+const executeGraphql = async (req, res) => {
+    const { query, operationName, variables, error } = readParams(req);
+    if (error) {
+        return sendErrors(res, 400, [new GraphQLError(error)]);
+    }
+    if (!query || typeof query !== 'string') {
+        return sendErrors(res, 400, [new GraphQLError('A query is required.')]);
+    }
+
+    let document;
+    try {
+        document = parse(query);
+    } catch (err) {
+        return sendErrors(res, 400, [err]);
+    }
+
+    try {
+        const schema = await getSchema(req.scope);
+
+        const validationErrors = validate(schema, document);
+        if (validationErrors.length > 0) {
+            return sendErrors(res, 400, validationErrors);
+        }
+
+        // Mutations over GET could be triggered by a plain link
+        const operation = getOperationAST(document, operationName);
+        if (req.method === 'GET' && operation && operation.operation !== 'query') {
+            res.set('Allow', 'POST');
+            return sendErrors(res, 405, [new GraphQLError('Mutations must be sent with POST.')]);
+        }
+
+        const result = await execute({
+            schema,
+            document,
+            operationName,
+            variableValues: variables,
+            contextValue: req
+        });
+        // Unexpected resolver failures are logged and reported without their internals
+        if (result.errors) {
+            result.errors = result.errors.map((err) => {
+                if (!err.originalError || err.originalError instanceof GraphQLError) {
+                    return err;
+                }
+                console.error('Error in GraphQL resolver:', err.originalError);
+                return new GraphQLError('Server error.', { nodes: err.nodes, path: err.path });
+            });
+        }
+
+        res.json(result);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { executeGraphql };
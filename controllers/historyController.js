@@ -0,0 +1,269 @@
+// controllers/historyController.js
+const pool = require('../db');
+const { buildRecord, validateStored } = require('../utils/validation');
+const { authorize, scopeCondition, findEndpoint } = require('../utils/permissions');
+const { lockEndpoint } = require('../repositories/endpointRepository');
+const { HISTORY_RETENTION_DAYS, changeContext, recordVersion, formatVersion, formatAuditEntry } = require('../utils/history');
+const { publishChanges } = require('../utils/changeStream');
+const { checkRecordQuota, sendQuotaExceeded } = require('../utils/quotas');
+
+const MAX_AUDIT_ENTRIES = 1000;
+
+const sendDenied = (res, denied) => res.status(denied.status).json({ message: denied.message });
+
+// Check a past version's data against the endpoint's current fields before writing it back.
+// Runs on the restoring transaction with the endpoint locked, so unique values are still free
+// when the record is written. Returns { jsonData } or { errors }.
+const validateVersionData = async (connection, endpoint_id, data, excludeId) => {
+    await lockEndpoint(connection, endpoint_id);
+    const [fields] = await connection.execute(
+        'SELECT * FROM fields WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+    const { jsonData, errors } = buildRecord(data, fields);
+    const allErrors = await validateStored(connection, endpoint_id, fields, jsonData, errors, excludeId);
+    return allErrors.length > 0 ? { errors: allErrors } : { jsonData };
+};
+
+// List every version of a record, newest first
+const getRecordHistory = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const data_id = req.params.dataId;
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const [versions] = await pool.execute(
+            'SELECT * FROM data_versions WHERE endpoint_id = ? AND data_id = ? ORDER BY version_id DESC',
+            [endpoint_id, data_id]
+        );
+
+        if (versions.length === 0) {
+            return res.status(404).json({ message: 'No history found for this record.' });
+        }
+
+        res.json(versions.map(formatVersion));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Put a record back to the data it had after a past version
+const restoreVersion = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const data_id = req.params.dataId;
+    const version_id = req.params.versionId;
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    let connection;
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const [versions] = await pool.execute(
+            'SELECT * FROM data_versions WHERE version_id = ? AND endpoint_id = ? AND data_id = ?',
+            [version_id, endpoint_id, data_id]
+        );
+
+        if (versions.length === 0) {
+            return res.status(404).json({ message: 'Version not found.' });
+        }
+
+        const version = formatVersion(versions[0]);
+        if (!version.data_after) {
+            return res.status(400).json({ message: 'This version deleted the record; undelete it instead.' });
+        }
+
+        const [existing] = await pool.execute(
+            'SELECT data FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
+            [data_id, endpoint_id]
+        );
+
+        if (existing.length === 0) {
+            return res.status(404).json({ message: 'Data not found. Deleted records are restored by undeleting them.' });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        // Fields may have changed since the version was written
+        const { jsonData, errors } = await validateVersionData(connection, endpoint_id, version.data_after, data_id);
+        if (errors) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Validation failed.', errors });
+        }
+
+        await connection.execute(
+            'UPDATE data_storage SET data = ? WHERE data_id = ? AND endpoint_id = ?',
+            [JSON.stringify(jsonData), data_id, endpoint_id]
+        );
+        const context = changeContext(req);
+        await recordVersion(connection, context, {
+            endpoint_id, data_id, action: 'restore', before: JSON.parse(existing[0].data), after: jsonData
+        });
+
+        await connection.commit();
+        publishChanges(context);
+
+        res.json({ message: 'Version restored successfully.', data_id: Number(data_id), version_id: version.version_id });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Find the latest deletion of each record that is still gone, within the retention window
+const findDeleted = async (endpoint_id, data_id) => {
+    const [rows] = await pool.execute(
+        `SELECT dv.* FROM data_versions dv
+         LEFT JOIN data_storage ds ON ds.data_id = dv.data_id
+         WHERE dv.endpoint_id = ? AND dv.action = ? AND ds.data_id IS NULL
+         AND dv.created_at >= NOW() - INTERVAL ? DAY${data_id ? ' AND dv.data_id = ?' : ''}
+         ORDER BY dv.version_id DESC`,
+        [endpoint_id, 'delete', HISTORY_RETENTION_DAYS, ...(data_id ? [data_id] : [])]
+    );
+
+    // A record deleted, undeleted and deleted again has several deletions; keep the latest
+    const latest = new Map();
+    for (const row of rows) {
+        if (!latest.has(row.data_id)) latest.set(row.data_id, formatVersion(row));
+    }
+    return [...latest.values()];
+};
+
+// List recently deleted records of an endpoint
+const getDeleted = async (req, res) => {
+    const endpoint_id = req.params.id;
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const deleted = await findDeleted(endpoint_id);
+
+        res.json(deleted.map(version => ({
+            data_id: version.data_id,
+            deleted_at: version.created_at,
+            deleted_by: version.changed_by,
+            actor: version.actor,
+            data: version.data_before
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Bring a recently deleted record back under its old data_id, so references to it work again
+const undelete = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const data_id = req.params.dataId;
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    let connection;
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const [deletion] = await findDeleted(endpoint_id, data_id);
+        if (!deletion) {
+            return res.status(404).json({ message: `No deleted record found from the last ${HISTORY_RETENTION_DAYS} days.` });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const { jsonData, errors } = await validateVersionData(connection, endpoint_id, deletion.data_before);
+        if (errors) {
+            await connection.rollback();
+            return res.status(400).json({ message: 'Validation failed.', errors });
+        }
+
+        const exceeded = await checkRecordQuota(connection, endpoint_id);
+        if (exceeded) {
+            await connection.rollback();
+            return sendQuotaExceeded(res, exceeded);
+        }
+
+        await connection.execute(
+            'INSERT INTO data_storage (data_id, endpoint_id, data) VALUES (?, ?, ?)',
+            [deletion.data_id, endpoint_id, JSON.stringify(jsonData)]
+        );
+        const context = changeContext(req);
+        await recordVersion(connection, context, {
+            endpoint_id, data_id: deletion.data_id, action: 'undelete', after: jsonData
+        });
+
+        await connection.commit();
+        publishChanges(context);
+
+        res.status(201).json({ message: 'Data restored successfully.', data_id: deletion.data_id });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// List endpoint and field changes in the caller's scope, newest first (?endpoint_id=, ?limit=)
+const getAuditLog = async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), MAX_AUDIT_ENTRIES);
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    try {
+        const { clause, params } = scopeCondition(req.scope);
+        const filter = req.query.endpoint_id ? ' AND endpoint_id = ?' : '';
+        const [entries] = await pool.execute(
+            `SELECT * FROM audit_log WHERE ${clause}${filter} ORDER BY audit_id DESC LIMIT ${limit}`,
+            [...params, ...(filter ? [req.query.endpoint_id] : [])]
+        );
+
+        res.json(entries.map(formatAuditEntry));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { getRecordHistory, restoreVersion, getDeleted, undelete, getAuditLog };
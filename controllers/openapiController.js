@@ -0,0 +1,182 @@
+// controllers/openapiController.js
+const pool = require('../db');
+const { isDuplicateKeyError } = require('../storage');
+const { buildOpenApiDocument } = require('../utils/openapi');
+const { planImport } = require('../utils/openapiImport');
+const { serializeMethods } = require('../utils/httpMethods');
+const { authorize, scopeCondition, findEndpoint } = require('../utils/permissions');
+const { checkEndpointQuota, checkFieldQuota, sendQuotaExceeded } = require('../utils/quotas');
+
+const serverUrl = (req) => `${req.protocol}://${req.get('host')}`;
+
+// Pair each endpoint with its field definitions
+const groupFields = (endpoints, fields) => endpoints.map(endpoint => ({
+    endpoint,
+    fields: fields.filter(field => field.endpoint_id === endpoint.endpoint_id)
+}));
+
+// Public /u/{username} paths only serve personal endpoints
+const publicUsername = (req) => (req.scope.workspace_id ? null : req.user.username);
+
+// Get an OpenAPI document for all of the endpoints in the caller's scope
+const getSpec = async (req, res) => {
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    try {
+        const { clause, params } = scopeCondition(req.scope);
+        const [endpoints] = await pool.execute(
+            `SELECT * FROM api_endpoints WHERE ${clause}`,
+            params
+        );
+
+        const scoped = scopeCondition(req.scope, 'ae');
+        const [fields] = await pool.execute(
+            `SELECT fe.* FROM fields fe
+             JOIN api_endpoints ae ON fe.endpoint_id = ae.endpoint_id
+             WHERE ${scoped.clause}`,
+            scoped.params
+        );
+
+        res.json(buildOpenApiDocument(groupFields(endpoints, fields), {
+            title: `${req.user.username || 'Mock'} API`,
+            serverUrl: serverUrl(req),
+            username: publicUsername(req)
+        }));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Get an OpenAPI document for a single endpoint
+const getEndpointSpec = async (req, res) => {
+    const endpoint_id = req.params.id;
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    try {
+        const endpoint = await findEndpoint(pool, req.scope, endpoint_id);
+
+        if (!endpoint) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+        const endpoints = [endpoint];
+
+        const [fields] = await pool.execute(
+            'SELECT * FROM fields WHERE endpoint_id = ?',
+            [endpoint_id]
+        );
+
+        res.json(buildOpenApiDocument(groupFields(endpoints, fields), {
+            title: `${endpoint.endpoint_name} API`,
+            serverUrl: serverUrl(req),
+            username: publicUsername(req)
+        }));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Create endpoints and fields from an OpenAPI 3 or JSON Schema document.
+// Send { document, dry_run } or the document itself; ?dry_run=true also works.
+const importSpec = async (req, res) => {
+    const scope = req.scope;
+    const document = req.body.document || req.body;
+    const dryRun = req.body.dry_run === true || req.query.dry_run === 'true';
+
+    const denied = authorize(scope, 'write');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    const { endpoints, unmapped, error } = planImport(document, { name: req.body.name || req.query.name });
+    if (error) {
+        return res.status(400).json({ message: error });
+    }
+
+    if (endpoints.length === 0) {
+        return res.status(400).json({ message: 'No importable endpoints found in the document.', unmapped });
+    }
+
+    const names = endpoints.map(endpoint => endpoint.endpoint_name);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        return res.status(400).json({ message: `Document defines endpoint(s) more than once: ${[...new Set(duplicates)].join(', ')}.`, unmapped });
+    }
+
+    let connection;
+    try {
+        const { clause, params } = scopeCondition(scope);
+        const [existing] = await pool.execute(
+            `SELECT endpoint_name FROM api_endpoints WHERE ${clause}`,
+            params
+        );
+        const conflicts = existing.map(row => row.endpoint_name).filter(name => names.includes(name));
+
+        if (dryRun) {
+            return res.json({ dry_run: true, endpoints, conflicts, unmapped });
+        }
+
+        if (conflicts.length > 0) {
+            return res.status(409).json({ message: 'Endpoint name already exists.', conflicts, unmapped });
+        }
+
+        const exceeded = await checkEndpointQuota(pool, scope.user_id, endpoints.length);
+        if (exceeded) {
+            return sendQuotaExceeded(res, exceeded);
+        }
+
+        // Everything is created in one transaction so a failed import leaves nothing behind
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const created = [];
+        for (const endpoint of endpoints) {
+            const [result] = await connection.execute(
+                'INSERT INTO api_endpoints (user_id, workspace_id, endpoint_name, http_method) VALUES (?, ?, ?, ?)',
+                [scope.user_id, scope.workspace_id, endpoint.endpoint_name, serializeMethods(endpoint.http_methods)]
+            );
+
+            for (const field of endpoint.fields) {
+                await connection.execute(
+                    'INSERT INTO fields (endpoint_id, field_name, data_type, is_required, default_value, constraints) VALUES (?, ?, ?, ?, ?, ?)',
+                    [result.insertId, field.field_name, field.data_type, field.is_required, field.default_value, field.constraints ? JSON.stringify(field.constraints) : null]
+                );
+            }
+
+            const tooManyFields = await checkFieldQuota(connection, result.insertId, 0);
+            if (tooManyFields) {
+                await connection.rollback();
+                return sendQuotaExceeded(res, { ...tooManyFields, message: `${endpoint.endpoint_name}: ${tooManyFields.message}` });
+            }
+
+            created.push({ endpoint_id: result.insertId, ...endpoint });
+        }
+
+        await connection.commit();
+
+        res.status(201).json({ message: 'Endpoints imported successfully.', endpoints: created, unmapped });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ message: 'Endpoint or field name already exists.', unmapped });
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = { getSpec, getEndpointSpec, importSpec };
@@ -0,0 +1,114 @@
+// controllers/seedController.js
+const crypto = require('crypto');
+const pool = require('../db');
+const { listFields } = require('../repositories/endpointRepository');
+const { listRecords } = require('../repositories/recordRepository');
+const { buildRecord, createBatchValidator, parseConstraints } = require('../utils/validation');
+const { createGenerator, validateHints } = require('../utils/fakeData');
+const { authorize, findEndpoint } = require('../utils/permissions');
+const { checkRecordSize } = require('../utils/quotas');
+const { hasMissingParent } = require('../utils/references');
+const { bindNamedParams, bindingValue } = require('../utils/pathTemplates');
+const { changeContext } = require('../utils/history');
+const { createRecords } = require('../utils/recordOperations');
+
+const MAX_SEED_COUNT = 50000;
+// Generated records that clash with a unique value are generated again this many times at most
+const MAX_UNIQUE_ATTEMPTS = 10;
+
+// Fill an endpoint's data_storage with generated records.
+// Accepts count, seed and params (path parameter values, e.g. to seed one parent's records) from
+// the query string or body, and optional per-field generator hints in the body. Without a seed one
+// is picked and returned, so the same records can be generated again.
+const seedEndpoint = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const count = Number(req.query.count !== undefined ? req.query.count : req.body.count);
+    const requestedSeed = req.query.seed !== undefined ? req.query.seed : req.body.seed;
+    const seed = requestedSeed === undefined || requestedSeed === null ? crypto.randomInt(2 ** 31) : requestedSeed;
+    const params = req.query.params !== undefined ? req.query.params : req.body.params;
+    const hints = req.body.hints;
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    if (!Number.isInteger(count) || count < 1 || count > MAX_SEED_COUNT) {
+        return res.status(400).json({ message: `Count must be an integer between 1 and ${MAX_SEED_COUNT}.` });
+    }
+
+    try {
+        // Verify the endpoint is in the caller's scope
+        const endpoint = await findEndpoint(pool, req.scope, endpoint_id);
+        if (!endpoint) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const fields = await listFields(pool, endpoint_id);
+        if (fields.length === 0) {
+            return res.status(400).json({ message: 'Endpoint has no fields to generate data for.' });
+        }
+
+        const hintError = validateHints(hints, fields);
+        if (hintError) {
+            return res.status(400).json({ message: hintError });
+        }
+
+        const { bindings, error } = bindNamedParams(endpoint, params, fields);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+        if (await hasMissingParent(pool, bindings)) {
+            return res.status(404).json({ message: 'Parent record not found.' });
+        }
+
+        // Generate and validate with the endpoint locked, the same way handleBulkCreate does
+        const context = changeContext(req);
+        const result = await createRecords(context, endpoint_id, async (connection) => {
+            // Reference fields pick from the records that already exist in the referenced endpoint
+            const references = {};
+            for (const field of fields.filter(f => f.data_type.toUpperCase() === 'REFERENCE')) {
+                const records = await listRecords(connection, field.ref_endpoint_id);
+                references[field.field_name] = records.map(record => record.data_id);
+            }
+
+            // Unique fields must not clash with existing records or with each other
+            const validate = await createBatchValidator(connection, endpoint_id, fields);
+            const generate = createGenerator(fields, { seed, hints: hints || {}, references });
+            const uniqueFields = new Set(fields.filter(field => parseConstraints(field).unique).map(field => field.field_name));
+            const records = [];
+            for (let i = 0; i < count; i++) {
+                let jsonData;
+                let allErrors;
+                for (let attempt = 1; ; attempt++) {
+                    const data = generate(i);
+                    bindings.forEach((binding) => {
+                        data[binding.field_name] = bindingValue(binding);
+                    });
+                    const built = buildRecord(data, fields);
+                    jsonData = built.jsonData;
+                    allErrors = validate(jsonData, built.errors);
+                    const clashOnly = allErrors.length > 0 && allErrors.every(error => uniqueFields.has(error.field));
+                    if (!clashOnly || attempt === MAX_UNIQUE_ATTEMPTS) break;
+                }
+                if (allErrors.length > 0) {
+                    return { status: 400, message: `Generated record ${i + 1} failed validation.`, errors: allErrors };
+                }
+                records.push(jsonData);
+            }
+            return checkRecordSize(records) || { records };
+        });
+
+        if (result.status) {
+            const { status, ...body } = result;
+            return res.status(status).json(body);
+        }
+
+        res.status(201).json({ message: 'Data seeded successfully.', count: result.data_ids.length, seed });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { seedEndpoint };
@@ -0,0 +1,133 @@
+// controllers/snapshotController.js
+const pool = require('../db');
+const { authorize, scopeCondition } = require('../utils/permissions');
+const { RESTORE_MODES, buildSnapshot, validateSnapshot, restoreSnapshot } = require('../utils/snapshot');
+
+// Download every endpoint in the scope, with fields and data, as one portable file
+const getSnapshot = async (req, res) => {
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    try {
+        const snapshot = await buildSnapshot(pool, req.scope);
+
+        res.attachment('snapshot.json');
+        res.json(snapshot);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Restore a snapshot into the scope in one transaction. ?mode= decides what happens to
+// endpoints whose names already exist: merge (default) or replace.
+const restore = async (req, res) => {
+    const mode = req.query.mode || 'merge';
+
+    if (!RESTORE_MODES.includes(mode)) {
+        return res.status(400).json({ message: `Mode must be one of: ${RESTORE_MODES.join(', ')}.` });
+    }
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    let connection;
+    try {
+        const { clause, params } = scopeCondition(req.scope);
+        const [existing] = await pool.execute(
+            `SELECT endpoint_name FROM api_endpoints WHERE ${clause}`,
+            params
+        );
+
+        const error = validateSnapshot(req.body, existing.map(endpoint => endpoint.endpoint_name));
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const summary = await restoreSnapshot(connection, req.scope, req.body, mode);
+        if (summary.error) {
+            await connection.rollback();
+            return res.status(summary.status).json({ message: summary.error });
+        }
+
+        await connection.commit();
+
+        res.status(201).json({ message: 'Snapshot restored successfully.', ...summary });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Copy every endpoint in the scope, with fields and data, into a new workspace owned by the caller
+const cloneProject = async (req, res) => {
+    const user_id = req.user.user_id;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ message: 'Workspace name is required.' });
+    }
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return res.status(denied.status).json({ message: denied.message });
+    }
+
+    let connection;
+    try {
+        const snapshot = await buildSnapshot(pool, req.scope);
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            'INSERT INTO workspaces (name, created_by) VALUES (?, ?)',
+            [name, user_id]
+        );
+        await connection.execute(
+            'INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)',
+            [result.insertId, user_id, 'owner']
+        );
+
+        const summary = await restoreSnapshot(connection, { workspace_id: result.insertId, user_id }, snapshot, 'replace');
+        if (summary.error) {
+            await connection.rollback();
+            return res.status(summary.status).json({ message: summary.error });
+        }
+
+        await connection.commit();
+
+        res.status(201).json({
+            workspace_id: result.insertId,
+            endpoints: summary.created.length,
+            records: summary.records,
+            message: 'Project cloned successfully.'
+        });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+module.exports = { getSnapshot, restore, cloneProject };
@@ -0,0 +1,97 @@
+// controllers/streamController.js
+const pool = require('../db');
+const { parseListQuery, matchesFilters } = require('../utils/listQuery');
+const { parseMethods } = require('../utils/httpMethods');
+const { checkAccess } = require('../utils/access');
+const { listFields } = require('../repositories/endpointRepository');
+const { bindPathParams } = require('../utils/pathTemplates');
+const { hasMissingParent } = require('../utils/references');
+const { parseTemplates, shapeRecord, unshapeQuery } = require('../utils/responseTemplates');
+const { subscribe } = require('../utils/changeStream');
+
+const HEARTBEAT_MS = 25000;
+
+// Query parameters that carry credentials rather than filters
+const CREDENTIAL_PARAMS = ['access_token', 'api_key'];
+
+// Stream an endpoint's create, update and delete events as Server-Sent Events at its collection
+// path plus /events. Access follows the same rules as GET on the endpoint. Field filters use the
+// listing syntax (?status=open, ?total[gte]=100); an event is sent when the record matches before
+// or after the change, so subscribers also see records leave the filtered set.
+const streamChanges = async (req, res) => {
+    const scope = req.scope;
+    const access = req.access || { type: 'member', role: scope.role };
+
+    try {
+        // The endpoint and path parameters were matched by resolveStreamRoute, like the REST routes
+        const endpoint = req.endpoint;
+
+        const denied = checkAccess(endpoint, access, 'GET');
+        if (denied) {
+            return res.status(denied.status).json({ message: denied.message });
+        }
+
+        if (!parseMethods(endpoint.http_method).includes('GET')) {
+            return res.status(405).json({ message: 'Method Not Allowed' });
+        }
+
+        const fields = await listFields(pool, endpoint.endpoint_id);
+
+        // Path parameters bound to fields limit the stream to that parent's records
+        const bindings = bindPathParams(endpoint, req.pathParams, fields);
+        if (await hasMissingParent(pool, bindings)) {
+            return res.status(404).json({ message: 'Parent record not found.' });
+        }
+        const pathFilters = Object.fromEntries(bindings.map(({ field_name, value }) => [field_name, value]));
+
+        // Filters use the names the endpoint's response templates show, like listings
+        const templates = parseTemplates(endpoint);
+        const mapped = unshapeQuery(Object.fromEntries(Object.entries(req.query).filter(([name]) => !CREDENTIAL_PARAMS.includes(name))), templates);
+        if (mapped.error) {
+            return res.status(400).json({ message: mapped.error });
+        }
+        const options = parseListQuery({ ...mapped.query, ...pathFilters }, fields);
+        if (options.error) {
+            return res.status(400).json({ message: options.error });
+        }
+
+        res.set({
+            'Content-Type': 'text/event-stream; charset=utf-8',
+            'Cache-Control': 'no-cache',
+            Connection: 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        res.write('retry: 3000\n\n');
+
+        let eventId = 0;
+        const matches = (data, data_id) => data !== null && matchesFilters({ data_id, ...data }, options.filters);
+        const unsubscribe = subscribe(endpoint.endpoint_id, (change) => {
+            if (!matches(change.data, change.data_id) && !matches(change.previous, change.data_id)) return;
+
+            eventId++;
+            const payload = {
+                endpoint_name: endpoint.endpoint_name,
+                ...change,
+                data: change.data && shapeRecord(change.data, templates),
+                previous: change.previous && shapeRecord(change.previous, templates)
+            };
+            res.write(`id: ${eventId}\nevent: ${change.event}\ndata: ${JSON.stringify(payload)}\n\n`);
+        });
+
+        // Comments keep proxies from closing an idle connection
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+        });
+    } catch (err) {
+        console.error(err);
+        if (!res.headersSent) {
+            res.status(500).json({ message: 'Server error.' });
+        }
+    }
+};
+
+module.exports = { streamChanges };
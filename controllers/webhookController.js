@@ -0,0 +1,251 @@
+// controllers/webhookController.js
+const pool = require('../db');
+const { parseList } = require('../utils/apiKeys');
+const { authorize, findEndpoint } = require('../utils/permissions');
+const { WEBHOOK_EVENTS, generateSecret, validateWebhookUrl, enqueueDelivery } = require('../utils/webhooks');
+
+const MAX_DELIVERIES = 500;
+
+const sendDenied = (res, denied) => res.status(denied.status).json({ message: denied.message });
+
+// The secret is only shown when a webhook is created or its secret rotated
+const formatWebhook = ({ secret, ...row }) => ({ ...row, events: parseList(row.events), active: Boolean(row.active) });
+
+// Events are sent as an array; an empty or unknown event is rejected. Returns { events } or { error }.
+const normalizeEvents = (events) => {
+    if (!Array.isArray(events) || events.length === 0) {
+        return { error: `Events must be a non-empty array of: ${WEBHOOK_EVENTS.join(', ')}.` };
+    }
+    const invalid = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+    if (invalid.length > 0) {
+        return { error: `Invalid webhook event(s): ${invalid.join(', ')}.` };
+    }
+    return { events: WEBHOOK_EVENTS.filter(event => events.includes(event)) };
+};
+
+// Load a webhook of an endpoint in the caller's scope, or send a 404
+const loadWebhook = async (req, res) => {
+    if (!(await findEndpoint(pool, req.scope, req.params.id))) {
+        res.status(404).json({ message: 'API endpoint not found.' });
+        return null;
+    }
+
+    const [webhooks] = await pool.execute(
+        'SELECT * FROM webhooks WHERE webhook_id = ? AND endpoint_id = ?',
+        [req.params.webhookId, req.params.id]
+    );
+
+    if (webhooks.length === 0) {
+        res.status(404).json({ message: 'Webhook not found.' });
+        return null;
+    }
+    return webhooks[0];
+};
+
+// Subscribe a URL to an endpoint's data changes
+const createWebhook = async (req, res) => {
+    const endpoint_id = req.params.id;
+    const { url, events = WEBHOOK_EVENTS } = req.body;
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    const urlError = await validateWebhookUrl(url);
+    if (urlError) {
+        return res.status(400).json({ message: urlError });
+    }
+
+    const normalized = normalizeEvents(events);
+    if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+    }
+
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const secret = generateSecret();
+        const [result] = await pool.execute(
+            'INSERT INTO webhooks (endpoint_id, url, secret, events, active, created_by) VALUES (?, ?, ?, ?, ?, ?)',
+            [endpoint_id, url, secret, normalized.events.join(','), true, req.user.user_id]
+        );
+
+        res.status(201).json({
+            webhook_id: result.insertId,
+            secret,
+            message: 'Webhook created successfully. Store the secret now; it will not be shown again.'
+        });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// List an endpoint's webhooks
+const getWebhooks = async (req, res) => {
+    const endpoint_id = req.params.id;
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    try {
+        if (!(await findEndpoint(pool, req.scope, endpoint_id))) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        const [webhooks] = await pool.execute(
+            'SELECT * FROM webhooks WHERE endpoint_id = ?',
+            [endpoint_id]
+        );
+
+        res.json(webhooks.map(formatWebhook));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Change a webhook's URL, events or active flag, or rotate its secret
+const updateWebhook = async (req, res) => {
+    const { url, events, active, rotate_secret } = req.body;
+
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    if (url === undefined && events === undefined && active === undefined && !rotate_secret) {
+        return res.status(400).json({ message: 'At least one field (url, events, active or rotate_secret) is required.' });
+    }
+
+    const urlError = url !== undefined && await validateWebhookUrl(url);
+    if (urlError) {
+        return res.status(400).json({ message: urlError });
+    }
+
+    const normalized = events !== undefined ? normalizeEvents(events) : {};
+    if (normalized.error) {
+        return res.status(400).json({ message: normalized.error });
+    }
+
+    if (active !== undefined && typeof active !== 'boolean') {
+        return res.status(400).json({ message: 'active must be a boolean.' });
+    }
+
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const secret = rotate_secret ? generateSecret() : webhook.secret;
+        await pool.execute(
+            'UPDATE webhooks SET url = ?, events = ?, active = ?, secret = ? WHERE webhook_id = ?',
+            [
+                url !== undefined ? url : webhook.url,
+                normalized.events ? normalized.events.join(',') : webhook.events,
+                active !== undefined ? active : Boolean(webhook.active),
+                secret,
+                webhook.webhook_id
+            ]
+        );
+
+        res.json({ message: 'Webhook updated successfully.', ...(rotate_secret && { secret }) });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Remove a webhook and its delivery log
+const deleteWebhook = async (req, res) => {
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    let connection;
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        await connection.execute('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [webhook.webhook_id]);
+        await connection.execute('DELETE FROM webhooks WHERE webhook_id = ?', [webhook.webhook_id]);
+
+        await connection.commit();
+
+        res.json({ message: 'Webhook deleted successfully.' });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Show a webhook's delivery log, newest first (?status=, ?limit=)
+const getDeliveries = async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_DELIVERIES);
+
+    const denied = authorize(req.scope, 'read');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const filter = req.query.status ? ' AND status = ?' : '';
+        const [deliveries] = await pool.execute(
+            `SELECT * FROM webhook_deliveries WHERE webhook_id = ?${filter} ORDER BY delivery_id DESC LIMIT ${limit}`,
+            [webhook.webhook_id, ...(filter ? [req.query.status] : [])]
+        );
+
+        res.json(deliveries.map(delivery => ({
+            ...delivery,
+            payload: typeof delivery.payload === 'string' ? JSON.parse(delivery.payload) : delivery.payload
+        })));
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Send a ping event to check a receiver is reachable and verifies signatures
+const pingWebhook = async (req, res) => {
+    const denied = authorize(req.scope, 'write');
+    if (denied) {
+        return sendDenied(res, denied);
+    }
+
+    try {
+        const webhook = await loadWebhook(req, res);
+        if (!webhook) return;
+
+        const delivery_id = await enqueueDelivery(webhook, 'ping', {
+            event: 'ping',
+            webhook_id: webhook.webhook_id,
+            endpoint_id: webhook.endpoint_id,
+            occurred_at: new Date().toISOString()
+        });
+
+        res.status(202).json({ delivery_id, message: 'Ping queued.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { createWebhook, getWebhooks, updateWebhook, deleteWebhook, getDeliveries, pingWebhook };
@@ -0,0 +1,285 @@
+// controllers/workspaceController.js
+const pool = require('../db');
+const { isDuplicateKeyError } = require('../storage');
+const { WORKSPACE_ROLES, authorize, findMembership } = require('../utils/permissions');
+const { deleteWorkspaceData } = require('../utils/workspaces');
+
+// Load the caller's role in the workspace and check it allows the action.
+// Returns { role } or { status, message }; non-members get a 404.
+const checkWorkspace = async (workspace_id, user_id, action) => {
+    const role = await findMembership(pool, workspace_id, user_id);
+    if (!role) {
+        return { status: 404, message: 'Workspace not found.' };
+    }
+    return authorize({ role }, action) || { role };
+};
+
+// A workspace must always keep at least one owner
+const isLastOwner = async (db, workspace_id, user_id) => {
+    const [owners] = await db.execute(
+        'SELECT user_id FROM workspace_members WHERE workspace_id = ? AND role = ?',
+        [workspace_id, 'owner']
+    );
+    return owners.length === 1 && owners[0].user_id === Number(user_id);
+};
+
+// Create a workspace; the creator becomes its owner
+const createWorkspace = async (req, res) => {
+    const user_id = req.user.user_id;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ message: 'Workspace name is required.' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const [result] = await connection.execute(
+            'INSERT INTO workspaces (name, created_by) VALUES (?, ?)',
+            [name, user_id]
+        );
+        await connection.execute(
+            'INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)',
+            [result.insertId, user_id, 'owner']
+        );
+
+        await connection.commit();
+
+        res.status(201).json({ workspace_id: result.insertId, message: 'Workspace created successfully.' });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Get the workspaces the user is a member of, with their role in each
+const getWorkspaces = async (req, res) => {
+    const user_id = req.user.user_id;
+
+    try {
+        const [rows] = await pool.execute(
+            `SELECT w.*, wm.role FROM workspaces w
+             JOIN workspace_members wm ON w.workspace_id = wm.workspace_id
+             WHERE wm.user_id = ?`,
+            [user_id]
+        );
+
+        res.json(rows);
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Get a workspace with its members
+const getWorkspaceById = async (req, res) => {
+    const workspace_id = req.params.id;
+
+    try {
+        const check = await checkWorkspace(workspace_id, req.user.user_id, 'read');
+        if (check.status) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        const [workspaces] = await pool.execute(
+            'SELECT * FROM workspaces WHERE workspace_id = ?',
+            [workspace_id]
+        );
+        const [members] = await pool.execute(
+            `SELECT u.user_id, u.username, wm.role FROM workspace_members wm
+             JOIN users u ON wm.user_id = u.user_id
+             WHERE wm.workspace_id = ?`,
+            [workspace_id]
+        );
+
+        res.json({ ...workspaces[0], role: check.role, members });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Rename a workspace
+const updateWorkspace = async (req, res) => {
+    const workspace_id = req.params.id;
+    const { name } = req.body;
+
+    if (!name || typeof name !== 'string') {
+        return res.status(400).json({ message: 'Workspace name is required.' });
+    }
+
+    try {
+        const check = await checkWorkspace(workspace_id, req.user.user_id, 'manage');
+        if (check.status) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        await pool.execute(
+            'UPDATE workspaces SET name = ? WHERE workspace_id = ?',
+            [name, workspace_id]
+        );
+
+        res.json({ message: 'Workspace updated successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Delete a workspace with all of its endpoints and data
+const deleteWorkspace = async (req, res) => {
+    const workspace_id = req.params.id;
+    let connection;
+
+    try {
+        const check = await checkWorkspace(workspace_id, req.user.user_id, 'manage');
+        if (check.status) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+        await deleteWorkspaceData(connection, workspace_id);
+        await connection.commit();
+
+        res.json({ message: 'Workspace deleted successfully.' });
+    } catch (err) {
+        if (connection) {
+            await connection.rollback();
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+// Add a member by username
+const addMember = async (req, res) => {
+    const workspace_id = req.params.id;
+    const { username, role } = req.body;
+
+    if (!username || !WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Username and a role (${WORKSPACE_ROLES.join(', ')}) are required.` });
+    }
+
+    try {
+        const check = await checkWorkspace(workspace_id, req.user.user_id, 'manage');
+        if (check.status) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        const [users] = await pool.execute(
+            'SELECT user_id FROM users WHERE username = ?',
+            [username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'User not found.' });
+        }
+
+        await pool.execute(
+            'INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, ?)',
+            [workspace_id, users[0].user_id, role]
+        );
+
+        res.status(201).json({ user_id: users[0].user_id, username, role, message: 'Member added successfully.' });
+    } catch (err) {
+        if (isDuplicateKeyError(err)) {
+            return res.status(409).json({ message: 'User is already a member of this workspace.' });
+        }
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Change a member's role
+const updateMember = async (req, res) => {
+    const workspace_id = req.params.id;
+    const member_id = req.params.userId;
+    const { role } = req.body;
+
+    if (!WORKSPACE_ROLES.includes(role)) {
+        return res.status(400).json({ message: `Role must be one of: ${WORKSPACE_ROLES.join(', ')}.` });
+    }
+
+    try {
+        const check = await checkWorkspace(workspace_id, req.user.user_id, 'manage');
+        if (check.status) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        if (role !== 'owner' && await isLastOwner(pool, workspace_id, member_id)) {
+            return res.status(409).json({ message: 'A workspace must keep at least one owner.' });
+        }
+
+        const [result] = await pool.execute(
+            'UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?',
+            [role, workspace_id, member_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Member not found.' });
+        }
+
+        res.json({ message: 'Member updated successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// Remove a member; any member may also remove themselves to leave the workspace
+const removeMember = async (req, res) => {
+    const workspace_id = req.params.id;
+    const member_id = req.params.userId;
+    const isSelf = Number(member_id) === req.user.user_id;
+
+    try {
+        const check = await checkWorkspace(workspace_id, req.user.user_id, isSelf ? 'read' : 'manage');
+        if (check.status) {
+            return res.status(check.status).json({ message: check.message });
+        }
+
+        if (await isLastOwner(pool, workspace_id, member_id)) {
+            return res.status(409).json({ message: 'A workspace must keep at least one owner.' });
+        }
+
+        const [result] = await pool.execute(
+            'DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+            [workspace_id, member_id]
+        );
+
+        if (result.affectedRows === 0) {
+            return res.status(404).json({ message: 'Member not found.' });
+        }
+
+        res.json({ message: 'Member removed successfully.' });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = {
+    createWorkspace,
+    getWorkspaces,
+    getWorkspaceById,
+    updateWorkspace,
+    deleteWorkspace,
+    addMember,
+    updateMember,
+    removeMember
+};
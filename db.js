@@ -1,15 +1,5 @@
 // db.js
-const mysql = require('mysql2/promise');
-require('dotenv').config();
+const { createDatabase } = require('./storage');
 
-const pool = mysql.createPool({
-    host: process.env.DB_HOST,
-    user: process.env.DB_USER,
-    password: process.env.DB_PASSWORD,
-    database: process.env.DB_NAME,
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
-
-module.exports = pool;
\ No newline at end of file
+// The shared database handle. DB_DRIVER picks MySQL (default), a SQLite file or an in-memory database.
+module.exports = createDatabase();
@@ -1,18 +1,22 @@
 // middleware/auth.js
-const jwt = require('jsonwebtoken');
-require('dotenv').config();
+const { verifyAccessToken } = require('../utils/tokens');
 
-const authenticateToken = (req, res, next) => {
+const authenticateToken = async (req, res, next) => {
     const authHeader = req.headers['authorization'];
     const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
     if (!token) return res.status(401).json({ message: 'Access Token Required' });
 
-    jwt.verify(token, process.env.JWT_SECRET, (err, user) => {
-        if (err) return res.status(403).json({ message: 'Invalid Token' });
+    try {
+        // Checks the signature and that the token hasn't been revoked
+        const user = await verifyAccessToken(token);
+        if (!user) return res.status(403).json({ message: 'Invalid Token' });
         req.user = user;
         next();
-    });
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
 };
 
 module.exports = authenticateToken;
\ No newline at end of file
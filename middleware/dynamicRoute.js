@@ -0,0 +1,53 @@
+// middleware/dynamicRoute.js
+const pool = require('../db');
+const { listEndpoints } = require('../repositories/endpointRepository');
+const { matchPath } = require('../utils/pathTemplates');
+
+// Match the path after /api against the endpoints in scope (their names, or their path
+// templates) and hand the match to the handlers. Returns false when nothing matches.
+const matchRequest = async (req, { collectionOnly = false } = {}) => {
+    const parts = req.params[0].split('/').filter(Boolean);
+    const endpoints = await listEndpoints(pool, req.scope);
+    const match = matchPath(endpoints, parts);
+    if (!match || (collectionOnly && match.data_id !== undefined)) {
+        return false;
+    }
+
+    req.endpoint = match.endpoint;
+    req.pathParams = match.params;
+    req.params.endpoint_name = match.endpoint.endpoint_name;
+    if (match.data_id !== undefined) {
+        req.params.data_id = match.data_id;
+    }
+    return true;
+};
+
+// Sets req.endpoint and req.pathParams, plus req.params.endpoint_name and req.params.data_id.
+// Must run after the scope is resolved.
+const resolveDynamicRoute = async (req, res, next) => {
+    try {
+        if (!await matchRequest(req)) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+// The change stream answers at <collection path>/events, so it only matches collection routes.
+// Anything else ending in /events (e.g. an endpoint at calendar/events) goes on to the REST routes.
+const resolveStreamRoute = async (req, res, next) => {
+    try {
+        if (!await matchRequest(req, { collectionOnly: true })) {
+            return next('route');
+        }
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = { resolveDynamicRoute, resolveStreamRoute };
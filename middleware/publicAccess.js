@@ -0,0 +1,71 @@
+// middleware/publicAccess.js
+const pool = require('../db');
+const { hashApiKey, parseList } = require('../utils/apiKeys');
+const { verifyAccessToken } = require('../utils/tokens');
+
+// Resolve the endpoint owner from /u/:username and work out who is calling:
+// the owner (JWT), an API key holder (X-API-Key) or an anonymous client.
+const resolveOwner = async (req, res, next) => {
+    try {
+        const [users] = await pool.execute(
+            'SELECT user_id FROM users WHERE username = ?',
+            [req.params.username]
+        );
+
+        if (users.length === 0) {
+            return res.status(404).json({ message: 'API endpoint not found.' });
+        }
+
+        req.ownerId = users[0].user_id;
+        // Public paths only serve the owner's personal endpoints
+        req.scope = { workspace_id: null, user_id: req.ownerId };
+
+        const authHeader = req.headers['authorization'];
+        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        if (token) {
+            const user = await verifyAccessToken(token);
+            if (!user) {
+                return res.status(403).json({ message: 'Invalid Token' });
+            }
+            // Other users' tokens are treated like anonymous callers
+            if (user.user_id === req.ownerId) {
+                req.user = user;
+                req.access = { type: 'member', role: 'owner' };
+                return next();
+            }
+        }
+
+        const apiKey = req.headers['x-api-key'];
+        if (apiKey) {
+            const [keys] = await pool.execute(
+                'SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+                [hashApiKey(apiKey)]
+            );
+
+            if (keys.length === 0 || keys[0].user_id !== req.ownerId) {
+                return res.status(401).json({ message: 'Invalid API key.' });
+            }
+
+            await pool.execute(
+                'UPDATE api_keys SET last_used_at = NOW() WHERE key_id = ?',
+                [keys[0].key_id]
+            );
+
+            req.access = {
+                type: 'api_key',
+                key_id: keys[0].key_id,
+                scopes: parseList(keys[0].scopes),
+                endpoint_ids: parseList(keys[0].endpoint_ids)
+            };
+            return next();
+        }
+
+        req.access = { type: 'anonymous' };
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = resolveOwner;
@@ -0,0 +1,16 @@
+// middleware/queryCredentials.js
+
+// Browsers' EventSource can't send headers, so the change stream routes also take the access
+// token as ?access_token= and an API key as ?api_key=. Only those routes use this, to keep
+// credentials out of URLs elsewhere. Must run before authenticateToken or resolveOwner.
+const acceptQueryCredentials = (req, res, next) => {
+    if (req.query.access_token && !req.headers['authorization']) {
+        req.headers['authorization'] = `Bearer ${req.query.access_token}`;
+    }
+    if (req.query.api_key && !req.headers['x-api-key']) {
+        req.headers['x-api-key'] = req.query.api_key;
+    }
+    next();
+};
+
+module.exports = acceptQueryCredentials;
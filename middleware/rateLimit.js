@@ -0,0 +1,88 @@
+// middleware/rateLimit.js
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+const { hashApiKey } = require('../utils/apiKeys');
+const { RATE_LIMITS, hit } = require('../utils/rateLimit');
+
+// Work out who to count a request against: the user of a validly signed access token, then an
+// API key that exists and isn't revoked, then the client IP. Invalid tokens and unknown keys count
+// against the IP, so making up a new one for every request doesn't get a fresh allowance.
+// Revoked tokens are still rejected later by the route's own authentication.
+const identifyCaller = async (req) => {
+    const authHeader = req.headers['authorization'];
+    const token = (authHeader && authHeader.split(' ')[1]) || req.query.access_token;
+    if (token) {
+        try {
+            const user = jwt.verify(token, process.env.JWT_SECRET);
+            return { type: 'user', id: user.user_id };
+        } catch (err) {
+            // Fall through to the next identity
+        }
+    }
+
+    const apiKey = req.headers['x-api-key'] || req.query.api_key;
+    if (typeof apiKey === 'string' && apiKey) {
+        try {
+            const [keys] = await pool.execute(
+                'SELECT key_id FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL',
+                [hashApiKey(apiKey)]
+            );
+            if (keys.length > 0) {
+                return { type: 'api_key', id: keys[0].key_id };
+            }
+        } catch (err) {
+            // Without the database the key can't be trusted; count it against the IP
+            console.error('Rate limit key lookup error:', err);
+        }
+    }
+
+    return { type: 'ip', id: req.ip };
+};
+
+// Build a middleware that counts each request against the { key, limit } picked by resolve(req)
+// and answers 429 once the window's limit is used up. RateLimit-* headers follow the IETF draft;
+// RateLimit-Reset is the number of seconds until the window starts over.
+const rateLimiter = (name, windowMs, resolve) => async (req, res, next) => {
+    const { key, limit } = await resolve(req);
+    if (!limit) return next();
+
+    let result;
+    try {
+        result = await hit(`${name}:${key}`, limit, windowMs);
+    } catch (err) {
+        // A broken counter store shouldn't take the whole API down with it
+        console.error('Rate limit store error:', err);
+        return next();
+    }
+
+    const reset = Math.max(Math.ceil((result.resetAt - Date.now()) / 1000), 0);
+    res.set({
+        'RateLimit-Limit': String(result.limit),
+        'RateLimit-Remaining': String(result.remaining),
+        'RateLimit-Reset': String(reset)
+    });
+
+    if (result.limited) {
+        res.set('Retry-After', String(reset));
+        return res.status(429).json({ message: 'Too many requests. Please try again later.', retry_after: reset });
+    }
+    next();
+};
+
+const apiRateLimit = rateLimiter('api', RATE_LIMITS.api.windowMs, async (req) => {
+    const caller = await identifyCaller(req);
+    return { key: `${caller.type}:${caller.id}`, limit: RATE_LIMITS.api[caller.type] };
+});
+
+// Each auth action has its own allowance, so using up sign-in doesn't also block registration or a
+// password reset. Sign-in is counted per IP and account: guessing one account's password is slowed
+// down without locking out everyone else behind the same address.
+const authRateLimit = (action) => rateLimiter(`auth:${action}`, RATE_LIMITS.auth.windowMs, (req) => {
+    const username = action === 'login' && req.body && typeof req.body.username === 'string' ? req.body.username.toLowerCase() : null;
+    return {
+        key: username === null ? `ip:${req.ip}` : `ip:${req.ip}:user:${username}`,
+        limit: RATE_LIMITS.auth.ip
+    };
+});
+
+module.exports = { apiRateLimit, authRateLimit };
@@ -0,0 +1,33 @@
+// middleware/workspace.js
+const pool = require('../db');
+const { findMembership } = require('../utils/permissions');
+
+// Work out which endpoints the request operates on. Without an X-Workspace-Id header the
+// caller works on their personal endpoints as owner; with it, on the workspace's endpoints
+// with their member role. Must run after authenticateToken.
+const resolveWorkspace = async (req, res, next) => {
+    const workspace_id = req.headers['x-workspace-id'];
+    const user_id = req.user.user_id;
+
+    if (!workspace_id) {
+        req.scope = { workspace_id: null, user_id, role: 'owner' };
+        return next();
+    }
+
+    try {
+        const role = await findMembership(pool, workspace_id, user_id);
+
+        // Non-members can't tell a workspace exists
+        if (!role) {
+            return res.status(404).json({ message: 'Workspace not found.' });
+        }
+
+        req.scope = { workspace_id, user_id, role };
+        next();
+    } catch (err) {
+        console.error(err);
+        res.status(500).json({ message: 'Server error.' });
+    }
+};
+
+module.exports = resolveWorkspace;
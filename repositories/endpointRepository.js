@@ -0,0 +1,155 @@
+// repositories/endpointRepository.js
+const { scopeCondition } = require('../utils/permissions');
+
+// Endpoint definitions and their fields. Behavior, response templates and constraints are
+// passed in and out as objects and stored as JSON. Every function takes the database handle
+// first: the pool, or a connection inside a transaction.
+
+// Columns each update may change; anything else in the changes is ignored
+const ENDPOINT_COLUMNS = ['endpoint_name', 'path', 'path_params', 'http_method', 'behavior', 'response_templates', 'access_mode'];
+const FIELD_COLUMNS = ['field_name', 'data_type', 'is_required', 'default_value', 'ref_endpoint_id', 'on_delete', 'constraints'];
+
+const toJson = (value) => (value ? JSON.stringify(value) : null);
+
+// Run an UPDATE of the given columns that are present (not undefined) in changes
+const updateColumns = async (db, table, key, id, columns, changes) => {
+    const names = columns.filter(column => changes[column] !== undefined);
+    if (names.length === 0) return 0;
+    const [result] = await db.execute(
+        `UPDATE ${table} SET ${names.map(column => `${column} = ?`).join(', ')} WHERE ${key} = ?`,
+        [...names.map(column => changes[column]), id]
+    );
+    return result.affectedRows;
+};
+
+// Every endpoint in the caller's scope (personal or workspace)
+const listEndpoints = async (db, scope) => {
+    const { clause, params } = scopeCondition(scope);
+    const [rows] = await db.execute(
+        `SELECT * FROM api_endpoints WHERE ${clause}`,
+        params
+    );
+    return rows;
+};
+
+// The endpoint with this name in the caller's scope, or null
+const findEndpointByName = async (db, scope, endpoint_name) => {
+    const { clause, params } = scopeCondition(scope);
+    const [rows] = await db.execute(
+        `SELECT * FROM api_endpoints WHERE endpoint_name = ? AND ${clause}`,
+        [endpoint_name, ...params]
+    );
+    return rows[0] || null;
+};
+
+// Hold the endpoint's row until the transaction ends, so writes that check the endpoint's
+// records first (unique values, quotas) run one at a time. Must run inside a transaction.
+const lockEndpoint = async (db, endpoint_id) => {
+    await db.execute(
+        'SELECT endpoint_id FROM api_endpoints WHERE endpoint_id = ? FOR UPDATE',
+        [endpoint_id]
+    );
+};
+
+// Returns the new endpoint_id
+const createEndpoint = async (db, { user_id, workspace_id, endpoint_name, path = null, path_params = null, http_method, behavior = null, response_templates = null, access_mode = 'private' }) => {
+    const [result] = await db.execute(
+        'INSERT INTO api_endpoints (user_id, workspace_id, endpoint_name, path, path_params, http_method, behavior, response_templates, access_mode) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+        [user_id, workspace_id, endpoint_name, path, toJson(path_params), http_method, toJson(behavior), toJson(response_templates), access_mode]
+    );
+    return result.insertId;
+};
+
+const updateEndpoint = (db, endpoint_id, changes) => updateColumns(db, 'api_endpoints', 'endpoint_id', endpoint_id, ENDPOINT_COLUMNS, {
+    ...changes,
+    ...(changes.behavior !== undefined && { behavior: toJson(changes.behavior) }),
+    ...(changes.path_params !== undefined && { path_params: toJson(changes.path_params) }),
+    ...(changes.response_templates !== undefined && { response_templates: toJson(changes.response_templates) })
+});
+
+// Fields, records and history go with the endpoint through the schema's cascading deletes
+const deleteEndpoint = async (db, endpoint_id) => {
+    await db.execute(
+        'DELETE FROM api_endpoints WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+};
+
+// Fields of other endpoints that reference this one
+const findReferencingFields = async (db, endpoint_id) => {
+    const [rows] = await db.execute(
+        'SELECT * FROM fields WHERE ref_endpoint_id = ? AND endpoint_id <> ?',
+        [endpoint_id, endpoint_id]
+    );
+    return rows;
+};
+
+const listFields = async (db, endpoint_id) => {
+    const [rows] = await db.execute(
+        'SELECT * FROM fields WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+    return rows;
+};
+
+// Fields of every endpoint in the caller's scope
+const listScopeFields = async (db, scope) => {
+    const { clause, params } = scopeCondition(scope, 'ae');
+    const [rows] = await db.execute(
+        `SELECT fe.* FROM fields fe
+         JOIN api_endpoints ae ON fe.endpoint_id = ae.endpoint_id
+         WHERE ${clause}
+         ORDER BY fe.endpoint_id, fe.field_id`,
+        params
+    );
+    return rows;
+};
+
+// A field of an endpoint in the caller's scope, or null
+const findField = async (db, scope, endpoint_id, field_id) => {
+    const { clause, params } = scopeCondition(scope, 'ae');
+    const [rows] = await db.execute(
+        `SELECT fe.* FROM fields fe
+         JOIN api_endpoints ae ON fe.endpoint_id = ae.endpoint_id
+         WHERE fe.field_id = ? AND ae.endpoint_id = ? AND ${clause}`,
+        [field_id, endpoint_id, ...params]
+    );
+    return rows[0] || null;
+};
+
+// Returns the new field_id
+const createField = async (db, endpoint_id, { field_name, data_type, is_required = false, default_value = null, ref_endpoint_id = null, on_delete = null, constraints = null }) => {
+    const [result] = await db.execute(
+        'INSERT INTO fields (endpoint_id, field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete, constraints) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+        [endpoint_id, field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete, toJson(constraints)]
+    );
+    return result.insertId;
+};
+
+const updateField = (db, field_id, changes) => updateColumns(db, 'fields', 'field_id', field_id, FIELD_COLUMNS, {
+    ...changes,
+    ...(changes.constraints !== undefined && { constraints: toJson(changes.constraints) })
+});
+
+const deleteField = async (db, field_id) => {
+    await db.execute(
+        'DELETE FROM fields WHERE field_id = ?',
+        [field_id]
+    );
+};
+
+module.exports = {
+    listEndpoints,
+    findEndpointByName,
+    lockEndpoint,
+    createEndpoint,
+    updateEndpoint,
+    deleteEndpoint,
+    findReferencingFields,
+    listFields,
+    listScopeFields,
+    findField,
+    createField,
+    updateField,
+    deleteField
+};
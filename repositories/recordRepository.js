@@ -0,0 +1,67 @@
+// repositories/recordRepository.js
+
+// Stored records of dynamic endpoints. Data is kept as JSON in data_storage and handed out as
+// { data_id, ...data }, the shape listings, filters and expansion work with. Every function
+// takes the database handle first: the pool, or a connection inside a transaction.
+
+const INSERT_BATCH_SIZE = 1000;
+
+const toRecord = (row) => ({ data_id: row.data_id, ...JSON.parse(row.data) });
+
+const listRecords = async (db, endpoint_id) => {
+    const [rows] = await db.execute(
+        'SELECT data_id, data FROM data_storage WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+    return rows.map(toRecord);
+};
+
+// One record of the endpoint, or null
+const findRecord = async (db, endpoint_id, data_id) => {
+    const [rows] = await db.execute(
+        'SELECT data_id, data FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
+        [data_id, endpoint_id]
+    );
+    return rows.length > 0 ? toRecord(rows[0]) : null;
+};
+
+// Store a new record; returns its data_id
+const insertRecord = async (db, endpoint_id, data) => {
+    const [result] = await db.execute(
+        'INSERT INTO data_storage (endpoint_id, data) VALUES (?, ?)',
+        [endpoint_id, JSON.stringify(data)]
+    );
+    return result.insertId;
+};
+
+// Store many new records with multi-row inserts; returns their data_ids in insertion order.
+// The caller must hold the endpoint's lock (lockEndpoint), so no other rows arrive meanwhile.
+const insertRecords = async (db, endpoint_id, records) => {
+    const [[{ last_id }]] = await db.execute(
+        'SELECT MAX(data_id) AS last_id FROM data_storage WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+    for (let start = 0; start < records.length; start += INSERT_BATCH_SIZE) {
+        const batch = records.slice(start, start + INSERT_BATCH_SIZE);
+        await db.execute(
+            `INSERT INTO data_storage (endpoint_id, data) VALUES ${batch.map(() => '(?, ?)').join(', ')}`,
+            batch.flatMap(data => [endpoint_id, JSON.stringify(data)])
+        );
+    }
+    const [rows] = await db.execute(
+        'SELECT data_id FROM data_storage WHERE endpoint_id = ? AND data_id > ? ORDER BY data_id',
+        [endpoint_id, last_id || 0]
+    );
+    return rows.map(row => row.data_id);
+};
+
+// Overwrite a record's data; returns the number of records changed
+const updateRecord = async (db, endpoint_id, data_id, data) => {
+    const [result] = await db.execute(
+        'UPDATE data_storage SET data = ? WHERE data_id = ? AND endpoint_id = ?',
+        [JSON.stringify(data), data_id, endpoint_id]
+    );
+    return result.affectedRows;
+};
+
+module.exports = { listRecords, findRecord, insertRecord, insertRecords, updateRecord };
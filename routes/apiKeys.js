@@ -0,0 +1,16 @@
+// routes/apiKeys.js
+const express = require('express');
+const router = express.Router();
+const apiKeyController = require('../controllers/apiKeyController');
+const authenticateToken = require('../middleware/auth');
+
+// Create a new API key
+router.post('/', authenticateToken, apiKeyController.createApiKey);
+
+// Get all API keys for the authenticated user
+router.get('/', authenticateToken, apiKeyController.getApiKeys);
+
+// Revoke an API key
+router.delete('/:id', authenticateToken, apiKeyController.revokeApiKey);
+
+module.exports = router;
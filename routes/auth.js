@@ -2,11 +2,36 @@
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/authController');
+const authenticateToken = require('../middleware/auth');
+const { authRateLimit } = require('../middleware/rateLimit');
 
 // Register a new user
-router.post('/register', authController.register);
+router.post('/register', authRateLimit('register'), authController.register);
 
-// Login a user
-router.post('/login', authController.login);
+// Login a user; attempts are limited per IP and account
+router.post('/login', authRateLimit('login'), authController.login);
+
+// Exchange a refresh token for new tokens
+router.post('/refresh', authController.refresh);
+
+// Logout: revoke the current access token and refresh token
+router.post('/logout', authenticateToken, authController.logout);
+
+// Revoke a specific access or refresh token
+router.post('/revoke', authenticateToken, authController.revoke);
+
+// Profile of the signed-in user
+router.get('/me', authenticateToken, authController.getProfile);
+router.patch('/me', authenticateToken, authController.updateProfile);
+
+// Delete the account and everything it owns
+router.delete('/me', authenticateToken, authController.deleteAccount);
+
+// Change the password of the signed-in user
+router.post('/password', authenticateToken, authController.changePassword);
+
+// Request a password reset token by email, then use it to set a new password
+router.post('/password/forgot', authRateLimit('forgot_password'), authController.forgotPassword);
+router.post('/password/reset', authRateLimit('reset_password'), authController.resetPassword);
 
 module.exports = router;
\ No newline at end of file
@@ -2,9 +2,23 @@
 const express = require('express');
 const router = express.Router();
 const dynamicController = require('../controllers/dynamicController');
+const streamController = require('../controllers/streamController');
 const authenticateToken = require('../middleware/auth');
+const resolveWorkspace = require('../middleware/workspace');
+const resolveOwner = require('../middleware/publicAccess');
+const acceptQueryCredentials = require('../middleware/queryCredentials');
+const { resolveDynamicRoute, resolveStreamRoute } = require('../middleware/dynamicRoute');
 
-// All dynamic routes will be under /api/:endpoint_name
-router.use('/api/:endpoint_name', authenticateToken, dynamicController.handleRequest);
+// Live change stream (Server-Sent Events) at <endpoint_name or path template>/events; declared
+// before the single-record routes so 'events' isn't taken as a data_id
+router.get('/api/*/events', acceptQueryCredentials, authenticateToken, resolveWorkspace, resolveStreamRoute, streamController.streamChanges);
+router.get('/u/:username/api/*/events', acceptQueryCredentials, resolveOwner, resolveStreamRoute, streamController.streamChanges);
+
+// All dynamic routes are under /api: /api/<endpoint_name or path template> for the collection,
+// with a trailing /:data_id for single records (GET, PUT to replace, PATCH and DELETE)
+router.all('/api/*', authenticateToken, resolveWorkspace, resolveDynamicRoute, dynamicController.handleRequest);
+
+// Owner-addressed routes for public and API-key access: /u/:username/api/...
+router.all('/u/:username/api/*', resolveOwner, resolveDynamicRoute, dynamicController.handleRequest);
 
 module.exports = router;
\ No newline at end of file
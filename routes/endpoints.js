@@ -1,34 +1,111 @@
 // routes/endpoints.js
 const express = require('express');
+const bodyParser = require('body-parser');
 const router = express.Router();
 const endpointController = require('../controllers/endpointController');
+const openapiController = require('../controllers/openapiController');
+const seedController = require('../controllers/seedController');
+const dataTransferController = require('../controllers/dataTransferController');
+const snapshotController = require('../controllers/snapshotController');
+const historyController = require('../controllers/historyController');
+const webhookController = require('../controllers/webhookController');
 const authenticateToken = require('../middleware/auth');
+const resolveWorkspace = require('../middleware/workspace');
 
 // Create a new API endpoint
-router.post('/', authenticateToken, endpointController.createEndpoint);
+router.post('/', authenticateToken, resolveWorkspace, endpointController.createEndpoint);
 
 // Get all API endpoints for the authenticated user
-router.get('/', authenticateToken, endpointController.getEndpoints);
+router.get('/', authenticateToken, resolveWorkspace, endpointController.getEndpoints);
+
+// Get an OpenAPI document for all of the user's endpoints (must come before /:id)
+router.get('/openapi.json', authenticateToken, resolveWorkspace, openapiController.getSpec);
+
+// Import endpoints and fields from an OpenAPI 3 or JSON Schema document
+router.post('/import', authenticateToken, resolveWorkspace, openapiController.importSpec);
+
+// Download all endpoints, fields and data as one snapshot file
+router.get('/snapshot', authenticateToken, resolveWorkspace, snapshotController.getSnapshot);
+
+// Restore a snapshot, merging with or replacing endpoints of the same name
+router.post('/restore', authenticateToken, resolveWorkspace, snapshotController.restore);
+
+// Clone all endpoints, fields and data into a new workspace
+router.post('/clone', authenticateToken, resolveWorkspace, snapshotController.cloneProject);
+
+// Get the audit log of endpoint and field changes
+router.get('/audit', authenticateToken, resolveWorkspace, historyController.getAuditLog);
 
 // Get a specific API endpoint
-router.get('/:id', authenticateToken, endpointController.getEndpointById);
+router.get('/:id', authenticateToken, resolveWorkspace, endpointController.getEndpointById);
+
+// Get an OpenAPI document for a single API endpoint
+router.get('/:id/openapi.json', authenticateToken, resolveWorkspace, openapiController.getEndpointSpec);
 
 // Update an API endpoint
-router.put('/:id', authenticateToken, endpointController.updateEndpoint);
+router.put('/:id', authenticateToken, resolveWorkspace, endpointController.updateEndpoint);
 
 // Delete an API endpoint
-router.delete('/:id', authenticateToken, endpointController.deleteEndpoint);
+router.delete('/:id', authenticateToken, resolveWorkspace, endpointController.deleteEndpoint);
 
 // Add fields to an API endpoint
-router.post('/:id/fields', authenticateToken, endpointController.addFields);
+router.post('/:id/fields', authenticateToken, resolveWorkspace, endpointController.addFields);
 
 // Get fields of an API endpoint
-router.get('/:id/fields', authenticateToken, endpointController.getFields);
+router.get('/:id/fields', authenticateToken, resolveWorkspace, endpointController.getFields);
 
 // Update a field
-router.put('/:id/fields/:fieldId', authenticateToken, endpointController.updateField);
+router.put('/:id/fields/:fieldId', authenticateToken, resolveWorkspace, endpointController.updateField);
 
 // Delete a field
-router.delete('/:id/fields/:fieldId', authenticateToken, endpointController.deleteField);
+router.delete('/:id/fields/:fieldId', authenticateToken, resolveWorkspace, endpointController.deleteField);
+
+// Delete all data of an API endpoint
+router.delete('/:id/data', authenticateToken, resolveWorkspace, endpointController.truncateData);
+
+// Get the version history of a record
+router.get('/:id/data/:dataId/history', authenticateToken, resolveWorkspace, historyController.getRecordHistory);
+
+// Restore a record to a past version
+router.post('/:id/data/:dataId/history/:versionId/restore', authenticateToken, resolveWorkspace, historyController.restoreVersion);
+
+// List recently deleted records
+router.get('/:id/deleted', authenticateToken, resolveWorkspace, historyController.getDeleted);
+
+// Undelete a recently deleted record
+router.post('/:id/deleted/:dataId/restore', authenticateToken, resolveWorkspace, historyController.undelete);
+
+// Subscribe a webhook to an API endpoint's data changes
+router.post('/:id/webhooks', authenticateToken, resolveWorkspace, webhookController.createWebhook);
+
+// Get the webhooks of an API endpoint
+router.get('/:id/webhooks', authenticateToken, resolveWorkspace, webhookController.getWebhooks);
+
+// Update a webhook or rotate its secret
+router.put('/:id/webhooks/:webhookId', authenticateToken, resolveWorkspace, webhookController.updateWebhook);
+
+// Delete a webhook
+router.delete('/:id/webhooks/:webhookId', authenticateToken, resolveWorkspace, webhookController.deleteWebhook);
+
+// Get a webhook's delivery log
+router.get('/:id/webhooks/:webhookId/deliveries', authenticateToken, resolveWorkspace, webhookController.getDeliveries);
+
+// Send a test ping to a webhook
+router.post('/:id/webhooks/:webhookId/ping', authenticateToken, resolveWorkspace, webhookController.pingWebhook);
+
+// Export an API endpoint's data as JSON, NDJSON or CSV
+router.get('/:id/export', authenticateToken, resolveWorkspace, dataTransferController.exportData);
+
+// Import data from JSON, NDJSON or CSV; JSON bodies are parsed by the app-wide parser
+router.post(
+    '/:id/import',
+    authenticateToken,
+    resolveWorkspace,
+    bodyParser.text({ type: ['text/csv', 'application/x-ndjson', 'text/plain'], limit: process.env.IMPORT_BODY_LIMIT || '50mb' }),
+    dataTransferController.importData
+);
+
+// Generate fake records for an API endpoint
+router.post('/:id/seed', authenticateToken, resolveWorkspace, seedController.seedEndpoint);
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,12 @@
+// routes/graphql.js
+const express = require('express');
+const router = express.Router();
+const graphqlController = require('../controllers/graphqlController');
+const authenticateToken = require('../middleware/auth');
+const resolveWorkspace = require('../middleware/workspace');
+
+// Query and mutate the caller's endpoints (or the selected workspace's) through GraphQL
+router.get('/', authenticateToken, resolveWorkspace, graphqlController.executeGraphql);
+router.post('/', authenticateToken, resolveWorkspace, graphqlController.executeGraphql);
+
+module.exports = router;
@@ -0,0 +1,31 @@
+// routes/workspaces.js
+const express = require('express');
+const router = express.Router();
+const workspaceController = require('../controllers/workspaceController');
+const authenticateToken = require('../middleware/auth');
+
+// Create a workspace
+router.post('/', authenticateToken, workspaceController.createWorkspace);
+
+// Get the workspaces the user belongs to
+router.get('/', authenticateToken, workspaceController.getWorkspaces);
+
+// Get a workspace and its members
+router.get('/:id', authenticateToken, workspaceController.getWorkspaceById);
+
+// Rename a workspace
+router.put('/:id', authenticateToken, workspaceController.updateWorkspace);
+
+// Delete a workspace with all of its endpoints and data
+router.delete('/:id', authenticateToken, workspaceController.deleteWorkspace);
+
+// Add a member
+router.post('/:id/members', authenticateToken, workspaceController.addMember);
+
+// Change a member's role
+router.put('/:id/members/:userId', authenticateToken, workspaceController.updateMember);
+
+// Remove a member (or leave the workspace)
+router.delete('/:id/members/:userId', authenticateToken, workspaceController.removeMember);
+
+module.exports = router;
\ No newline at end of file
@@ -0,0 +1,31 @@
+// storage/index.js
+require('dotenv').config();
+
+// Open the database picked by DB_DRIVER. Every driver exposes the same interface as a mysql2
+// pool (execute, getConnection with beginTransaction/commit/rollback/release), plus
+// streamRows(sql, params) and end(), so the rest of the app doesn't care which one runs.
+const createDatabase = (driver = process.env.DB_DRIVER || 'mysql') => {
+    switch (driver.toLowerCase()) {
+        case 'mysql':
+            return require('./mysql')({
+                host: process.env.DB_HOST,
+                user: process.env.DB_USER,
+                password: process.env.DB_PASSWORD,
+                database: process.env.DB_NAME
+            });
+        case 'sqlite':
+            return require('./sqlite')({ filename: process.env.DB_FILE || 'mockapi.sqlite' });
+        case 'memory':
+            // A private SQLite database that disappears with the process; handy for CI and tests
+            return require('./sqlite')({ filename: ':memory:' });
+        default:
+            throw new Error(`Unknown DB_DRIVER '${driver}'. Use mysql, sqlite or memory.`);
+    }
+};
+
+// Unique-key violations are reported with a different code by each driver
+const DUPLICATE_KEY_CODES = ['ER_DUP_ENTRY', 'SQLITE_CONSTRAINT_UNIQUE', 'SQLITE_CONSTRAINT_PRIMARYKEY'];
+
+const isDuplicateKeyError = (err) => DUPLICATE_KEY_CODES.includes(err.code);
+
+module.exports = { createDatabase, isDuplicateKeyError };
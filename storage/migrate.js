@@ -0,0 +1,114 @@
+// storage/migrate.js
+const fs = require('fs');
+const path = require('path');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Column types that differ between the dialects; migrations build their DDL from these
+const COLUMN_TYPES = {
+    mysql: {
+        id: 'INT AUTO_INCREMENT PRIMARY KEY',
+        timestamp: 'DATETIME',
+        now: 'CURRENT_TIMESTAMP',
+        longText: 'LONGTEXT',
+        bool: 'BOOLEAN',
+        caseInsensitive: '',
+        tableOptions: ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'
+    },
+    sqlite: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        timestamp: 'TEXT',
+        now: "(strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))",
+        longText: 'TEXT',
+        bool: 'INTEGER',
+        caseInsensitive: ' COLLATE NOCASE',
+        tableOptions: ''
+    }
+};
+
+// Migrations are storage/migrations/<version>_<name>.js files exporting
+// { description, up(types) } where up returns the statements to run, in version order.
+// A statement is an SQL string, or { addColumn: [table, column, definition] } to add a column
+// only when the table doesn't have it yet.
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => ({ version: parseInt(file, 10), file, ...require(path.join(MIGRATIONS_DIR, file)) }))
+    .sort((a, b) => a.version - b.version);
+
+const hasColumn = async (connection, dialect, table, column) => {
+    const [rows] = dialect === 'sqlite'
+        ? await connection.execute('SELECT name FROM pragma_table_info(?) WHERE name = ?', [table, column])
+        : await connection.execute(
+            'SELECT COLUMN_NAME FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?',
+            [table, column]
+        );
+    return rows.length > 0;
+};
+
+const runStatement = async (connection, dialect, statement) => {
+    if (typeof statement === 'string') {
+        return connection.execute(statement);
+    }
+    const [table, column, definition] = statement.addColumn;
+    if (!await hasColumn(connection, dialect, table, column)) {
+        await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+};
+
+// Apply the migrations the database hasn't seen yet, each in its own transaction, and return
+// the versions applied. Tables are created with IF NOT EXISTS and the columns added since are
+// added when missing (007), so a database set up by hand before migrations existed is upgraded
+// rather than rejected.
+const migrate = async (db) => {
+    const types = COLUMN_TYPES[db.dialect];
+    await db.execute(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INT PRIMARY KEY,
+            description VARCHAR(255) NOT NULL,
+            applied_at ${types.timestamp} NOT NULL DEFAULT ${types.now}
+        )${types.tableOptions}`
+    );
+
+    const [rows] = await db.execute('SELECT version FROM schema_migrations');
+    const applied = new Set(rows.map(row => Number(row.version)));
+    const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        const connection = await db.getConnection();
+        try {
+            // MySQL commits DDL implicitly; the transaction still keeps the bookkeeping row with it on SQLite
+            await connection.beginTransaction();
+            for (const statement of migration.up(types)) {
+                await runStatement(connection, db.dialect, statement);
+            }
+            await connection.execute(
+                'INSERT INTO schema_migrations (version, description) VALUES (?, ?)',
+                [migration.version, migration.description]
+            );
+            await connection.commit();
+        } catch (err) {
+            await connection.rollback();
+            throw new Error(`Migration ${migration.file} failed: ${err.message}`);
+        } finally {
+            connection.release();
+        }
+    }
+
+    return pending.map(migration => migration.version);
+};
+
+// npm run migrate: bring the configured database up to date and exit
+if (require.main === module) {
+    const db = require('../db');
+    migrate(db)
+        .then((versions) => {
+            console.log(versions.length > 0 ? `Applied migrations: ${versions.join(', ')}` : 'Database is up to date.');
+            return db.end();
+        })
+        .catch((err) => {
+            console.error(err.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { migrate };
@@ -0,0 +1,47 @@
+// storage/migrations/001_core_tables.js
+module.exports = {
+    description: 'Users, endpoints, fields and stored records',
+    up: (t) => [
+        `CREATE TABLE IF NOT EXISTS users (
+            user_id ${t.id},
+            username VARCHAR(255)${t.caseInsensitive} NOT NULL UNIQUE,
+            password_hash VARCHAR(255) NOT NULL,
+            email VARCHAR(255)${t.caseInsensitive} NOT NULL UNIQUE,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+        )${t.tableOptions}`,
+        // The unique key only covers workspace endpoints: NULLs never compare equal, so names of
+        // personal endpoints (workspace_id NULL) are only kept unique by the app's own check
+        `CREATE TABLE IF NOT EXISTS api_endpoints (
+            endpoint_id ${t.id},
+            user_id INT NOT NULL,
+            workspace_id INT NULL,
+            endpoint_name VARCHAR(255) NOT NULL,
+            http_method VARCHAR(255) NOT NULL,
+            behavior TEXT NULL,
+            access_mode VARCHAR(20) NOT NULL DEFAULT 'private',
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            UNIQUE (workspace_id, endpoint_name)
+        )${t.tableOptions}`,
+        // Fields and records go with their endpoint when it is deleted
+        `CREATE TABLE IF NOT EXISTS fields (
+            field_id ${t.id},
+            endpoint_id INT NOT NULL,
+            field_name VARCHAR(255) NOT NULL,
+            data_type VARCHAR(20) NOT NULL,
+            is_required ${t.bool} NOT NULL DEFAULT 0,
+            default_value TEXT NULL,
+            ref_endpoint_id INT NULL,
+            on_delete VARCHAR(20) NULL,
+            constraints TEXT NULL,
+            UNIQUE (endpoint_id, field_name),
+            FOREIGN KEY (endpoint_id) REFERENCES api_endpoints (endpoint_id) ON DELETE CASCADE
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS data_storage (
+            data_id ${t.id},
+            endpoint_id INT NOT NULL,
+            data ${t.longText} NOT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            FOREIGN KEY (endpoint_id) REFERENCES api_endpoints (endpoint_id) ON DELETE CASCADE
+        )${t.tableOptions}`
+    ]
+};
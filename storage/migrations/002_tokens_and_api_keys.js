@@ -0,0 +1,41 @@
+// storage/migrations/002_tokens_and_api_keys.js
+module.exports = {
+    description: 'API keys, refresh tokens, revoked access tokens and password resets',
+    up: (t) => [
+        `CREATE TABLE IF NOT EXISTS api_keys (
+            key_id ${t.id},
+            user_id INT NOT NULL,
+            name VARCHAR(255) NOT NULL,
+            key_prefix VARCHAR(32) NOT NULL,
+            key_hash CHAR(64) NOT NULL UNIQUE,
+            scopes VARCHAR(255) NOT NULL,
+            endpoint_ids TEXT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            last_used_at ${t.timestamp} NULL,
+            revoked_at ${t.timestamp} NULL
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS refresh_tokens (
+            token_id ${t.id},
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            family_id CHAR(36) NOT NULL,
+            expires_at ${t.timestamp} NOT NULL,
+            revoked_at ${t.timestamp} NULL,
+            replaced_by INT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS revoked_tokens (
+            jti CHAR(36) PRIMARY KEY,
+            user_id INT NOT NULL,
+            expires_at ${t.timestamp} NOT NULL
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS password_resets (
+            reset_id ${t.id},
+            user_id INT NOT NULL,
+            token_hash CHAR(64) NOT NULL UNIQUE,
+            expires_at ${t.timestamp} NOT NULL,
+            used_at ${t.timestamp} NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+        )${t.tableOptions}`
+    ]
+};
@@ -0,0 +1,20 @@
+// storage/migrations/003_workspaces.js
+module.exports = {
+    description: 'Team workspaces and their members',
+    up: (t) => [
+        `CREATE TABLE IF NOT EXISTS workspaces (
+            workspace_id ${t.id},
+            name VARCHAR(255) NOT NULL,
+            created_by INT NOT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS workspace_members (
+            workspace_id INT NOT NULL,
+            user_id INT NOT NULL,
+            role VARCHAR(20) NOT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            PRIMARY KEY (workspace_id, user_id),
+            FOREIGN KEY (workspace_id) REFERENCES workspaces (workspace_id) ON DELETE CASCADE
+        )${t.tableOptions}`
+    ]
+};
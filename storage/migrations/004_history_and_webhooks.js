@@ -0,0 +1,54 @@
+// storage/migrations/004_history_and_webhooks.js
+module.exports = {
+    description: 'Record history, audit log, webhooks and their delivery log',
+    up: (t) => [
+        `CREATE TABLE IF NOT EXISTS data_versions (
+            version_id ${t.id},
+            endpoint_id INT NOT NULL,
+            data_id INT NOT NULL,
+            action VARCHAR(20) NOT NULL,
+            method VARCHAR(10) NOT NULL,
+            changed_by INT NULL,
+            actor VARCHAR(64) NOT NULL,
+            data_before ${t.longText} NULL,
+            data_after ${t.longText} NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            FOREIGN KEY (endpoint_id) REFERENCES api_endpoints (endpoint_id) ON DELETE CASCADE
+        )${t.tableOptions}`,
+        // Audit entries outlive the endpoints they describe, so endpoint_id is not a foreign key
+        `CREATE TABLE IF NOT EXISTS audit_log (
+            audit_id ${t.id},
+            user_id INT NOT NULL,
+            workspace_id INT NULL,
+            endpoint_id INT NULL,
+            action VARCHAR(50) NOT NULL,
+            details TEXT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now}
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS webhooks (
+            webhook_id ${t.id},
+            endpoint_id INT NOT NULL,
+            url VARCHAR(2048) NOT NULL,
+            secret VARCHAR(128) NOT NULL,
+            events VARCHAR(64) NOT NULL,
+            active ${t.bool} NOT NULL DEFAULT 1,
+            created_by INT NOT NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            FOREIGN KEY (endpoint_id) REFERENCES api_endpoints (endpoint_id) ON DELETE CASCADE
+        )${t.tableOptions}`,
+        `CREATE TABLE IF NOT EXISTS webhook_deliveries (
+            delivery_id ${t.id},
+            webhook_id INT NOT NULL,
+            event VARCHAR(20) NOT NULL,
+            payload ${t.longText} NOT NULL,
+            status VARCHAR(20) NOT NULL,
+            attempts INT NOT NULL DEFAULT 0,
+            status_code INT NULL,
+            error TEXT NULL,
+            last_attempt_at ${t.timestamp} NULL,
+            next_attempt_at ${t.timestamp} NULL,
+            created_at ${t.timestamp} NOT NULL DEFAULT ${t.now},
+            FOREIGN KEY (webhook_id) REFERENCES webhooks (webhook_id) ON DELETE CASCADE
+        )${t.tableOptions}`
+    ]
+};
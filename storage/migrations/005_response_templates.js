@@ -0,0 +1,7 @@
+// storage/migrations/005_response_templates.js
+module.exports = {
+    description: 'Response templates on endpoints',
+    up: () => [
+        'ALTER TABLE api_endpoints ADD COLUMN response_templates TEXT NULL'
+    ]
+};
@@ -0,0 +1,8 @@
+// storage/migrations/006_endpoint_paths.js
+module.exports = {
+    description: 'Path templates on endpoints',
+    up: () => [
+        'ALTER TABLE api_endpoints ADD COLUMN path VARCHAR(255) NULL',
+        'ALTER TABLE api_endpoints ADD COLUMN path_params TEXT NULL'
+    ]
+};
@@ -0,0 +1,16 @@
+// storage/migrations/007_upgrade_baseline_tables.js
+
+// Databases set up by hand before migrations existed already had users, api_endpoints, fields
+// and data_storage, so 001 left them as they were. Give them the columns 001 defines on top of
+// that original shape; tables created by 001 have them all and are left alone.
+module.exports = {
+    description: 'Columns missing from tables created before migrations',
+    up: () => [
+        { addColumn: ['api_endpoints', 'workspace_id', 'INT NULL'] },
+        { addColumn: ['api_endpoints', 'behavior', 'TEXT NULL'] },
+        { addColumn: ['api_endpoints', 'access_mode', "VARCHAR(20) NOT NULL DEFAULT 'private'"] },
+        { addColumn: ['fields', 'ref_endpoint_id', 'INT NULL'] },
+        { addColumn: ['fields', 'on_delete', 'VARCHAR(20) NULL'] },
+        { addColumn: ['fields', 'constraints', 'TEXT NULL'] }
+    ]
+};
@@ -0,0 +1,10 @@
+// storage/migrations/008_access_token_cutoff.js
+
+// The cutoff is kept in whole Unix seconds, the unit of a token's iat: a DATETIME would round
+// the fraction on MySQL and could land after the token issued right after the cutoff is set
+module.exports = {
+    description: 'Per-user cutoff for access tokens issued before a password change',
+    up: () => [
+        'ALTER TABLE users ADD COLUMN tokens_valid_after BIGINT NULL'
+    ]
+};
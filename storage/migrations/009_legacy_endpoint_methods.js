@@ -0,0 +1,11 @@
+// storage/migrations/009_legacy_endpoint_methods.js
+
+// Before methods were enforced, http_method held the single method an endpoint was created with,
+// but the endpoint answered every method. Such endpoints are opened up to all methods so clients of
+// them keep working; lists of several methods were chosen on purpose and stay as they are.
+module.exports = {
+    description: 'Allow every method on endpoints saved with a single legacy method',
+    up: () => [
+        "UPDATE api_endpoints SET http_method = 'GET,POST,PUT,PATCH,DELETE' WHERE http_method NOT LIKE '%,%'"
+    ]
+};
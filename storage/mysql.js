@@ -0,0 +1,29 @@
+// storage/mysql.js
+const { finished } = require('stream');
+const mysql = require('mysql2/promise');
+
+const createMysqlDatabase = (config) => {
+    const pool = mysql.createPool({
+        ...config,
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0
+    });
+
+    return {
+        dialect: 'mysql',
+        execute: (sql, params) => pool.execute(sql, params),
+        getConnection: () => pool.getConnection(),
+        // Rows are read from a dedicated connection as a stream rather than loaded at once;
+        // the connection goes back to the pool when the stream ends or is destroyed
+        streamRows: async (sql, params) => {
+            const connection = await pool.getConnection();
+            const rows = connection.connection.query(sql, params).stream();
+            finished(rows, () => connection.release());
+            return rows;
+        },
+        end: () => pool.end()
+    };
+};
+
+module.exports = createMysqlDatabase;
@@ -0,0 +1,103 @@
+// storage/sqlite.js
+const { Readable } = require('stream');
+
+// Timestamps are stored as ISO 8601 UTC strings, which sort and compare correctly as text
+const SQLITE_NOW = "strftime('%Y-%m-%dT%H:%M:%fZ', 'now')";
+
+// The app's SQL is written for MySQL; rewrite the few constructs SQLite spells differently
+const translate = (sql) => sql
+    .replace(/NOW\(\)\s*([+-])\s*INTERVAL\s+\?\s+(SECOND|MINUTE|HOUR|DAY)/gi,
+        (match, sign, unit) => `strftime('%Y-%m-%dT%H:%M:%fZ', 'now', '${sign}' || ? || ' ${unit.toLowerCase()}s')`)
+    .replace(/NOW\(\)/gi, SQLITE_NOW)
+    .replace(/INSERT IGNORE INTO/gi, 'INSERT OR IGNORE INTO')
+    // Transactions already run one at a time, so row locks have nothing to add
+    .replace(/\s+FOR UPDATE\b/gi, '');
+
+// better-sqlite3 only binds numbers, strings, bigints, buffers and null
+const toSqliteValue = (value) => {
+    if (value === undefined) return null;
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    if (value instanceof Date) return value.toISOString();
+    return value;
+};
+
+// Run one statement and shape the result like mysql2: [rows] for queries and
+// [{ insertId, affectedRows }] for everything else
+const run = (db, sql, params = []) => {
+    const statement = db.prepare(translate(sql));
+    const values = params.map(toSqliteValue);
+    if (statement.reader) {
+        return [statement.all(...values)];
+    }
+    const info = statement.run(...values);
+    return [{ insertId: Number(info.lastInsertRowid), affectedRows: info.changes }];
+};
+
+const createSqliteDatabase = ({ filename }) => {
+    let Database;
+    try {
+        Database = require('better-sqlite3');
+    } catch (err) {
+        throw new Error('The sqlite and memory drivers need the better-sqlite3 package. Run npm install better-sqlite3.');
+    }
+
+    const db = new Database(filename);
+    if (filename !== ':memory:') {
+        db.pragma('journal_mode = WAL');
+    }
+    db.pragma('foreign_keys = ON');
+
+    // SQLite has a single connection, so a transaction must not interleave with other requests'
+    // statements. Everything queues on one lock: a plain execute holds it for one statement, a
+    // connection from getConnection holds it until released.
+    let queue = Promise.resolve();
+    const acquire = () => {
+        let release;
+        const held = new Promise(resolve => { release = resolve; });
+        const ready = queue.then(() => release);
+        queue = queue.then(() => held);
+        return ready;
+    };
+
+    const execute = async (sql, params) => {
+        const release = await acquire();
+        try {
+            return run(db, sql, params);
+        } finally {
+            release();
+        }
+    };
+
+    const getConnection = async () => {
+        const release = await acquire();
+        let released = false;
+        return {
+            execute: async (sql, params) => run(db, sql, params),
+            beginTransaction: async () => db.exec('BEGIN'),
+            commit: async () => db.exec('COMMIT'),
+            rollback: async () => {
+                if (db.inTransaction) db.exec('ROLLBACK');
+            },
+            release: () => {
+                if (released) return;
+                released = true;
+                if (db.inTransaction) db.exec('ROLLBACK');
+                release();
+            }
+        };
+    };
+
+    return {
+        dialect: 'sqlite',
+        execute,
+        getConnection,
+        // The rows are read up front: SQLite can't run other statements while a cursor is open
+        streamRows: async (sql, params) => {
+            const [rows] = await execute(sql, params);
+            return Readable.from(rows);
+        },
+        end: async () => db.close()
+    };
+};
+
+module.exports = createSqliteDatabase;
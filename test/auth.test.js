@@ -0,0 +1,94 @@
+// test/auth.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startServer } = require('./server');
+
+// Access tokens carry whole-second iat values; a cutoff only catches tokens from earlier seconds
+const nextSecond = () => new Promise(resolve => setTimeout(resolve, 1100 - (Date.now() % 1000)));
+
+describe('tokens and sessions', () => {
+    let server;
+
+    const login = async (username, password = PASSWORD) => (await server.request('POST', '/auth/login', { body: { username, password } })).body;
+    const profile = token => server.request('GET', '/auth/me', { token });
+    const refresh = refresh_token => server.request('POST', '/auth/refresh', { body: { refresh_token } });
+
+    before(async () => {
+        server = await startServer();
+        for (const username of ['ann', 'bob', 'cat', 'dan']) {
+            await server.signUp(username);
+        }
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('rejects wrong credentials and accepts the issued access token', async () => {
+        const wrong = await server.request('POST', '/auth/login', { body: { username: 'ann', password: 'nope' } });
+        assert.equal(wrong.status, 400);
+
+        const { token, refresh_token, expires_in } = await login('ann');
+        assert.ok(token && refresh_token && expires_in > 0);
+        assert.equal((await profile(token)).body.username, 'ann');
+        assert.equal((await profile('not-a-token')).status, 403);
+    });
+
+    it('rotates refresh tokens and revokes the family when an old one is reused', async () => {
+        const first = await login('ann');
+        const rotated = await refresh(first.refresh_token);
+        assert.equal(rotated.status, 200);
+        assert.notEqual(rotated.body.refresh_token, first.refresh_token);
+
+        const reused = await refresh(first.refresh_token);
+        assert.equal(reused.status, 401);
+        assert.equal((await refresh(rotated.body.refresh_token)).status, 401);
+    });
+
+    it('lets only one of two concurrent refreshes with the same token succeed', async () => {
+        const { refresh_token } = await login('bob');
+        const results = await Promise.all([refresh(refresh_token), refresh(refresh_token)]);
+        assert.deepEqual(results.map(result => result.status).sort(), [200, 401]);
+
+        // The reuse revoked the family, including the token the winner received
+        const winner = results.find(result => result.status === 200);
+        assert.equal((await refresh(winner.body.refresh_token)).status, 401);
+    });
+
+    it('revokes the current access token on logout', async () => {
+        const { token } = await login('cat');
+        assert.equal((await server.request('POST', '/auth/logout', { token, body: {} })).status, 200);
+        assert.equal((await profile(token)).status, 403);
+    });
+
+    it('signs out other sessions on a password change but keeps the new tokens working', async () => {
+        const other = await login('dan');
+        const current = await login('dan');
+        await nextSecond();
+
+        const changed = await server.request('POST', '/auth/password', {
+            token: current.token,
+            body: { current_password: PASSWORD, new_password: 'Another456!' }
+        });
+        assert.equal(changed.status, 200);
+
+        assert.equal((await profile(other.token)).status, 403);
+        assert.equal((await profile(current.token)).status, 403);
+        assert.equal((await refresh(other.refresh_token)).status, 401);
+
+        assert.equal((await profile(changed.body.token)).status, 200);
+        assert.equal((await refresh(changed.body.refresh_token)).status, 200);
+    });
+
+    it('signs out every session with logout all', async () => {
+        const { token } = await login('dan', 'Another456!');
+        const other = await login('dan', 'Another456!');
+        await nextSecond();
+
+        assert.equal((await server.request('POST', '/auth/logout', { token, body: { all: true } })).status, 200);
+        assert.equal((await profile(other.token)).status, 403);
+
+        const fresh = await login('dan', 'Another456!');
+        assert.equal((await profile(fresh.token)).status, 200);
+    });
+});
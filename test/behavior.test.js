@@ -0,0 +1,53 @@
+// test/behavior.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('endpoint behavior', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body, headers) => server.request(method, path, { token, body, headers });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('refuses canned responses with an informational status or a header that cannot be sent', async () => {
+        for (const behavior of [
+            { status: 101 },
+            { overrides: { GET: { status: 600 } } },
+            { status: 503, headers: { 'Retry After': '10' } },
+            { status: 503, headers: { 'Retry-After': '10\r\nSet-Cookie: a=b' } }
+        ]) {
+            const { status } = await api('POST', '/endpoints', { endpoint_name: 'broken', http_methods: ['GET'], behavior });
+            assert.equal(status, 400, JSON.stringify(behavior));
+        }
+    });
+
+    it('answers with canned responses and their headers', async () => {
+        const created = await api('POST', '/endpoints', {
+            endpoint_name: 'flaky',
+            http_methods: ['GET'],
+            behavior: {
+                overrides: { GET: { status: 503, headers: { 'Retry-After': '10' }, body: { message: 'Down.' } } },
+                scenarios: { ok: { overrides: { GET: { status: 200, body: [] } } } }
+            }
+        });
+        assert.equal(created.status, 201);
+
+        const down = await api('GET', '/api/flaky');
+        assert.equal(down.status, 503);
+        assert.equal(down.headers.get('retry-after'), '10');
+        assert.deepEqual(down.body, { message: 'Down.' });
+
+        const ok = await api('GET', '/api/flaky', undefined, { 'X-Mock-Scenario': 'ok' });
+        assert.equal(ok.status, 200);
+        assert.deepEqual(ok.body, []);
+    });
+});
@@ -0,0 +1,58 @@
+// test/dataTransfer.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('import and export', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body, headers) => server.request(method, path, { token, body, headers });
+    const importCsv = (csv, query = '') => api('POST', `/endpoints/1/import${query}`, csv, { 'Content-Type': 'text/csv' });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        await api('POST', '/endpoints', { endpoint_name: 'items', http_methods: ['GET'] });
+        await api('POST', '/endpoints/1/fields', { fields: [
+            { field_name: 'name', data_type: 'VARCHAR' },
+            { field_name: 'qty', data_type: 'INT' },
+            { field_name: 'price', data_type: 'FLOAT' },
+            { field_name: 'in_stock', data_type: 'BOOLEAN' }
+        ] });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('converts CSV cells to the field types', async () => {
+        const csv = 'name,qty,price,in_stock\r\nLamp,3,2.5,true\r\nDesk, 4 ,1e2,FALSE\r\n"Chair, red",5,3,1\r\n';
+        const { status, body } = await importCsv(csv);
+        assert.equal(status, 201);
+        assert.equal(body.imported, 3);
+
+        const items = (await api('GET', '/api/items')).body;
+        assert.deepEqual(items.map(({ data_id, ...item }) => item), [
+            { name: 'Lamp', qty: 3, price: 2.5, in_stock: true },
+            { name: 'Desk', qty: 4, price: 100, in_stock: false },
+            { name: 'Chair, red', qty: 5, price: 3, in_stock: true }
+        ]);
+    });
+
+    it('reports cells that do not fit their field by row', async () => {
+        const csv = 'name,qty,price,in_stock\r\nBad,1.5,cheap,maybe\r\n';
+        const { status, body } = await importCsv(csv, '?dry_run=true');
+        assert.equal(status, 200);
+        assert.equal(body.failed, 1);
+        assert.deepEqual(body.errors[0].errors.map(error => error.field).sort(), ['in_stock', 'price', 'qty']);
+    });
+
+    it('exports what it imports', async () => {
+        const { status, body } = await api('GET', '/endpoints/1/export?format=csv');
+        assert.equal(status, 200);
+        assert.equal(body.split('\r\n')[0], 'data_id,in_stock,name,price,qty');
+        assert.match(body, /\r\n3,true,"Chair, red",3,5\r\n/);
+    });
+});
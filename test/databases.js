@@ -0,0 +1,36 @@
+// test/databases.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createDatabase } = require('../storage');
+const { migrate } = require('../storage/migrate');
+
+// The drivers the suite runs against; neither needs a server
+const DRIVERS = ['memory', 'sqlite'];
+
+// Open an empty database for one test. The sqlite driver gets its own file in the temp directory.
+// Returns { db, close } where close shuts the database and removes the file.
+const openDatabase = (driver) => {
+    let dir = null;
+    if (driver === 'sqlite') {
+        dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mockapi-test-'));
+        process.env.DB_FILE = path.join(dir, 'test.sqlite');
+    }
+    const db = createDatabase(driver);
+    return {
+        db,
+        close: async () => {
+            await db.end();
+            if (dir) fs.rmSync(dir, { recursive: true, force: true });
+        }
+    };
+};
+
+// An empty database with every migration applied
+const openMigratedDatabase = async (driver) => {
+    const handle = openDatabase(driver);
+    await migrate(handle.db);
+    return handle;
+};
+
+module.exports = { DRIVERS, openDatabase, openMigratedDatabase };
@@ -0,0 +1,47 @@
+// test/httpMethods.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('endpoint methods', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        await api('POST', '/endpoints', { endpoint_name: 'catalog', http_methods: ['GET'] });
+        await api('POST', '/endpoints', { endpoint_name: 'sink', http_methods: ['POST'] });
+        await api('POST', '/endpoints/1/fields', { fields: [{ field_name: 'name', data_type: 'VARCHAR' }] });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('answers 405 with an Allow header for methods the endpoint does not allow', async () => {
+        const { status, headers } = await api('POST', '/api/catalog', { name: 'Lamp' });
+        assert.equal(status, 405);
+        assert.equal(headers.get('allow'), 'GET, HEAD, OPTIONS');
+
+        assert.equal((await api('GET', '/api/sink')).status, 405);
+    });
+
+    it('reports the allowed methods on OPTIONS', async () => {
+        const { status, headers } = await api('OPTIONS', '/api/sink');
+        assert.equal(status, 204);
+        assert.equal(headers.get('allow'), 'POST, OPTIONS');
+    });
+
+    it('answers HEAD wherever GET is allowed', async () => {
+        const { status, headers, body } = await api('HEAD', '/api/catalog?limit=1');
+        assert.equal(status, 200);
+        assert.equal(headers.get('x-total-count'), '0');
+        assert.equal(body, '');
+
+        assert.equal((await api('HEAD', '/api/sink')).status, 405);
+    });
+});
@@ -0,0 +1,89 @@
+// test/listQuery.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+const PRODUCTS = [
+    { name: 'Apple', price: 3, in_stock: true },
+    { name: 'Banana', price: 1, in_stock: true },
+    { name: 'Cherry', price: 8, in_stock: false },
+    { name: 'Date', price: 5, in_stock: true },
+    { name: 'Elderberry', price: 8, in_stock: true },
+    { name: 'Fig' }
+];
+
+describe('listing filters, sorting and pagination', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+    const names = response => response.body.map(product => product.name);
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        await api('POST', '/endpoints', { endpoint_name: 'products', http_methods: ['GET', 'POST'] });
+        await api('POST', '/endpoints/1/fields', { fields: [
+            { field_name: 'name', data_type: 'VARCHAR' },
+            { field_name: 'price', data_type: 'INT' },
+            { field_name: 'in_stock', data_type: 'BOOLEAN' }
+        ] });
+        for (const product of PRODUCTS) {
+            await api('POST', '/api/products', product);
+        }
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('filters by equality, ranges, contains and lists', async () => {
+        assert.deepEqual(names(await api('GET', '/api/products?price=8')), ['Cherry', 'Elderberry']);
+        assert.deepEqual(names(await api('GET', '/api/products?price[gte]=3&price[lt]=8')), ['Apple', 'Date']);
+        assert.deepEqual(names(await api('GET', '/api/products?name[contains]=RR')), ['Cherry', 'Elderberry']);
+        assert.deepEqual(names(await api('GET', '/api/products?name=Fig&name=Date')), ['Date', 'Fig']);
+        assert.deepEqual(names(await api('GET', '/api/products?in_stock=false')), ['Cherry']);
+    });
+
+    it('answers 400 for filters that do not fit the fields', async () => {
+        const unknown = await api('GET', '/api/products?colour=red');
+        assert.equal(unknown.status, 400);
+        assert.equal(unknown.body.message, "Unknown filter field 'colour'.");
+
+        assert.equal((await api('GET', '/api/products?price=cheap')).status, 400);
+        assert.equal((await api('GET', '/api/products?in_stock[gt]=true')).status, 400);
+        assert.equal((await api('GET', '/api/products?sort=colour')).status, 400);
+        assert.equal((await api('GET', '/api/products?limit=0')).status, 400);
+    });
+
+    it('sorts on several fields with missing values last', async () => {
+        const sorted = await api('GET', '/api/products?sort=-price,name');
+        assert.deepEqual(names(sorted), ['Cherry', 'Elderberry', 'Date', 'Apple', 'Banana', 'Fig']);
+    });
+
+    it('pages with limit and offset and reports the total and links', async () => {
+        const page = await api('GET', '/api/products?sort=name&limit=2&offset=2');
+        assert.deepEqual(names(page), ['Cherry', 'Date']);
+        assert.equal(page.headers.get('x-total-count'), '6');
+
+        const links = page.headers.get('link');
+        assert.match(links, /<\/api\/products\?sort=name&limit=2&offset=4>; rel="next"/);
+        assert.match(links, /<\/api\/products\?sort=name&limit=2&offset=0>; rel="prev"/);
+    });
+
+    it('pages through the whole listing with cursors', async () => {
+        const seen = [];
+        let path = '/api/products?sort=-price&limit=4&cursor=';
+        while (path) {
+            const page = await api('GET', path);
+            assert.equal(page.status, 200);
+            seen.push(...names(page));
+            path = /<([^>]+)>; rel="next"/.exec(page.headers.get('link') || '')?.[1];
+        }
+        assert.deepEqual(seen, ['Cherry', 'Elderberry', 'Date', 'Apple', 'Banana', 'Fig']);
+
+        assert.equal((await api('GET', '/api/products?limit=2&cursor=garbage')).status, 400);
+        assert.equal((await api('GET', '/api/products?cursor=')).status, 400);
+    });
+});
@@ -0,0 +1,88 @@
+// test/migrate.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { migrate } = require('../storage/migrate');
+const { DRIVERS, openDatabase } = require('./databases');
+
+const MIGRATION_VERSIONS = fs.readdirSync(path.join(__dirname, '..', 'storage', 'migrations'))
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => parseInt(file, 10))
+    .sort((a, b) => a - b);
+
+const columnsOf = async (db, table) => {
+    const [rows] = await db.execute('SELECT name FROM pragma_table_info(?)', [table]);
+    return rows.map(row => row.name);
+};
+
+for (const driver of DRIVERS) {
+    describe(`migrate (${driver})`, () => {
+        let handle;
+
+        beforeEach(() => {
+            handle = openDatabase(driver);
+        });
+
+        afterEach(async () => {
+            await handle.close();
+        });
+
+        it('applies every migration in order and records it', async () => {
+            const applied = await migrate(handle.db);
+            assert.deepEqual(applied, MIGRATION_VERSIONS);
+
+            const [rows] = await handle.db.execute('SELECT version FROM schema_migrations ORDER BY version');
+            assert.deepEqual(rows.map(row => Number(row.version)), MIGRATION_VERSIONS);
+        });
+
+        it('applies nothing the second time', async () => {
+            await migrate(handle.db);
+            assert.deepEqual(await migrate(handle.db), []);
+        });
+
+        it('creates the tables the app uses', async () => {
+            await migrate(handle.db);
+            for (const table of ['users', 'api_endpoints', 'fields', 'data_storage', 'api_keys', 'refresh_tokens',
+                'workspaces', 'workspace_members', 'data_versions', 'audit_log', 'webhooks', 'webhook_deliveries']) {
+                assert.ok((await columnsOf(handle.db, table)).length > 0, `${table} exists`);
+            }
+            const endpointColumns = await columnsOf(handle.db, 'api_endpoints');
+            for (const column of ['workspace_id', 'behavior', 'access_mode', 'response_templates', 'path', 'path_params']) {
+                assert.ok(endpointColumns.includes(column), `api_endpoints.${column} exists`);
+            }
+        });
+
+        it('upgrades tables created before migrations existed', async () => {
+            const { db } = handle;
+            await db.execute('CREATE TABLE users (user_id INTEGER PRIMARY KEY AUTOINCREMENT, username VARCHAR(255) NOT NULL, password_hash VARCHAR(255) NOT NULL, email VARCHAR(255) NOT NULL)');
+            await db.execute('CREATE TABLE api_endpoints (endpoint_id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INT NOT NULL, endpoint_name VARCHAR(255) NOT NULL, http_method VARCHAR(255) NOT NULL)');
+            await db.execute('CREATE TABLE fields (field_id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint_id INT NOT NULL, field_name VARCHAR(255) NOT NULL, data_type VARCHAR(20) NOT NULL, is_required INTEGER, default_value TEXT)');
+            await db.execute('CREATE TABLE data_storage (data_id INTEGER PRIMARY KEY AUTOINCREMENT, endpoint_id INT NOT NULL, data TEXT NOT NULL)');
+            await db.execute("INSERT INTO api_endpoints (user_id, endpoint_name, http_method) VALUES (1, 'orders', 'GET')");
+
+            await migrate(db);
+
+            const [endpoints] = await db.execute('SELECT * FROM api_endpoints');
+            assert.equal(endpoints.length, 1);
+            assert.equal(endpoints[0].workspace_id, null);
+            assert.equal(endpoints[0].access_mode, 'private');
+            // Methods weren't enforced then, so the endpoint keeps answering all of them
+            assert.equal(endpoints[0].http_method, 'GET,POST,PUT,PATCH,DELETE');
+            const fieldColumns = await columnsOf(db, 'fields');
+            for (const column of ['ref_endpoint_id', 'on_delete', 'constraints']) {
+                assert.ok(fieldColumns.includes(column), `fields.${column} exists`);
+            }
+        });
+
+        it('leaves a failed migration unrecorded', async () => {
+            const { db } = handle;
+            // api_endpoints already has a path column, so 006 can't add it again
+            await db.execute('CREATE TABLE api_endpoints (endpoint_id INTEGER PRIMARY KEY AUTOINCREMENT, user_id INT NOT NULL, endpoint_name VARCHAR(255) NOT NULL, http_method VARCHAR(255) NOT NULL, path VARCHAR(255) NULL)');
+
+            await assert.rejects(migrate(db), /006_endpoint_paths\.js failed/);
+            const [rows] = await db.execute('SELECT version FROM schema_migrations');
+            assert.ok(!rows.some(row => Number(row.version) === 6));
+        });
+    });
+}
@@ -0,0 +1,83 @@
+// test/pathTemplates.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+describe('path template routes', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        await api('POST', '/endpoints', { endpoint_name: 'users', http_methods: ALL_METHODS });
+        await api('POST', '/endpoints', { endpoint_name: 'orders', path: 'users/:userId/orders', path_params: { userId: 'user' }, http_methods: ALL_METHODS });
+        await api('POST', '/endpoints/1/fields', { fields: [{ field_name: 'name', data_type: 'VARCHAR' }] });
+        await api('POST', '/endpoints/2/fields', { fields: [
+            { field_name: 'user', data_type: 'REFERENCE', ref_endpoint_id: 1 },
+            { field_name: 'total', data_type: 'INT' }
+        ] });
+        await api('POST', '/api/users', { name: 'A' });
+        await api('POST', '/api/users', { name: 'B' });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('binds path parameters on writes and filters listings by them', async () => {
+        assert.equal((await api('POST', '/api/users/1/orders', { total: 10, user: 2 })).status, 201);
+        assert.equal((await api('POST', '/api/users/2/orders', { total: 20 })).status, 201);
+
+        const { status, body } = await api('GET', '/api/users/1/orders');
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(order => [order.user, order.total]), [[1, 10]]);
+    });
+
+    it('answers 404 for a missing parent or a record of another parent', async () => {
+        const missing = await api('POST', '/api/users/99/orders', { total: 1 });
+        assert.equal(missing.status, 404);
+        assert.equal(missing.body.message, 'Parent record not found.');
+
+        const [order] = (await api('GET', '/api/users/2/orders')).body;
+        assert.equal((await api('GET', `/api/users/1/orders/${order.data_id}`)).status, 404);
+        assert.equal((await api('GET', `/api/users/2/orders/${order.data_id}`)).status, 200);
+    });
+
+    it('rejects templates whose routes overlap another endpoint', async () => {
+        const item = await api('POST', '/endpoints', { endpoint_name: 'user_by_id', path: 'users/:id', http_methods: ['GET'] });
+        assert.equal(item.status, 409);
+
+        const stream = await api('POST', '/endpoints', { endpoint_name: 'user_events', path: 'users/events', http_methods: ['GET'] });
+        assert.equal(stream.status, 409);
+    });
+
+    it('serves endpoints whose path ends in events over REST', async () => {
+        const created = await api('POST', '/endpoints', { endpoint_name: 'calendar', path: 'calendar/events', http_methods: ALL_METHODS });
+        assert.equal(created.status, 201);
+        await api('POST', `/endpoints/${created.body.endpoint_id}/fields`, { fields: [{ field_name: 'title', data_type: 'VARCHAR' }] });
+
+        assert.equal((await api('POST', '/api/calendar/events', { title: 'Standup' })).status, 201);
+        const { status, body } = await api('GET', '/api/calendar/events');
+        assert.equal(status, 200);
+        assert.deepEqual(body.map(event => event.title), ['Standup']);
+    });
+
+    it('streams the changes of one parent at the collection path plus /events', async () => {
+        const stream = await server.openStream('/api/users/1/orders/events', { token });
+        assert.equal(stream.status, 200);
+
+        await api('POST', '/api/users/2/orders', { total: 5 });
+        await api('POST', '/api/users/1/orders', { total: 7 });
+
+        const { event, data } = await stream.next();
+        stream.close();
+        assert.equal(event, 'create');
+        assert.deepEqual(data.data, { user: 1, total: 7 });
+    });
+});
@@ -0,0 +1,43 @@
+// test/rateLimit.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.AUTH_RATE_LIMIT = '3';
+const { PASSWORD, startServer } = require('./server');
+
+describe('auth rate limits', () => {
+    let server;
+
+    const login = (username, password = PASSWORD) => server.request('POST', '/auth/login', { body: { username, password } });
+    const register = username => server.request('POST', '/auth/register', { body: { username, email: `${username}@example.com`, password: PASSWORD } });
+
+    before(async () => {
+        server = await startServer();
+        // One registration and one sign-in each
+        await server.signUp('ann');
+        await server.signUp('bob');
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('limits sign-in attempts per account without locking out other accounts', async () => {
+        assert.equal((await login('ann', 'wrong')).status, 400);
+        assert.equal((await login('ANN', 'wrong')).status, 400);
+
+        const limited = await login('ann');
+        assert.equal(limited.status, 429);
+        assert.ok(Number(limited.headers.get('retry-after')) > 0);
+
+        assert.equal((await login('bob')).status, 200);
+    });
+
+    it('counts registration and password resets apart from sign-in', async () => {
+        assert.equal((await register('cat')).status, 201);
+        assert.equal((await register('dan')).status, 429);
+
+        const forgot = await server.request('POST', '/auth/password/forgot', { body: { email: 'ann@example.com' } });
+        assert.notEqual(forgot.status, 429);
+    });
+});
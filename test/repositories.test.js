@@ -0,0 +1,191 @@
+// test/repositories.test.js
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { isDuplicateKeyError } = require('../storage');
+const endpointRepository = require('../repositories/endpointRepository');
+const recordRepository = require('../repositories/recordRepository');
+const { DRIVERS, openMigratedDatabase } = require('./databases');
+
+const personal = (user_id) => ({ workspace_id: null, user_id });
+
+const createUser = async (db, username) => {
+    const [result] = await db.execute(
+        'INSERT INTO users (username, password_hash, email) VALUES (?, ?, ?)',
+        [username, 'hash', `${username}@example.com`]
+    );
+    return result.insertId;
+};
+
+for (const driver of DRIVERS) {
+    describe(`endpointRepository (${driver})`, () => {
+        let handle;
+        let db;
+        let user_id;
+
+        beforeEach(async () => {
+            handle = await openMigratedDatabase(driver);
+            db = handle.db;
+            user_id = await createUser(db, 'ann');
+        });
+
+        afterEach(async () => {
+            await handle.close();
+        });
+
+        it('keeps personal and workspace endpoints apart', async () => {
+            await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'orders', http_method: 'GET' });
+            await endpointRepository.createEndpoint(db, { user_id, workspace_id: 7, endpoint_name: 'orders', http_method: 'GET,POST' });
+
+            const mine = await endpointRepository.listEndpoints(db, personal(user_id));
+            assert.deepEqual(mine.map(endpoint => endpoint.http_method), ['GET']);
+
+            const team = await endpointRepository.findEndpointByName(db, { workspace_id: 7, user_id }, 'orders');
+            assert.equal(team.http_method, 'GET,POST');
+            assert.equal(await endpointRepository.findEndpointByName(db, personal(user_id + 1), 'orders'), null);
+        });
+
+        it('stores behavior, templates and path parameters as JSON', async () => {
+            const endpoint_id = await endpointRepository.createEndpoint(db, {
+                user_id,
+                workspace_id: null,
+                endpoint_name: 'orders',
+                path: 'users/:userId/orders',
+                path_params: { userId: 'user' },
+                http_method: 'GET',
+                behavior: { latency_ms: 100 }
+            });
+
+            const changed = await endpointRepository.updateEndpoint(db, endpoint_id, {
+                response_templates: { id_key: 'id' },
+                access_mode: 'public',
+                user_id: 999
+            });
+            assert.equal(changed, 1);
+
+            const [endpoint] = await endpointRepository.listEndpoints(db, personal(user_id));
+            assert.equal(endpoint.path, 'users/:userId/orders');
+            assert.deepEqual(JSON.parse(endpoint.path_params), { userId: 'user' });
+            assert.deepEqual(JSON.parse(endpoint.behavior), { latency_ms: 100 });
+            assert.deepEqual(JSON.parse(endpoint.response_templates), { id_key: 'id' });
+            assert.equal(endpoint.access_mode, 'public');
+            // Columns outside the updatable list are ignored
+            assert.equal(endpoint.user_id, user_id);
+        });
+
+        it('manages fields and rejects duplicate names', async () => {
+            const endpoint_id = await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'orders', http_method: 'GET' });
+            const field_id = await endpointRepository.createField(db, endpoint_id, { field_name: 'total', data_type: 'INT', constraints: { min: 0 } });
+            await endpointRepository.createField(db, endpoint_id, { field_name: 'status', data_type: 'VARCHAR', is_required: true });
+
+            await assert.rejects(
+                endpointRepository.createField(db, endpoint_id, { field_name: 'total', data_type: 'FLOAT' }),
+                err => isDuplicateKeyError(err)
+            );
+
+            await endpointRepository.updateField(db, field_id, { constraints: { min: 1 }, default_value: '1' });
+            const field = await endpointRepository.findField(db, personal(user_id), endpoint_id, field_id);
+            assert.deepEqual(JSON.parse(field.constraints), { min: 1 });
+            assert.equal(field.default_value, '1');
+            assert.equal(await endpointRepository.findField(db, personal(user_id + 1), endpoint_id, field_id), null);
+
+            await endpointRepository.deleteField(db, field_id);
+            const fields = await endpointRepository.listFields(db, endpoint_id);
+            assert.deepEqual(fields.map(candidate => candidate.field_name), ['status']);
+        });
+
+        it('lists the fields of every endpoint in scope and finds references', async () => {
+            const users = await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'users', http_method: 'GET' });
+            const orders = await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'orders', http_method: 'GET' });
+            await endpointRepository.createField(db, users, { field_name: 'name', data_type: 'VARCHAR' });
+            await endpointRepository.createField(db, orders, { field_name: 'user', data_type: 'REFERENCE', ref_endpoint_id: users, on_delete: 'CASCADE' });
+
+            const fields = await endpointRepository.listScopeFields(db, personal(user_id));
+            assert.deepEqual(fields.map(field => field.field_name), ['name', 'user']);
+
+            const referencing = await endpointRepository.findReferencingFields(db, users);
+            assert.equal(referencing.length, 1);
+            assert.equal(referencing[0].on_delete, 'CASCADE');
+        });
+
+        it('deletes fields and records with their endpoint', async () => {
+            const endpoint_id = await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'orders', http_method: 'GET' });
+            await endpointRepository.createField(db, endpoint_id, { field_name: 'total', data_type: 'INT' });
+            await recordRepository.insertRecord(db, endpoint_id, { total: 1 });
+
+            await endpointRepository.deleteEndpoint(db, endpoint_id);
+
+            assert.deepEqual(await endpointRepository.listFields(db, endpoint_id), []);
+            assert.deepEqual(await recordRepository.listRecords(db, endpoint_id), []);
+        });
+    });
+
+    describe(`recordRepository (${driver})`, () => {
+        let handle;
+        let db;
+        let user_id;
+        let endpoint_id;
+
+        beforeEach(async () => {
+            handle = await openMigratedDatabase(driver);
+            db = handle.db;
+            user_id = await createUser(db, 'ann');
+            endpoint_id = await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'orders', http_method: 'GET' });
+        });
+
+        afterEach(async () => {
+            await handle.close();
+        });
+
+        it('stores records as JSON and hands them out with their data_id', async () => {
+            const data_id = await recordRepository.insertRecord(db, endpoint_id, { total: 5, tags: ['a'] });
+
+            assert.deepEqual(await recordRepository.findRecord(db, endpoint_id, data_id), { data_id, total: 5, tags: ['a'] });
+            assert.deepEqual(await recordRepository.listRecords(db, endpoint_id), [{ data_id, total: 5, tags: ['a'] }]);
+            assert.equal(await recordRepository.findRecord(db, endpoint_id + 1, data_id), null);
+        });
+
+        it('updates only records of the given endpoint', async () => {
+            const data_id = await recordRepository.insertRecord(db, endpoint_id, { total: 5 });
+
+            assert.equal(await recordRepository.updateRecord(db, endpoint_id + 1, data_id, { total: 6 }), 0);
+            assert.equal(await recordRepository.updateRecord(db, endpoint_id, data_id, { total: 7 }), 1);
+            assert.deepEqual(await recordRepository.findRecord(db, endpoint_id, data_id), { data_id, total: 7 });
+        });
+
+        it('inserts many records in batches and returns their data_ids in order', async () => {
+            const other = await endpointRepository.createEndpoint(db, { user_id, workspace_id: null, endpoint_name: 'other', http_method: 'GET' });
+            const other_id = await recordRepository.insertRecord(db, other, { total: 0 });
+            const existing_id = await recordRepository.insertRecord(db, endpoint_id, { total: -1 });
+            const records = Array.from({ length: 1500 }, (_, index) => ({ total: index }));
+
+            const data_ids = await recordRepository.insertRecords(db, endpoint_id, records);
+
+            assert.equal(data_ids.length, 1500);
+            assert.ok(!data_ids.includes(other_id) && !data_ids.includes(existing_id));
+            assert.deepEqual(await recordRepository.findRecord(db, endpoint_id, data_ids[1499]), { data_id: data_ids[1499], total: 1499 });
+        });
+
+        it('discards writes made in a rolled back transaction', async () => {
+            const connection = await db.getConnection();
+            try {
+                await connection.beginTransaction();
+                await recordRepository.insertRecord(connection, endpoint_id, { total: 1 });
+                await connection.rollback();
+            } finally {
+                connection.release();
+            }
+
+            const connection2 = await db.getConnection();
+            try {
+                await connection2.beginTransaction();
+                await recordRepository.insertRecord(connection2, endpoint_id, { total: 2 });
+                await connection2.commit();
+            } finally {
+                connection2.release();
+            }
+
+            const records = await recordRepository.listRecords(db, endpoint_id);
+            assert.deepEqual(records.map(record => record.total), [2]);
+        });
+    });
+}
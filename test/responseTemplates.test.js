@@ -0,0 +1,115 @@
+// test/responseTemplates.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+const { startServer } = require('./server');
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+describe('response templates', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        await api('POST', '/endpoints', {
+            endpoint_name: 'books',
+            http_methods: ALL_METHODS,
+            response_templates: {
+                id_key: 'id',
+                fields: { title: 'name', secret: null },
+                responses: { GET: { success: { body: { items: '{{data}}', meta: '{{meta}}' } } } }
+            }
+        });
+        await api('POST', '/endpoints/1/fields', { fields: [
+            { field_name: 'title', data_type: 'VARCHAR' },
+            { field_name: 'secret', data_type: 'VARCHAR' },
+            { field_name: 'pages', data_type: 'INT' }
+        ] });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('renames and hides fields in responses and maps renamed keys back on writes', async () => {
+        assert.equal((await api('POST', '/api/books', { name: 'Dune', secret: 's1', pages: 412 })).status, 201);
+
+        // The GET template wraps single records too
+        const { status, body } = await api('GET', '/api/books/1');
+        assert.equal(status, 200);
+        assert.deepEqual(body.items, { id: 1, name: 'Dune', pages: 412 });
+
+        const stored = await api('POST', '/api/books', { title: 'Emma' });
+        assert.equal(stored.status, 400);
+        assert.deepEqual(stored.body.errors, [{ field: 'title', message: "Unknown field 'title'." }]);
+    });
+
+    it('renders the endpoint template around listings and filters by the renamed keys', async () => {
+        await api('POST', '/api/books', { name: 'Emma', pages: 300 });
+
+        const { status, body } = await api('GET', '/api/books?name=Emma');
+        assert.equal(status, 200);
+        assert.deepEqual(body.items, [{ id: 2, name: 'Emma', pages: 300 }]);
+        assert.equal((await api('GET', '/api/books?title=Emma')).status, 400);
+    });
+
+    it('shapes records sent over the change stream', async () => {
+        const stream = await server.openStream('/api/books/events?name=Ulysses', { token });
+        await api('POST', '/api/books', { name: 'Ulysses', secret: 's3', pages: 730 });
+
+        const { event, data } = await stream.next();
+        stream.close();
+        assert.equal(event, 'create');
+        assert.deepEqual(data.data, { name: 'Ulysses', pages: 730 });
+    });
+
+    it('shapes records in webhook payloads', async () => {
+        const created = await api('POST', '/endpoints/1/webhooks', { url: 'http://127.0.0.1:9/hook', events: ['update'] });
+        assert.equal(created.status, 201);
+
+        await api('PATCH', '/api/books/1', { secret: 's2' });
+
+        const { body } = await api('GET', `/endpoints/1/webhooks/${created.body.webhook_id}/deliveries`);
+        assert.equal(body.length, 1);
+        assert.deepEqual(body[0].payload.data, { name: 'Dune', pages: 412 });
+        assert.deepEqual(body[0].payload.previous, { name: 'Dune', pages: 412 });
+    });
+
+    it('applies renames and hidden fields to the GraphQL schema', async () => {
+        const query = '{ books(sort: "-name") { items { id name pages } } books_by_id(id: 1) { id name } }';
+        const { status, body } = await api('POST', '/graphql', { query });
+        assert.equal(status, 200);
+        assert.deepEqual(body.data.books.items.map(book => book.name), ['Ulysses', 'Emma', 'Dune']);
+        assert.deepEqual(body.data.books_by_id, { id: '1', name: 'Dune' });
+
+        const hidden = await api('POST', '/graphql', { query: '{ books { items { secret } } }' });
+        assert.equal(hidden.status, 400);
+        assert.match(hidden.body.errors[0].message, /Cannot query field "secret"/);
+    });
+
+    it('refuses invalid header names and leaves out rendered values that cannot be sent', async () => {
+        const header = headers => ({ responses: { POST: { success: { status: 201, headers } } } });
+
+        const badName = await api('POST', '/endpoints', { endpoint_name: 'notes', http_methods: ALL_METHODS, response_templates: header({ 'X Title': '{{data.title}}' }) });
+        assert.equal(badName.status, 400);
+
+        const created = await api('POST', '/endpoints', { endpoint_name: 'notes', http_methods: ALL_METHODS, response_templates: header({ 'X-Title': '{{data.title}}' }) });
+        assert.equal(created.status, 201);
+        await api('POST', `/endpoints/${created.body.endpoint_id}/fields`, { fields: [{ field_name: 'title', data_type: 'VARCHAR' }] });
+
+        const plain = await api('POST', '/api/notes', { title: 'Hello' });
+        assert.equal(plain.headers.get('x-title'), 'Hello');
+
+        const injected = await api('POST', '/api/notes', { title: 'Hello\r\nSet-Cookie: a=b' });
+        assert.equal(injected.status, 201);
+        assert.equal(injected.headers.get('x-title'), null);
+        assert.equal(injected.headers.get('set-cookie'), null);
+    });
+});
@@ -0,0 +1,52 @@
+// test/seed.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+const FIELDS = [
+    { field_name: 'code', data_type: 'VARCHAR', constraints: { unique: true, max_length: 12 } },
+    { field_name: 'email', data_type: 'VARCHAR', constraints: { unique: true, format: 'email' } },
+    { field_name: 'status', data_type: 'VARCHAR', constraints: { enum: ['open', 'closed'] } }
+];
+
+describe('seeding', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+    const records = async (name) => (await api('GET', `/api/${name}`)).body.map(({ data_id, ...record }) => record);
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        for (const endpoint_name of ['tickets', 'copies']) {
+            const { body } = await api('POST', '/endpoints', { endpoint_name, http_methods: ['GET'] });
+            await api('POST', `/endpoints/${body.endpoint_id}/fields`, { fields: FIELDS });
+        }
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('returns the seed it picked so the records can be generated again', async () => {
+        const first = await api('POST', '/endpoints/1/seed', { count: 5 });
+        assert.equal(first.status, 201);
+        assert.ok(Number.isInteger(first.body.seed));
+
+        assert.equal((await api('POST', '/endpoints/2/seed', { count: 5, seed: first.body.seed })).status, 201);
+        assert.deepEqual(await records('copies'), await records('tickets'));
+    });
+
+    it('keeps unique text fields unique across large and repeated seeds', async () => {
+        assert.equal((await api('POST', '/endpoints/1/seed', { count: 2000 })).status, 201);
+        assert.equal((await api('POST', '/endpoints/1/seed', { count: 500 })).status, 201);
+
+        const seeded = await records('tickets');
+        assert.equal(seeded.length, 2505);
+        assert.equal(new Set(seeded.map(record => record.code)).size, 2505);
+        assert.equal(new Set(seeded.map(record => record.email)).size, 2505);
+        assert.ok(seeded.every(record => record.code.length <= 12 && ['open', 'closed'].includes(record.status)));
+    });
+});
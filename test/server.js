@@ -0,0 +1,91 @@
+// test/server.js
+
+// Request-level tests run the whole app on the memory driver. Each test file is its own process,
+// so it gets a fresh database; settings a suite needs go into process.env before startServer.
+process.env.DB_DRIVER = 'memory';
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+process.env.AUTH_RATE_LIMIT = process.env.AUTH_RATE_LIMIT || '0';
+process.env.RATE_LIMIT_USER = process.env.RATE_LIMIT_USER || '0';
+process.env.RATE_LIMIT_IP = process.env.RATE_LIMIT_IP || '0';
+
+const PASSWORD = 'Secret123!';
+
+// Listen on a free port. Returns { base, request, signUp, openStream, close }.
+// request(method, path, { token, body, headers }) resolves to { status, headers, body }, with
+// JSON bodies parsed and anything else left as text.
+const startServer = async () => {
+    const app = require('../app');
+    const pool = require('../db');
+    const { migrate } = require('../storage/migrate');
+    await migrate(pool);
+
+    const server = await new Promise((resolve) => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const base = `http://127.0.0.1:${server.address().port}`;
+
+    const request = async (method, path, { token, body, headers = {} } = {}) => {
+        const response = await fetch(base + path, {
+            method,
+            headers: {
+                ...(body !== undefined && typeof body !== 'string' && { 'Content-Type': 'application/json' }),
+                ...(token && { Authorization: `Bearer ${token}` }),
+                ...headers
+            },
+            body: body === undefined || typeof body === 'string' ? body : JSON.stringify(body),
+            redirect: 'manual'
+        });
+        const text = await response.text();
+        const isJson = (response.headers.get('content-type') || '').includes('application/json');
+        return { status: response.status, headers: response.headers, body: isJson && text ? JSON.parse(text) : text };
+    };
+
+    // Register and sign in; returns the access token
+    const signUp = async (username) => {
+        await request('POST', '/auth/register', { body: { username, email: `${username}@example.com`, password: PASSWORD } });
+        const { body } = await request('POST', '/auth/login', { body: { username, password: PASSWORD } });
+        return body.token;
+    };
+
+    // Open a Server-Sent Events stream. Returns { status, next, close }; next() resolves to the
+    // next event as { event, data }, skipping comments and the retry line.
+    const openStream = async (path, { token } = {}) => {
+        const controller = new AbortController();
+        const response = await fetch(base + path, {
+            headers: token ? { Authorization: `Bearer ${token}` } : {},
+            signal: controller.signal
+        });
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const next = async () => {
+            for (;;) {
+                const end = buffer.indexOf('\n\n');
+                if (end !== -1) {
+                    const lines = buffer.slice(0, end).split('\n');
+                    buffer = buffer.slice(end + 2);
+                    const event = lines.find(line => line.startsWith('event: '));
+                    const data = lines.find(line => line.startsWith('data: '));
+                    if (event && data) return { event: event.slice(7), data: JSON.parse(data.slice(6)) };
+                    continue;
+                }
+                const { value, done } = await reader.read();
+                if (done) return null;
+                buffer += decoder.decode(value, { stream: true });
+            }
+        };
+
+        return { status: response.status, next, close: () => controller.abort() };
+    };
+
+    const close = async () => {
+        server.closeAllConnections();
+        await new Promise(resolve => server.close(resolve));
+        await pool.end();
+    };
+
+    return { base, request, signUp, openStream, close };
+};
+
+module.exports = { PASSWORD, startServer };
@@ -0,0 +1,78 @@
+// test/validation.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Patterns that backtrack catastrophically on a backtracking engine, with an input that triggers it
+const REDOS_PATTERNS = [
+    ['^(a+)+$', 'a'.repeat(999) + 'b'],
+    ['(a|aa)+$', 'a'.repeat(999) + 'b'],
+    ['^(a|a?)+$', 'a'.repeat(999) + 'b'],
+    ['^(.|\\s)*x$', ' '.repeat(999) + 'y'],
+    ['^([a-z]+\\d*)*$', 'a1'.repeat(499) + '!']
+];
+
+describe('field validation', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+
+        await api('POST', '/endpoints', { endpoint_name: 'people', http_methods: ALL_METHODS });
+        await api('POST', '/endpoints/1/fields', { fields: [
+            { field_name: 'code', data_type: 'VARCHAR', constraints: { pattern: '^[A-Z]{3}-\\d+$' } },
+            { field_name: 'email', data_type: 'VARCHAR', constraints: { format: 'email', unique: true } },
+            { field_name: 'age', data_type: 'INT', constraints: { min: 0, max: 150 } }
+        ] });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('checks patterns, formats and ranges', async () => {
+        assert.equal((await api('POST', '/api/people', { code: 'ABC-12', email: 'a@example.com', age: 30 })).status, 201);
+
+        const { status, body } = await api('POST', '/api/people', { code: 'abc', email: 'nope', age: 200 });
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors.map(error => error.field).sort(), ['age', 'code', 'email']);
+    });
+
+    it('rejects duplicate values of unique fields', async () => {
+        const { status, body } = await api('POST', '/api/people', { code: 'XYZ-1', email: 'a@example.com' });
+        assert.equal(status, 400);
+        assert.deepEqual(body.errors, [{ field: 'email', message: "Field 'email' must be unique; the value is already in use." }]);
+    });
+
+    it('rejects patterns RE2 cannot run', async () => {
+        for (const pattern of ['(a)\\1', '(?=a)b', '(?<!a)b', '(unbalanced']) {
+            const { status, body } = await api('POST', '/endpoints/1/fields', { fields: [
+                { field_name: 'other', data_type: 'VARCHAR', constraints: { pattern } }
+            ] });
+            assert.equal(status, 400, pattern);
+            assert.match(body.message, /not a supported regular expression/);
+        }
+    });
+
+    it('matches patterns that backtrack catastrophically elsewhere in linear time', async () => {
+        for (const [index, [pattern, input]] of REDOS_PATTERNS.entries()) {
+            const field_name = `slow_${index}`;
+            const saved = await api('POST', '/endpoints/1/fields', { fields: [
+                { field_name, data_type: 'VARCHAR', constraints: { pattern } }
+            ] });
+            assert.equal(saved.status, 201, pattern);
+
+            const started = Date.now();
+            const { status, body } = await api('POST', '/api/people', { [field_name]: input });
+            assert.ok(Date.now() - started < 1000, pattern);
+            assert.equal(status, 400, pattern);
+            assert.deepEqual(body.errors, [{ field: field_name, message: `Field '${field_name}' must match pattern ${pattern}.` }]);
+        }
+    });
+});
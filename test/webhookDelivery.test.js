@@ -0,0 +1,82 @@
+// test/webhookDelivery.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+// The receiver runs on loopback, which deliveries refuse unless private hosts are allowed
+process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+process.env.WEBHOOK_MAX_ATTEMPTS = '1';
+const { startServer } = require('./server');
+const { signPayload } = require('../utils/webhooks');
+
+describe('webhook deliveries', () => {
+    let server;
+    let receiver;
+    let receiverBase;
+    let token;
+    const received = [];
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+
+    // Deliveries run in the background; poll the log until the latest one has finished
+    const settledDelivery = async (webhook_id) => {
+        for (let tries = 0; tries < 250; tries++) {
+            const { body } = await api('GET', `/endpoints/1/webhooks/${webhook_id}/deliveries?limit=1`);
+            if (body[0] && ['succeeded', 'failed'].includes(body[0].status)) return body[0];
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Delivery of webhook ${webhook_id} did not finish`);
+    };
+
+    before(async () => {
+        receiver = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received.push({ path: req.url, headers: req.headers, body });
+                if (req.url === '/moved') {
+                    res.writeHead(302, { Location: '/hook' }).end();
+                } else {
+                    res.writeHead(200).end();
+                }
+            });
+        });
+        await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+        receiverBase = `http://127.0.0.1:${receiver.address().port}`;
+
+        server = await startServer();
+        token = await server.signUp('ann');
+        await api('POST', '/endpoints', { endpoint_name: 'books', http_methods: ['GET', 'POST'] });
+    });
+
+    after(async () => {
+        await server.close();
+        await new Promise(resolve => receiver.close(resolve));
+    });
+
+    it('signs deliveries with the webhook secret', async () => {
+        const created = await api('POST', '/endpoints/1/webhooks', { url: `${receiverBase}/hook` });
+        assert.equal((await api('POST', `/endpoints/1/webhooks/${created.body.webhook_id}/ping`, {})).status, 202);
+
+        const delivery = await settledDelivery(created.body.webhook_id);
+        assert.equal(delivery.status, 'succeeded');
+
+        const [request] = received.splice(0);
+        assert.equal(request.path, '/hook');
+        assert.equal(request.headers['x-webhook-event'], 'ping');
+        assert.equal(
+            request.headers['x-webhook-signature'],
+            signPayload(created.body.secret, request.headers['x-webhook-timestamp'], request.body)
+        );
+    });
+
+    it('does not follow redirects', async () => {
+        const created = await api('POST', '/endpoints/1/webhooks', { url: `${receiverBase}/moved` });
+        await api('POST', `/endpoints/1/webhooks/${created.body.webhook_id}/ping`, {});
+
+        const delivery = await settledDelivery(created.body.webhook_id);
+        assert.equal(delivery.status, 'failed');
+        assert.equal(delivery.status_code, 302);
+        assert.deepEqual(received.splice(0).map(request => request.path), ['/moved']);
+    });
+});
@@ -0,0 +1,48 @@
+// test/webhooks.test.js
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startServer } = require('./server');
+
+describe('webhook URLs', () => {
+    let server;
+    let token;
+
+    const api = (method, path, body) => server.request(method, path, { token, body });
+
+    before(async () => {
+        server = await startServer();
+        token = await server.signUp('ann');
+        await api('POST', '/endpoints', { endpoint_name: 'books', http_methods: ['GET', 'POST'] });
+    });
+
+    after(async () => {
+        await server.close();
+    });
+
+    it('refuses receivers on loopback, private and link-local addresses', async () => {
+        for (const url of [
+            'http://127.0.0.1:4000/hook',
+            'http://localhost/hook',
+            'http://169.254.169.254/latest/meta-data/',
+            'http://10.1.2.3/hook',
+            'http://192.168.0.10/hook',
+            'http://0.0.0.0/hook',
+            'http://[::1]/hook',
+            'http://[::ffff:127.0.0.1]/hook',
+            'http://[fd00::1]/hook'
+        ]) {
+            const { status, body } = await api('POST', '/endpoints/1/webhooks', { url });
+            assert.equal(status, 400, url);
+            assert.equal(body.message, 'Webhook URL must not point to a loopback, private or link-local address.', url);
+        }
+        assert.equal((await api('POST', '/endpoints/1/webhooks', { url: 'ftp://example.com/hook' })).status, 400);
+    });
+
+    it('accepts public receivers and refuses moving them to a private address', async () => {
+        const created = await api('POST', '/endpoints/1/webhooks', { url: 'https://93.184.216.34/hook', events: ['delete'] });
+        assert.equal(created.status, 201);
+
+        const moved = await api('PUT', `/endpoints/1/webhooks/${created.body.webhook_id}`, { url: 'http://127.0.0.1/hook' });
+        assert.equal(moved.status, 400);
+    });
+});
@@ -0,0 +1,40 @@
+// utils/access.js
+const { authorize } = require('./permissions');
+
+const ACCESS_MODES = ['private', 'public_read', 'public', 'api_key'];
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Decide whether the caller may use this method on the endpoint.
+// Members (the owner, or workspace members) are limited by their role; everyone else by the access mode.
+// Returns null when allowed, otherwise { status, message }.
+const checkAccess = (endpoint, access, method) => {
+    const isRead = READ_METHODS.includes(method);
+
+    if (access.type === 'member') {
+        return authorize({ role: access.role }, isRead ? 'read' : 'write');
+    }
+
+    const mode = endpoint.access_mode || 'private';
+
+    if (mode === 'private') {
+        return { status: 404, message: 'API endpoint not found.' };
+    }
+    if (mode === 'public' || (mode === 'public_read' && isRead)) {
+        return null;
+    }
+
+    // api_key mode, or a write to a public_read endpoint
+    if (access.type !== 'api_key') {
+        return { status: 401, message: 'API key required.' };
+    }
+    if (access.endpoint_ids.length > 0 && !access.endpoint_ids.includes(String(endpoint.endpoint_id))) {
+        return { status: 403, message: 'API key is not valid for this endpoint.' };
+    }
+    if (method !== 'OPTIONS' && !access.scopes.includes(isRead ? 'read' : 'write')) {
+        return { status: 403, message: `API key lacks the '${isRead ? 'read' : 'write'}' scope.` };
+    }
+    return null;
+};
+
+module.exports = { ACCESS_MODES, checkAccess };
@@ -0,0 +1,15 @@
+// utils/apiKeys.js
+const crypto = require('crypto');
+
+const API_KEY_SCOPES = ['read', 'write'];
+const KEY_PREFIX = 'hcm_';
+
+// Keys are random enough that a plain SHA-256 is a safe way to store and look them up
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const generateApiKey = () => `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+
+// Scopes and endpoint restrictions are stored as comma-separated lists
+const parseList = (stored) => (stored ? String(stored).split(',').filter(Boolean) : []);
+
+module.exports = { API_KEY_SCOPES, hashApiKey, generateApiKey, parseList };
@@ -0,0 +1,172 @@
+// utils/behavior.js
+const { SUPPORTED_METHODS, requestMethod } = require('./httpMethods');
+const { validateHeaders, sendableHeaders } = require('./httpHeaders');
+
+const MAX_DELAY_MS = 60000;
+const SCENARIO_HEADER = 'x-mock-scenario';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The behavior column holds JSON; mysql2 may hand it back parsed or as a string
+const parseBehavior = (endpoint) => {
+    if (!endpoint.behavior) return {};
+    if (typeof endpoint.behavior === 'object') return endpoint.behavior;
+    try {
+        return JSON.parse(endpoint.behavior);
+    } catch (err) {
+        return {};
+    }
+};
+
+const validateStatus = (status, min, label) => {
+    if (!Number.isInteger(status) || status < min || status > 599) {
+        return `${label} must be an integer between ${min} and 599.`;
+    }
+    return null;
+};
+
+// Check a canned response: { status, body, headers }. Informational (1xx) statuses aren't final
+// responses, so canned ones start at 200.
+const validateResponse = (response, label) => {
+    if (!isPlainObject(response)) return `${label} must be an object.`;
+    const statusError = validateStatus(response.status, 200, `${label}.status`);
+    if (statusError) return statusError;
+    if (response.headers !== undefined) {
+        return validateHeaders(response.headers, `${label}.headers`);
+    }
+    return null;
+};
+
+// Validate one set of settings; scenarios use the same shape minus nested scenarios
+const validateSettings = (settings, label, allowScenarios) => {
+    if (!isPlainObject(settings)) return `${label} must be an object.`;
+
+    const allowed = ['delay', 'errors', 'overrides', 'status', 'body', 'headers'];
+    if (allowScenarios) allowed.push('scenarios');
+    const unknown = Object.keys(settings).filter(key => !allowed.includes(key));
+    if (unknown.length > 0) return `Unknown ${label} setting(s): ${unknown.join(', ')}.`;
+
+    const { delay, errors, overrides, scenarios } = settings;
+
+    if (delay !== undefined) {
+        const range = typeof delay === 'number' ? { min: delay, max: delay } : delay;
+        if (!isPlainObject(range) || typeof range.min !== 'number' || typeof range.max !== 'number') {
+            return `${label}.delay must be a number of milliseconds or { min, max }.`;
+        }
+        if (range.min < 0 || range.max > MAX_DELAY_MS || range.min > range.max) {
+            return `${label}.delay must be between 0 and ${MAX_DELAY_MS} ms with min not greater than max.`;
+        }
+    }
+
+    if (errors !== undefined) {
+        if (!isPlainObject(errors) || typeof errors.rate !== 'number' || errors.rate < 0 || errors.rate > 1) {
+            return `${label}.errors.rate must be a number between 0 and 1.`;
+        }
+        const statusError = validateStatus(errors.status === undefined ? 500 : errors.status, 400, `${label}.errors.status`);
+        if (statusError) return statusError;
+    }
+
+    if (overrides !== undefined) {
+        if (!isPlainObject(overrides)) return `${label}.overrides must be an object keyed by HTTP method.`;
+        for (const [method, response] of Object.entries(overrides)) {
+            if (!SUPPORTED_METHODS.includes(method.toUpperCase())) {
+                return `${label}.overrides has an invalid HTTP method '${method}'.`;
+            }
+            const responseError = validateResponse(response, `${label}.overrides.${method}`);
+            if (responseError) return responseError;
+        }
+    }
+
+    // A top-level status turns the settings into a canned response for every method
+    if (settings.status !== undefined) {
+        const responseError = validateResponse(settings, label);
+        if (responseError) return responseError;
+    }
+
+    if (scenarios !== undefined) {
+        if (!isPlainObject(scenarios)) return `${label}.scenarios must be an object keyed by scenario name.`;
+        for (const [name, scenario] of Object.entries(scenarios)) {
+            const scenarioError = validateSettings(scenario, `scenarios.${name}`, false);
+            if (scenarioError) return scenarioError;
+        }
+    }
+
+    return null;
+};
+
+// Validate behavior settings sent to the management API. Returns an error message or null.
+const validateBehavior = (behavior) => {
+    if (behavior === null) return null;
+    return validateSettings(behavior, 'behavior', true);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Work out what to do for a request: { error } for an unknown scenario, otherwise
+// { delay, response } where response is a canned { status, body, headers } or null
+const resolveBehavior = (endpoint, req) => {
+    const behavior = parseBehavior(endpoint);
+    let settings = behavior;
+
+    const scenarioName = req.headers[SCENARIO_HEADER];
+    if (scenarioName) {
+        const scenario = (behavior.scenarios || {})[scenarioName];
+        if (!scenario) {
+            return { error: `Unknown scenario '${scenarioName}'.` };
+        }
+        // Scenario settings replace the endpoint's defaults
+        settings = { ...behavior, ...scenario };
+    }
+
+    let delay = 0;
+    if (settings.delay !== undefined) {
+        const range = typeof settings.delay === 'number' ? { min: settings.delay, max: settings.delay } : settings.delay;
+        delay = Math.round(range.min + Math.random() * (range.max - range.min));
+    }
+
+    let response = null;
+    const method = requestMethod(req);
+    const overrides = settings.overrides || {};
+    const override = Object.entries(overrides).find(([key]) => key.toUpperCase() === method);
+
+    if (settings.errors && Math.random() < settings.errors.rate) {
+        response = {
+            status: settings.errors.status || 500,
+            body: settings.errors.body !== undefined ? settings.errors.body : { message: 'Simulated error.' }
+        };
+    } else if (override) {
+        response = override[1];
+    } else if (settings.status !== undefined) {
+        response = { status: settings.status, body: settings.body, headers: settings.headers };
+    }
+
+    return { delay, response };
+};
+
+// Apply the endpoint's behavior before the CRUD handlers run. Returns true when the response was sent.
+const applyBehavior = async (endpoint, req, res) => {
+    const { delay, response, error } = resolveBehavior(endpoint, req);
+    if (error) {
+        res.status(400).json({ message: error });
+        return true;
+    }
+
+    if (delay > 0) {
+        await sleep(delay);
+    }
+
+    if (!response) return false;
+
+    // Behavior saved before header names were checked may still hold ones that can't be sent
+    if (response.headers) {
+        res.set(sendableHeaders(response.headers));
+    }
+    if (response.body === undefined) {
+        res.status(response.status).end();
+    } else {
+        res.status(response.status).json(response.body);
+    }
+    return true;
+};
+
+module.exports = { parseBehavior, validateBehavior, applyBehavior };
@@ -0,0 +1,31 @@
+// utils/changeStream.js
+const { EventEmitter } = require('events');
+const { ACTION_EVENTS, dispatchChanges } = require('./webhooks');
+
+// Live subscribers listen on their endpoint's id. Subscriptions are per process, so with
+// several app instances a client only sees changes made through the instance it is connected to.
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// Listen for changes to one endpoint; returns a function that stops listening
+const subscribe = (endpoint_id, listener) => {
+    emitter.on(String(endpoint_id), listener);
+    return () => emitter.off(String(endpoint_id), listener);
+};
+
+// Announce the record changes collected in a change context (see utils/history) once its
+// transaction has committed: push them to live subscribers and fire webhooks
+const publishChanges = (context) => {
+    for (const change of context.changes) {
+        emitter.emit(String(change.endpoint_id), {
+            event: ACTION_EVENTS[change.action],
+            data_id: change.data_id,
+            data: change.after || null,
+            previous: change.before || null,
+            method: context.method
+        });
+    }
+    dispatchChanges(context);
+};
+
+module.exports = { subscribe, publishChanges };
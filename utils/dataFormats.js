@@ -0,0 +1,179 @@
+// utils/dataFormats.js
+const { Transform } = require('stream');
+
+const FORMATS = {
+    json: { contentType: 'application/json', extension: 'json' },
+    ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+    csv: { contentType: 'text/csv', extension: 'csv' }
+};
+
+// Pick the format from ?format=, falling back to the Content-Type of an upload
+const resolveFormat = (format, contentType = '') => {
+    if (format) return FORMATS[format] ? format : null;
+    if (contentType.includes('csv')) return 'csv';
+    if (contentType.includes('ndjson')) return 'ndjson';
+    return 'json';
+};
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Turn data_storage rows into the chosen format one record at a time, so exports never hold
+// the whole endpoint in memory. CSV columns are data_id followed by the endpoint's fields.
+const createExportStream = (format, fields) => {
+    const columns = ['data_id', ...fields.map(field => field.field_name)];
+    let first = true;
+
+    return new Transform({
+        writableObjectMode: true,
+        transform(row, encoding, callback) {
+            const record = { data_id: row.data_id, ...JSON.parse(row.data) };
+            let chunk;
+            if (format === 'csv') {
+                chunk = `${first ? `${columns.join(',')}\r\n` : ''}${columns.map(column => csvCell(record[column])).join(',')}\r\n`;
+            } else if (format === 'ndjson') {
+                chunk = `${JSON.stringify(record)}\n`;
+            } else {
+                chunk = `${first ? '[' : ','}${JSON.stringify(record)}`;
+            }
+            first = false;
+            callback(null, chunk);
+        },
+        flush(callback) {
+            if (format === 'csv' && first) {
+                this.push(`${columns.join(',')}\r\n`);
+            }
+            if (format === 'json') {
+                this.push(first ? '[]' : ']');
+            }
+            callback();
+        }
+    });
+};
+
+// Split CSV text into rows of cells, following RFC 4180 quoting
+const parseCsvRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+// Spellings of booleans that spreadsheets and databases write to CSV
+const CSV_BOOLEANS = { true: true, false: false, 1: true, 0: false, yes: true, no: false };
+
+// CSV cells are text; convert them to the field's type so they validate like JSON input.
+// Values that can't be converted are left as text for validation to report.
+const convertCsvValue = (value, data_type) => {
+    if (value === '') return undefined;
+    const trimmed = value.trim();
+    switch (data_type) {
+        case 'INT':
+        case 'FLOAT':
+        case 'REFERENCE':
+            return trimmed !== '' && Number.isFinite(Number(trimmed)) ? Number(trimmed) : value;
+        case 'BOOLEAN': {
+            const key = trimmed.toLowerCase();
+            return Object.prototype.hasOwnProperty.call(CSV_BOOLEANS, key) ? CSV_BOOLEANS[key] : value;
+        }
+        case 'OBJECT':
+        case 'ARRAY':
+            try {
+                return JSON.parse(value);
+            } catch (err) {
+                return value;
+            }
+        default:
+            return value;
+    }
+};
+
+// Parse an uploaded body into plain records. Returns { records } or { error }.
+const parseImport = (format, body, fields) => {
+    if (format === 'json') {
+        const records = typeof body === 'string' ? tryParseJson(body) : body;
+        if (!Array.isArray(records)) {
+            return { error: 'JSON imports must be an array of records.' };
+        }
+        return { records };
+    }
+
+    if (typeof body !== 'string') {
+        return { error: `Send ${format.toUpperCase()} imports as text with a ${FORMATS[format].contentType} Content-Type.` };
+    }
+
+    if (format === 'ndjson') {
+        const records = [];
+        const lines = body.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            if (lines[i].trim() === '') continue;
+            const record = tryParseJson(lines[i]);
+            if (record === undefined) {
+                return { error: `Line ${i + 1} is not valid JSON.` };
+            }
+            records.push(record);
+        }
+        return { records };
+    }
+
+    const [header, ...rows] = parseCsvRows(body);
+    if (!header) {
+        return { records: [] };
+    }
+    const types = new Map(fields.map(field => [field.field_name, field.data_type.toUpperCase()]));
+    const records = rows.map(cells => {
+        const record = {};
+        header.forEach((column, index) => {
+            if (!types.has(column)) return;
+            const value = convertCsvValue(cells[index] === undefined ? '' : cells[index], types.get(column));
+            if (value !== undefined) record[column] = value;
+        });
+        return record;
+    });
+    return { records };
+};
+
+const tryParseJson = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return undefined;
+    }
+};
+
+module.exports = { FORMATS, resolveFormat, createExportStream, parseImport };
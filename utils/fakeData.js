@@ -0,0 +1,207 @@
+// utils/fakeData.js
+const { parseConstraints } = require('./validation');
+
+const FIRST_NAMES = ['Ava', 'Liam', 'Olivia', 'Noah', 'Emma', 'Mateo', 'Sophia', 'Lucas', 'Mia', 'Ethan', 'Amara', 'Kenji', 'Priya', 'Diego', 'Chloe', 'Omar', 'Zoe', 'Ivan', 'Leila', 'Sam'];
+const LAST_NAMES = ['Smith', 'Garcia', 'Johnson', 'Nguyen', 'Brown', 'Patel', 'Kim', 'Martinez', 'Lopez', 'Walker', 'Okafor', 'Silva', 'Novak', 'Haddad', 'Tanaka', 'Rossi', 'Murphy', 'Cohen', 'Larsen', 'Reyes'];
+const STREETS = ['Maple', 'Oak', 'Cedar', 'Pine', 'Elm', 'Lake', 'Hill', 'Sunset', 'River', 'Park', 'Washington', 'Main'];
+const STREET_TYPES = ['St', 'Ave', 'Rd', 'Blvd', 'Ln', 'Dr', 'Way'];
+const CITIES = ['Springfield', 'Riverside', 'Fairview', 'Franklin', 'Greenville', 'Bristol', 'Clinton', 'Madison', 'Georgetown', 'Salem', 'Ashland', 'Dover'];
+const DOMAINS = ['example.com', 'example.org', 'example.net', 'mail.test', 'inbox.test'];
+const WORDS = ['lorem', 'ipsum', 'dolor', 'sit', 'amet', 'consectetur', 'adipiscing', 'elit', 'sed', 'do', 'eiusmod', 'tempor', 'incididunt', 'ut', 'labore', 'et', 'dolore', 'magna', 'aliqua', 'enim', 'minim', 'veniam', 'quis', 'nostrud'];
+
+const GENERATORS = ['name', 'first_name', 'last_name', 'email', 'phone', 'address', 'city', 'url', 'lorem', 'word', 'number', 'date', 'boolean', 'uuid', 'pick', 'object', 'array'];
+
+// Small deterministic PRNG (mulberry32) so a seed always produces the same records
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+// Turn any seed value (number or string) into a 32-bit integer
+const hashSeed = (seed) => {
+    let hash = 2166136261;
+    for (const char of String(seed)) {
+        hash ^= char.charCodeAt(0);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+};
+
+// Guess a generator from the field's constraints and name when no hint is given
+const inferHint = (field, data_type) => {
+    const constraints = parseConstraints(field);
+    if (Array.isArray(constraints.enum)) {
+        return { generator: 'pick', values: constraints.enum };
+    }
+    if (constraints.format) {
+        return { generator: constraints.format };
+    }
+    if (['INT', 'FLOAT'].includes(data_type)) {
+        return { generator: 'number', min: constraints.min, max: constraints.max };
+    }
+    return { generator: inferGenerator(field.field_name, data_type) };
+};
+
+const inferGenerator = (field_name, data_type) => {
+    const name = field_name.toLowerCase();
+    if (['VARCHAR', 'TEXT'].includes(data_type)) {
+        if (name.includes('email')) return 'email';
+        if (name.includes('phone')) return 'phone';
+        if (name.includes('address') || name.includes('street')) return 'address';
+        if (name.includes('city')) return 'city';
+        if (name.includes('first')) return 'first_name';
+        if (name.includes('last') || name.includes('surname')) return 'last_name';
+        if (name.includes('name')) return 'name';
+        if (name.includes('uuid') || name.includes('guid')) return 'uuid';
+        if (name.includes('url') || name.includes('website')) return 'url';
+        return data_type === 'TEXT' ? 'lorem' : 'word';
+    }
+    switch (data_type) {
+        case 'INT':
+        case 'FLOAT':
+            return 'number';
+        case 'DATE':
+        case 'DATETIME':
+            return 'date';
+        case 'BOOLEAN':
+            return 'boolean';
+        case 'OBJECT':
+            return 'object';
+        case 'ARRAY':
+            return 'array';
+        default:
+            return 'word';
+    }
+};
+
+// Normalize a hint given as "email" or { generator: 'number', min: 1, max: 10 }
+const normalizeHint = (hint) => (typeof hint === 'string' ? { generator: hint } : { ...hint });
+
+// Check generator hints against the endpoint's fields before generating anything
+const validateHints = (hints, fields) => {
+    if (hints === undefined || hints === null) return null;
+    if (typeof hints !== 'object' || Array.isArray(hints)) {
+        return 'Generator hints must be an object keyed by field name.';
+    }
+    for (const [field_name, hint] of Object.entries(hints)) {
+        if (!fields.some(field => field.field_name === field_name)) {
+            return `Unknown field '${field_name}' in generator hints.`;
+        }
+        const { generator, values } = normalizeHint(hint || {});
+        if (!GENERATORS.includes(generator)) {
+            return `Unknown generator '${generator}' for field '${field_name}'. Use one of: ${GENERATORS.join(', ')}.`;
+        }
+        if (generator === 'pick' && (!Array.isArray(values) || values.length === 0)) {
+            return `Generator 'pick' for field '${field_name}' needs a non-empty values array.`;
+        }
+    }
+    return null;
+};
+
+// Create a record generator for the given fields.
+// references maps REFERENCE field names to the data_ids they may point at.
+const createGenerator = (fields, { seed, hints = {}, references = {} } = {}) => {
+    const random = createRandom(seed === undefined || seed === null ? Date.now() : hashSeed(seed));
+    const pick = (list) => list[Math.floor(random() * list.length)];
+    const integer = (min, max) => Math.floor(random() * (max - min + 1)) + min;
+
+    const hintFor = (field) => (hints[field.field_name] ? normalizeHint(hints[field.field_name]) : inferHint(field, field.data_type.toUpperCase()));
+
+    // A random base-36 tag; eight characters keep clashes rare even across the largest seed
+    const suffix = () => Array.from({ length: 8 }, () => Math.floor(random() * 36).toString(36)).join('');
+
+    const generateValue = (field, index) => {
+        const data_type = field.data_type.toUpperCase();
+        if (data_type === 'REFERENCE') {
+            const ids = references[field.field_name] || [];
+            return ids.length > 0 ? pick(ids) : null;
+        }
+        const hint = hintFor(field);
+
+        switch (hint.generator) {
+            case 'first_name':
+                return pick(FIRST_NAMES);
+            case 'last_name':
+                return pick(LAST_NAMES);
+            case 'name':
+                return `${pick(FIRST_NAMES)} ${pick(LAST_NAMES)}`;
+            case 'email':
+                return `${pick(FIRST_NAMES).toLowerCase()}.${pick(LAST_NAMES).toLowerCase()}${index + 1}@${pick(DOMAINS)}`;
+            case 'phone':
+                return `+1-555-${String(integer(0, 999)).padStart(3, '0')}-${String(integer(0, 9999)).padStart(4, '0')}`;
+            case 'address':
+                return `${integer(1, 9999)} ${pick(STREETS)} ${pick(STREET_TYPES)}, ${pick(CITIES)}`;
+            case 'city':
+                return pick(CITIES);
+            case 'url':
+                return `https://www.${pick(DOMAINS)}/${pick(WORDS)}/${index + 1}`;
+            case 'word':
+                return pick(WORDS);
+            case 'lorem': {
+                const count = integer(hint.min_words || 6, hint.max_words || 20);
+                const words = Array.from({ length: count }, () => pick(WORDS)).join(' ');
+                return `${words.charAt(0).toUpperCase()}${words.slice(1)}.`;
+            }
+            case 'number': {
+                const min = hint.min !== undefined ? Number(hint.min) : Math.min(0, hint.max !== undefined ? Number(hint.max) : 0);
+                const max = hint.max !== undefined ? Number(hint.max) : min + 1000;
+                if (data_type === 'INT') {
+                    return integer(Math.ceil(min), Math.floor(max));
+                }
+                return Math.round((random() * (max - min) + min) * 100) / 100;
+            }
+            case 'date': {
+                const from = Date.parse(hint.from || '2020-01-01T00:00:00Z');
+                const to = Date.parse(hint.to || '2025-12-31T23:59:59Z');
+                const iso = new Date(from + random() * (to - from)).toISOString();
+                return data_type === 'DATE' ? iso.slice(0, 10) : iso;
+            }
+            case 'boolean':
+                return random() < 0.5;
+            case 'uuid': {
+                const hex = Array.from({ length: 32 }, () => Math.floor(random() * 16).toString(16)).join('');
+                return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-4${hex.slice(13, 16)}-${(8 + Math.floor(random() * 4)).toString(16)}${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+            }
+            case 'pick':
+                return pick(hint.values);
+            case 'object':
+                return {};
+            case 'array':
+                return [];
+            default:
+                return null;
+        }
+    };
+
+    return (index) => {
+        const record = {};
+        for (const field of fields) {
+            let value = generateValue(field, index);
+            const { max_length, unique } = parseConstraints(field);
+            // The word lists only hold a few dozen values, so unique text gets a random tag (before
+            // the @ of an email). Picks from a fixed list and uuids are left as they are.
+            if (typeof value === 'string' && unique && !['pick', 'uuid'].includes(hintFor(field).generator)) {
+                const tag = suffix();
+                const at = value.indexOf('@');
+                const base = at === -1 ? value : value.slice(0, at);
+                const rest = at === -1 ? '' : value.slice(at);
+                const room = max_length === undefined ? base.length : Math.max(0, max_length - tag.length - 1 - rest.length);
+                value = `${base.slice(0, room)}-${tag}${rest}`;
+            }
+            // Keep generated text within the field's max_length
+            if (typeof value === 'string' && max_length !== undefined && value.length > max_length) {
+                value = value.slice(0, max_length);
+            }
+            record[field.field_name] = value;
+        }
+        return record;
+    };
+};
+
+module.exports = { createGenerator, validateHints };
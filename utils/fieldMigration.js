@@ -0,0 +1,141 @@
+// utils/fieldMigration.js
+const { validateValue, resolveDefault } = require('./validation');
+const { listRecords, updateRecord } = require('../repositories/recordRepository');
+const { recordVersions } = require('./history');
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const parseJson = (text) => {
+    try {
+        return JSON.parse(text);
+    } catch (err) {
+        return undefined;
+    }
+};
+
+// Convert a stored value to another data type where that makes sense.
+// Returns { value } or { error }.
+const convertValue = (value, data_type) => {
+    const fail = { error: `Cannot convert ${JSON.stringify(value)} to ${data_type}.` };
+    switch (data_type) {
+        case 'INT':
+        case 'REFERENCE': {
+            const number = typeof value === 'boolean' ? Number(value) : Number(typeof value === 'string' ? value.trim() : value);
+            return typeof value !== 'object' && value !== '' && Number.isInteger(number) ? { value: number } : fail;
+        }
+        case 'FLOAT': {
+            const number = typeof value === 'boolean' ? Number(value) : Number(typeof value === 'string' ? value.trim() : value);
+            return typeof value !== 'object' && value !== '' && !isNaN(number) ? { value: number } : fail;
+        }
+        case 'VARCHAR':
+        case 'TEXT':
+            return { value: typeof value === 'object' ? JSON.stringify(value) : String(value) };
+        case 'BOOLEAN':
+            if (typeof value === 'boolean') return { value };
+            if (value === 'true' || value === 1 || value === '1') return { value: true };
+            if (value === 'false' || value === 0 || value === '0') return { value: false };
+            return fail;
+        case 'DATE':
+        case 'DATETIME': {
+            const date = typeof value === 'number' || typeof value === 'string' ? new Date(value) : null;
+            if (!date || isNaN(date.getTime())) return fail;
+            return { value: data_type === 'DATE' ? date.toISOString().slice(0, 10) : date.toISOString() };
+        }
+        case 'OBJECT': {
+            const object = typeof value === 'string' ? parseJson(value) : value;
+            return object !== null && typeof object === 'object' && !Array.isArray(object) ? { value: object } : fail;
+        }
+        case 'ARRAY': {
+            const array = typeof value === 'string' ? parseJson(value) : value;
+            return { value: Array.isArray(array) ? array : [value] };
+        }
+        default:
+            return fail;
+    }
+};
+
+// Migrate one record's value for a field change. `from` is the field before the change
+// (null when it is being added) and `to` the field after it (null when it is being deleted).
+// The old key is renamed, the value converted to the new type, and a missing value of a
+// required field backfilled from default_value. Returns the errors that block the record.
+const migrateValue = (data, from, to) => {
+    const errors = [];
+    const oldName = from ? from.field_name : to.field_name;
+    let value = data[oldName];
+    delete data[oldName];
+
+    if (!to) return errors;
+
+    const data_type = to.data_type.toUpperCase();
+    let backfilled = false;
+    if (isEmpty(value) && to.is_required) {
+        if (to.default_value === null || to.default_value === undefined) {
+            errors.push({ field: to.field_name, message: `Field '${to.field_name}' is required and has no default_value to backfill.` });
+            return errors;
+        }
+        // Defaults are stored as text, so they are converted like any other value
+        value = resolveDefault(to);
+        backfilled = true;
+    }
+
+    if (!isEmpty(value) && (backfilled || !from || from.data_type.toUpperCase() !== data_type)) {
+        const converted = convertValue(value, data_type);
+        if (converted.error) {
+            errors.push({ field: to.field_name, message: converted.error });
+            return errors;
+        }
+        value = converted.value;
+    }
+
+    if (!isEmpty(value)) {
+        validateValue(value, to, errors);
+    }
+    if (value !== undefined) {
+        data[to.field_name] = value;
+    }
+    return errors;
+};
+
+// Work out what a list of field changes ({ from, to }) does to an endpoint's stored rows
+// without writing anything. Returns the rows that change and the ones that can't be migrated.
+const planMigration = (rows, changes) => {
+    const changed = [];
+    const failed = [];
+
+    for (const { data_id, ...original } of rows) {
+        const data = { ...original };
+        const errors = changes.flatMap(({ from, to }) => migrateValue(data, from, to));
+
+        if (errors.length > 0) {
+            failed.push({ data_id, errors });
+        } else if (JSON.stringify(data) !== JSON.stringify(original)) {
+            changed.push({ data_id, before: original, data });
+        }
+    }
+
+    return { total: rows.length, changed, failed };
+};
+
+// Load an endpoint's records and plan a migration for them
+const planFieldMigration = async (db, endpoint_id, changes) => planMigration(await listRecords(db, endpoint_id), changes);
+
+// Write the records of a plan with a version for each, so their history shows the migration.
+// Must run inside the transaction that changes the fields.
+const applyMigration = async (connection, context, endpoint_id, plan) => {
+    for (const { data_id, data } of plan.changed) {
+        await updateRecord(connection, endpoint_id, data_id, data);
+    }
+    await recordVersions(connection, context, plan.changed.map(({ data_id, before, data }) => ({
+        endpoint_id, data_id, action: 'migrate', before, after: data
+    })));
+};
+
+// The response body for a migration preview, or for a migration refused because records fail
+const summarizePlan = (plan) => ({
+    total: plan.total,
+    changed: plan.changed.length,
+    failed: plan.failed.length,
+    errors: plan.failed
+});
+
+module.exports = { convertValue, planFieldMigration, applyMigration, summarizePlan };
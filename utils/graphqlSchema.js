@@ -0,0 +1,359 @@
+// utils/graphqlSchema.js
+const {
+    GraphQLSchema,
+    GraphQLObjectType,
+    GraphQLInputObjectType,
+    GraphQLScalarType,
+    GraphQLNonNull,
+    GraphQLList,
+    GraphQLID,
+    GraphQLInt,
+    GraphQLFloat,
+    GraphQLString,
+    GraphQLBoolean,
+    GraphQLError,
+    valueFromASTUntyped
+} = require('graphql');
+const pool = require('../db');
+const { listRecords, findRecord } = require('../repositories/recordRepository');
+const { parseListQuery, applyListQuery } = require('./listQuery');
+const { parseMethods } = require('./httpMethods');
+const { checkAccess } = require('./access');
+const { changeContext } = require('./history');
+const { createRecord, patchRecord, removeRecord } = require('./recordOperations');
+const { parseTemplates, unshapeQuery } = require('./responseTemplates');
+
+// Builds a GraphQL schema from a scope's endpoints and fields. Each endpoint becomes an object
+// type with a list query (filters, sort, offset or cursor pagination), a query by data_id and
+// create/update/delete mutations, limited to the HTTP methods the endpoint allows. Resolvers
+// go through the same access checks, validation and history as the REST routes, and response
+// templates rename data_id and fields and hide fields the same way.
+
+// OBJECT and ARRAY values pass through as arbitrary JSON
+const GraphQLJSON = new GraphQLScalarType({
+    name: 'JSON',
+    description: 'Any JSON value.',
+    serialize: value => value,
+    parseValue: value => value,
+    parseLiteral: (ast, variables) => valueFromASTUntyped(ast, variables)
+});
+
+const SCALARS = {
+    INT: GraphQLInt,
+    FLOAT: GraphQLFloat,
+    VARCHAR: GraphQLString,
+    TEXT: GraphQLString,
+    DATE: GraphQLString,
+    DATETIME: GraphQLString,
+    BOOLEAN: GraphQLBoolean,
+    REFERENCE: GraphQLID,
+    OBJECT: GraphQLJSON,
+    ARRAY: GraphQLJSON
+};
+
+// Filter inputs per data type, with the operators listQuery supports for it
+const filterInput = (name, scalar, operators) => new GraphQLInputObjectType({
+    name,
+    fields: Object.fromEntries(operators.map(operator => [
+        operator,
+        { type: operator === 'in' ? new GraphQLList(new GraphQLNonNull(scalar)) : scalar }
+    ]))
+});
+
+const ORDERED = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'];
+const IntFilter = filterInput('IntFilter', GraphQLInt, ORDERED);
+const FloatFilter = filterInput('FloatFilter', GraphQLFloat, ORDERED);
+const StringFilter = filterInput('StringFilter', GraphQLString, ['eq', 'ne', 'contains', 'in']);
+const DateFilter = filterInput('DateFilter', GraphQLString, ORDERED);
+const BooleanFilter = filterInput('BooleanFilter', GraphQLBoolean, ['eq', 'ne']);
+const IDFilter = filterInput('IDFilter', GraphQLID, ['eq', 'ne', 'in']);
+
+const FILTERS = {
+    INT: IntFilter,
+    FLOAT: FloatFilter,
+    VARCHAR: StringFilter,
+    TEXT: StringFilter,
+    DATE: DateFilter,
+    DATETIME: DateFilter,
+    BOOLEAN: BooleanFilter,
+    REFERENCE: IDFilter
+};
+
+// Endpoint and field names are free-form; GraphQL names may only use letters, digits and
+// underscores, and a leading __ is reserved for introspection
+const toName = (value) => {
+    const name = String(value).replace(/[^_0-9A-Za-z]/g, '_').replace(/^__+/, '_');
+    return /^[0-9]/.test(name) ? `_${name}` : name;
+};
+
+const toTypeName = (value) => toName(toName(value)
+    .split('_')
+    .filter(Boolean)
+    .map(part => part[0].toUpperCase() + part.slice(1))
+    .join('') || 'Endpoint');
+
+// Stored values keep whatever form passed validation ('true', '42'); hand them out as the declared type
+const toOutputValue = (value, data_type) => {
+    if (value === undefined || value === null || value === '') return null;
+    switch (data_type) {
+        case 'INT':
+        case 'FLOAT':
+            return Number(value);
+        case 'BOOLEAN':
+            return value === true || value === 'true';
+        case 'REFERENCE':
+        case 'VARCHAR':
+        case 'TEXT':
+        case 'DATE':
+        case 'DATETIME':
+            return String(value);
+        default:
+            return value;
+    }
+};
+
+// Failed checks surface as GraphQL errors carrying the REST status and details
+const fail = ({ status, message, ...details }) => {
+    throw new GraphQLError(message, { extensions: { status, ...details } });
+};
+
+const authorizeOperation = (req, endpoint, method) => {
+    const access = req.access || { type: 'member', role: req.scope.role };
+    const denied = checkAccess(endpoint, access, method);
+    if (denied) fail(denied);
+};
+
+// Turn filter/sort/pagination arguments into the query object parseListQuery understands
+const toListQuery = (args, fieldNames) => {
+    const query = {};
+    for (const [name, conditions] of Object.entries(args.filter || {})) {
+        if (!conditions) continue;
+        query[fieldNames[name]] = Object.fromEntries(Object.entries(conditions)
+            .filter(([, value]) => value !== null && value !== undefined)
+            .map(([operator, value]) => [operator, Array.isArray(value) ? value.join(',') : String(value)]));
+    }
+    for (const key of ['sort', 'limit', 'offset', 'cursor']) {
+        if (args[key] !== undefined && args[key] !== null) {
+            query[key] = typeof args[key] === 'number' ? args[key] : String(args[key]);
+        }
+    }
+    return query;
+};
+
+// Map input keys back to field names; references are stored as numbers like REST clients send them
+const toRecordData = (input, fieldList) => {
+    const data = {};
+    for (const { name, field, data_type } of fieldList) {
+        if (input[name] === undefined) continue;
+        data[field.field_name] = data_type === 'REFERENCE' && input[name] !== null ? Number(input[name]) : input[name];
+    }
+    return data;
+};
+
+// Names already taken by the fixed part of the schema
+const RESERVED_NAMES = ['Query', 'Mutation', 'JSON', 'IntFilter', 'FloatFilter', 'StringFilter', 'DateFilter', 'BooleanFilter', 'IDFilter', '_endpoints'];
+
+// Every type and root field an endpoint may add to the schema
+const derivedNames = (typeName, fieldName) => [
+    typeName, `${typeName}Filter`, `${typeName}Page`, `${typeName}CreateInput`, `${typeName}UpdateInput`,
+    fieldName, `${fieldName}_by_id`, `create_${fieldName}`, `update_${fieldName}`, `delete_${fieldName}`
+];
+
+// Build the object type, inputs and root fields for one endpoint
+const buildEndpoint = (endpoint, fields, typeName, fieldName) => {
+    const methods = parseMethods(endpoint.http_method);
+    const endpoint_id = endpoint.endpoint_id;
+
+    // Fields whose names collide once made GraphQL-safe keep the first one. Hidden fields can
+    // still be written, but aren't part of the object type or its filters.
+    const templates = parseTemplates(endpoint);
+    const renames = templates.fields || {};
+    const idName = toName(templates.id_key || 'data_id');
+    const fieldList = [];
+    const taken = new Set([idName]);
+    for (const field of fields) {
+        const hidden = renames[field.field_name] === null;
+        const name = toName(typeof renames[field.field_name] === 'string' ? renames[field.field_name] : field.field_name);
+        const data_type = field.data_type.toUpperCase();
+        if (taken.has(name) || !SCALARS[data_type]) continue;
+        taken.add(name);
+        fieldList.push({ name, field, data_type, hidden });
+    }
+    const visible = fieldList.filter(({ hidden }) => !hidden);
+    const fieldNames = Object.fromEntries(visible.map(({ name, field }) => [name, field.field_name]));
+    fieldNames[idName] = 'data_id';
+    const idArgs = { [idName]: { type: new GraphQLNonNull(GraphQLID) } };
+
+    const objectType = new GraphQLObjectType({
+        name: typeName,
+        fields: () => ({
+            [idName]: { type: new GraphQLNonNull(GraphQLID), resolve: record => record.data_id },
+            ...Object.fromEntries(visible.map(({ name, field, data_type }) => [name, {
+                type: field.is_required ? new GraphQLNonNull(SCALARS[data_type]) : SCALARS[data_type],
+                resolve: record => toOutputValue(record[field.field_name], data_type)
+            }]))
+        })
+    });
+
+    const queries = {};
+    const mutations = {};
+
+    if (methods.includes('GET')) {
+        const filterType = new GraphQLInputObjectType({
+            name: `${typeName}Filter`,
+            fields: {
+                [idName]: { type: IntFilter },
+                ...Object.fromEntries(visible
+                    .filter(({ data_type }) => FILTERS[data_type])
+                    .map(({ name, data_type }) => [name, { type: FILTERS[data_type] }]))
+            }
+        });
+
+        const pageType = new GraphQLObjectType({
+            name: `${typeName}Page`,
+            fields: {
+                items: { type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(objectType))) },
+                total: { type: new GraphQLNonNull(GraphQLInt) },
+                next_cursor: { type: GraphQLString },
+                prev_cursor: { type: GraphQLString }
+            }
+        });
+
+        queries[fieldName] = {
+            type: new GraphQLNonNull(pageType),
+            description: 'Sort takes the same form as ?sort= (e.g. "-price,name"). Pass an empty cursor with a limit to start cursor pagination.',
+            args: {
+                filter: { type: filterType },
+                sort: { type: GraphQLString },
+                limit: { type: GraphQLInt },
+                offset: { type: GraphQLInt },
+                cursor: { type: GraphQLString }
+            },
+            resolve: async (root, args, req) => {
+                authorizeOperation(req, endpoint, 'GET');
+                const query = toListQuery(args, fieldNames);
+                if (query.sort !== undefined) {
+                    const mapped = unshapeQuery({ sort: query.sort }, templates);
+                    if (mapped.error) fail({ status: 400, message: mapped.error });
+                    query.sort = mapped.query.sort;
+                }
+                const options = parseListQuery(query, fields);
+                if (options.error) fail({ status: 400, message: options.error });
+
+                const result = applyListQuery(await listRecords(pool, endpoint_id), options);
+                return {
+                    items: result.data,
+                    total: result.total,
+                    next_cursor: result.nextCursor || null,
+                    prev_cursor: result.prevCursor || null
+                };
+            }
+        };
+
+        queries[`${fieldName}_by_id`] = {
+            type: objectType,
+            args: idArgs,
+            resolve: async (root, args, req) => {
+                authorizeOperation(req, endpoint, 'GET');
+                return findRecord(pool, endpoint_id, args[idName]);
+            }
+        };
+    }
+
+    if (methods.includes('POST')) {
+        const createInput = new GraphQLInputObjectType({
+            name: `${typeName}CreateInput`,
+            fields: Object.fromEntries(fieldList.map(({ name, field, data_type }) => [name, {
+                type: field.is_required ? new GraphQLNonNull(SCALARS[data_type]) : SCALARS[data_type]
+            }]))
+        });
+
+        mutations[`create_${fieldName}`] = {
+            type: new GraphQLNonNull(objectType),
+            args: { input: { type: new GraphQLNonNull(createInput) } },
+            resolve: async (root, { input }, req) => {
+                authorizeOperation(req, endpoint, 'POST');
+                const result = await createRecord(changeContext(req, 'POST'), endpoint_id, fields, toRecordData(input, fieldList));
+                if (result.status) fail(result);
+                return result.record;
+            }
+        };
+    }
+
+    // Updates are partial, like PATCH and the legacy PUT ?id=
+    const updateMethod = ['PATCH', 'PUT'].find(method => methods.includes(method));
+    if (updateMethod) {
+        const updateInput = new GraphQLInputObjectType({
+            name: `${typeName}UpdateInput`,
+            fields: Object.fromEntries(fieldList.map(({ name, data_type }) => [name, { type: SCALARS[data_type] }]))
+        });
+
+        mutations[`update_${fieldName}`] = {
+            type: new GraphQLNonNull(objectType),
+            args: {
+                ...idArgs,
+                input: { type: new GraphQLNonNull(updateInput) }
+            },
+            resolve: async (root, args, req) => {
+                authorizeOperation(req, endpoint, updateMethod);
+                const result = await patchRecord(changeContext(req, updateMethod), endpoint_id, fields, args[idName], toRecordData(args.input, fieldList));
+                if (result.status) fail(result);
+                return result.record;
+            }
+        };
+    }
+
+    if (methods.includes('DELETE')) {
+        mutations[`delete_${fieldName}`] = {
+            type: new GraphQLNonNull(GraphQLID),
+            description: 'Returns the id of the deleted record.',
+            args: idArgs,
+            resolve: async (root, args, req) => {
+                authorizeOperation(req, endpoint, 'DELETE');
+                const result = await removeRecord(changeContext(req, 'DELETE'), endpoint_id, args[idName]);
+                if (result.status) fail(result);
+                return result.record.data_id;
+            }
+        };
+    }
+
+    return { queries, mutations };
+};
+
+// endpoints and fields are the scope's rows; when endpoint names collide once made
+// GraphQL-safe, the oldest endpoint keeps the name and the others are left out
+const buildSchema = (endpoints, fields) => {
+    const queries = {};
+    const mutations = {};
+    const taken = new Set(RESERVED_NAMES);
+    const included = [];
+
+    const sorted = [...endpoints].sort((a, b) => a.endpoint_id - b.endpoint_id);
+    for (const endpoint of sorted) {
+        const typeName = toTypeName(endpoint.endpoint_name);
+        const fieldName = toName(endpoint.endpoint_name);
+        const names = derivedNames(typeName, fieldName);
+        if (names.some(name => taken.has(name))) continue;
+        names.forEach(name => taken.add(name));
+
+        const endpointFields = fields.filter(field => field.endpoint_id === endpoint.endpoint_id);
+        const built = buildEndpoint(endpoint, endpointFields, typeName, fieldName);
+        Object.assign(queries, built.queries);
+        Object.assign(mutations, built.mutations);
+        included.push(endpoint.endpoint_name);
+    }
+
+    // Query needs at least one field even before any endpoint exists
+    queries._endpoints = {
+        type: new GraphQLNonNull(new GraphQLList(new GraphQLNonNull(GraphQLString))),
+        description: 'Names of the endpoints available in this schema.',
+        resolve: () => included
+    };
+
+    return new GraphQLSchema({
+        query: new GraphQLObjectType({ name: 'Query', fields: queries }),
+        mutation: Object.keys(mutations).length > 0 ? new GraphQLObjectType({ name: 'Mutation', fields: mutations }) : undefined
+    });
+};
+
+module.exports = { buildSchema };
@@ -0,0 +1,73 @@
+// utils/history.js
+
+// Deleted records can be restored for this many days
+const HISTORY_RETENTION_DAYS = Number(process.env.HISTORY_RETENTION_DAYS) || 30;
+
+const VERSION_BATCH_SIZE = 1000;
+
+// Who is making a change, for the history and audit tables: a signed-in user, or the
+// API key or anonymous caller of a /u/:username route. Every version recorded with the
+// context is also collected in its changes, so webhooks can fire once the transaction commits.
+// GraphQL mutations pass the REST method they stand for.
+const changeContext = (req, method = req.method) => {
+    const access = req.access || { type: 'member' };
+    let actor = 'user';
+    if (access.type === 'api_key') actor = `api_key:${access.key_id}`;
+    if (access.type === 'anonymous') actor = 'anonymous';
+
+    return {
+        user_id: req.user ? req.user.user_id : null,
+        actor,
+        method: method.toUpperCase(),
+        changes: []
+    };
+};
+
+// Store versions of records: { endpoint_id, data_id, action, before, after } with the record's
+// data before and after the change (before is null for creates, after for deletes)
+const recordVersions = async (db, context, versions) => {
+    versions.forEach(version => context.changes.push(version));
+    for (let start = 0; start < versions.length; start += VERSION_BATCH_SIZE) {
+        const batch = versions.slice(start, start + VERSION_BATCH_SIZE);
+        await db.execute(
+            `INSERT INTO data_versions (endpoint_id, data_id, action, method, changed_by, actor, data_before, data_after)
+             VALUES ${batch.map(() => '(?, ?, ?, ?, ?, ?, ?, ?)').join(', ')}`,
+            batch.flatMap(({ endpoint_id, data_id, action, before = null, after = null }) => [
+                endpoint_id, data_id, action, context.method, context.user_id, context.actor,
+                before ? JSON.stringify(before) : null,
+                after ? JSON.stringify(after) : null
+            ])
+        );
+    }
+};
+
+const recordVersion = (db, context, version) => recordVersions(db, context, [version]);
+
+// Add an entry to the audit log of endpoint and field changes
+const recordAudit = async (db, req, { endpoint_id, action, details }) => {
+    await db.execute(
+        'INSERT INTO audit_log (user_id, workspace_id, endpoint_id, action, details) VALUES (?, ?, ?, ?, ?)',
+        [req.user.user_id, req.scope.workspace_id, endpoint_id, action, details ? JSON.stringify(details) : null]
+    );
+};
+
+// The JSON columns may come back parsed or as strings
+const parseJsonColumn = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+const formatVersion = (row) => ({
+    ...row,
+    data_before: parseJsonColumn(row.data_before),
+    data_after: parseJsonColumn(row.data_after)
+});
+
+const formatAuditEntry = (row) => ({ ...row, details: parseJsonColumn(row.details) });
+
+module.exports = {
+    HISTORY_RETENTION_DAYS,
+    changeContext,
+    recordVersions,
+    recordVersion,
+    recordAudit,
+    formatVersion,
+    formatAuditEntry
+};
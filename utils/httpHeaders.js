@@ -0,0 +1,35 @@
+// utils/httpHeaders.js
+
+// Header names are HTTP tokens. Values may hold tabs and visible Latin-1 characters but no CR, LF or
+// other control characters; Node refuses to send anything else and throws from res.set.
+const HEADER_NAME = /^[!#$%&'*+\-.^_`|~0-9A-Za-z]+$/;
+const HEADER_VALUE = /^[\t\x20-\x7e\x80-\xff]*$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check headers sent to the management API: an object of string values under valid names.
+// Returns an error message or null.
+const validateHeaders = (headers, label) => {
+    if (!isPlainObject(headers) || Object.values(headers).some(value => typeof value !== 'string')) {
+        return `${label} must be an object of strings.`;
+    }
+    const badName = Object.keys(headers).find(name => !HEADER_NAME.test(name));
+    if (badName !== undefined) {
+        return `${label} has an invalid header name '${badName}'.`;
+    }
+    const badValue = Object.keys(headers).find(name => !HEADER_VALUE.test(headers[name]));
+    if (badValue !== undefined) {
+        return `${label}.${badValue} must not contain line breaks or control characters.`;
+    }
+    return null;
+};
+
+// The headers that can be sent, leaving out entries with an invalid name, a missing value or a
+// value that can't go on the wire (e.g. rendered from record data containing a line break)
+const sendableHeaders = (headers) => Object.fromEntries(
+    Object.entries(headers).filter(([name, value]) => (
+        HEADER_NAME.test(name) && value !== null && value !== undefined && HEADER_VALUE.test(String(value))
+    ))
+);
+
+module.exports = { validateHeaders, sendableHeaders };
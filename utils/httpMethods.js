@@ -0,0 +1,52 @@
+// utils/httpMethods.js
+
+const SUPPORTED_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// The allowed methods are stored comma-separated in api_endpoints.http_method (e.g. "GET,POST")
+const parseMethods = (stored) => {
+    if (!stored) return [];
+    return stored.split(',').map(method => method.trim().toUpperCase()).filter(Boolean);
+};
+
+const serializeMethods = (methods) => methods.join(',');
+
+// The method a dynamic request is handled as: HEAD is answered like GET, and Node leaves out the body
+const requestMethod = (req) => {
+    const method = req.method.toUpperCase();
+    return method === 'HEAD' ? 'GET' : method;
+};
+
+// The Allow header value for a set of allowed methods
+const allowHeader = (methods) => [
+    ...methods.flatMap(method => (method === 'GET' ? ['GET', 'HEAD'] : [method])),
+    'OPTIONS'
+].join(', ');
+
+// Validate methods sent to the management API. Accepts an array or a single
+// (optionally comma-separated) string so older clients keep working.
+const normalizeMethods = (input) => {
+    let methods;
+    if (Array.isArray(input)) {
+        methods = input;
+    } else if (typeof input === 'string') {
+        methods = input.split(',');
+    } else {
+        return { error: 'HTTP methods must be an array or a string.' };
+    }
+
+    methods = methods.map(method => String(method).trim().toUpperCase()).filter(Boolean);
+
+    if (methods.length === 0) {
+        return { error: 'At least one HTTP method is required.' };
+    }
+
+    const invalid = methods.filter(method => !SUPPORTED_METHODS.includes(method));
+    if (invalid.length > 0) {
+        return { error: `Invalid HTTP method(s): ${invalid.join(', ')}.` };
+    }
+
+    // Keep a stable order and drop duplicates
+    return { methods: SUPPORTED_METHODS.filter(method => methods.includes(method)) };
+};
+
+module.exports = { SUPPORTED_METHODS, parseMethods, serializeMethods, normalizeMethods, requestMethod, allowHeader };
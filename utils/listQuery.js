@@ -0,0 +1,311 @@
+// utils/listQuery.js
+
+// Query parameters that control the listing itself rather than filtering on a field
+const RESERVED_PARAMS = ['sort', 'limit', 'offset', 'cursor', 'id', 'ids', 'expand'];
+
+const DEFAULT_MAX_LIMIT = 1000;
+
+// Operators allowed for each data type
+const OPERATORS = {
+    INT: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+    FLOAT: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+    VARCHAR: ['eq', 'ne', 'contains', 'in'],
+    TEXT: ['eq', 'ne', 'contains', 'in'],
+    BOOLEAN: ['eq', 'ne'],
+    DATE: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+    DATETIME: ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in'],
+    REFERENCE: ['eq', 'ne', 'in'],
+    OBJECT: [],
+    ARRAY: []
+};
+
+// Convert a stored or query string value into something comparable for its data type
+const normalizeValue = (value, data_type) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    switch (data_type) {
+        case 'INT':
+        case 'FLOAT':
+        case 'REFERENCE':
+            return Number(value);
+        case 'BOOLEAN':
+            return value === true || value === 'true' || value === 1 || value === '1';
+        case 'DATE':
+        case 'DATETIME':
+            return Date.parse(value);
+        default:
+            return String(value);
+    }
+};
+
+// Check that a query string value can be interpreted as the given data type
+const isValidQueryValue = (value, data_type) => {
+    switch (data_type) {
+        case 'INT':
+        case 'REFERENCE':
+            return value !== '' && Number.isInteger(Number(value));
+        case 'FLOAT':
+            return value !== '' && !isNaN(Number(value));
+        case 'BOOLEAN':
+            return value === 'true' || value === 'false';
+        case 'DATE':
+        case 'DATETIME':
+            return !isNaN(Date.parse(value));
+        default:
+            return true;
+    }
+};
+
+const compareValues = (a, b) => {
+    if (a === b) return 0;
+    // Records without a value always sort last
+    if (a === null) return 1;
+    if (b === null) return -1;
+    if (typeof a === 'string' && typeof b === 'string') {
+        return a.localeCompare(b);
+    }
+    return a < b ? -1 : 1;
+};
+
+const encodeCursor = (payload) => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        if (!payload || !Array.isArray(payload.k) || payload.id === undefined || !['next', 'prev'].includes(payload.d)) {
+            return null;
+        }
+        return payload;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Parse the listing query parameters against the endpoint's field definitions.
+// Returns { error } with a client-facing message when anything is invalid.
+const parseListQuery = (query, fields, maxLimit = DEFAULT_MAX_LIMIT) => {
+    const types = { data_id: 'INT' };
+    for (const field of fields) {
+        types[field.field_name] = field.data_type.toUpperCase();
+    }
+
+    const filters = [];
+    for (const [name, raw] of Object.entries(query)) {
+        if (RESERVED_PARAMS.includes(name)) continue;
+
+        const data_type = types[name];
+        if (!data_type) {
+            return { error: `Unknown filter field '${name}'.` };
+        }
+
+        // ?status=a is shorthand for eq, ?status=a&status=b for in, ?price[gte]=10 for an explicit operator
+        let conditions;
+        if (Array.isArray(raw)) {
+            conditions = { in: raw.join(',') };
+        } else if (raw !== null && typeof raw === 'object') {
+            conditions = raw;
+        } else {
+            conditions = { eq: raw };
+        }
+
+        for (const [operator, value] of Object.entries(conditions)) {
+            if (!OPERATORS[data_type].includes(operator)) {
+                return { error: `Operator '${operator}' is not supported for field '${name}' of type ${data_type}.` };
+            }
+            if (typeof value !== 'string') {
+                return { error: `Invalid value for filter '${name}[${operator}]'.` };
+            }
+
+            const values = operator === 'in' ? value.split(',') : [value];
+            for (const item of values) {
+                if (!isValidQueryValue(item, data_type)) {
+                    return { error: `Invalid value '${item}' for field '${name}'. Expected ${data_type}.` };
+                }
+            }
+
+            filters.push({
+                field: name,
+                operator,
+                value: operator === 'contains'
+                    ? value.toLowerCase()
+                    : operator === 'in'
+                        ? values.map(item => normalizeValue(item, data_type))
+                        : normalizeValue(value, data_type),
+                data_type
+            });
+        }
+    }
+
+    const sort = [];
+    if (query.sort !== undefined) {
+        if (typeof query.sort !== 'string') {
+            return { error: 'Invalid sort parameter.' };
+        }
+        for (const part of query.sort.split(',').filter(Boolean)) {
+            const descending = part.startsWith('-');
+            const name = descending ? part.slice(1) : part;
+            if (!types[name]) {
+                return { error: `Cannot sort by unknown field '${name}'.` };
+            }
+            if (OPERATORS[types[name]].length === 0) {
+                return { error: `Cannot sort by field '${name}' of type ${types[name]}.` };
+            }
+            sort.push({ field: name, direction: descending ? -1 : 1, data_type: types[name] });
+        }
+    }
+
+    let limit = null;
+    if (query.limit !== undefined) {
+        limit = Number(query.limit);
+        if (!Number.isInteger(limit) || limit < 1 || limit > maxLimit) {
+            return { error: `Limit must be an integer between 1 and ${maxLimit}.` };
+        }
+    }
+
+    let offset = 0;
+    if (query.offset !== undefined) {
+        offset = Number(query.offset);
+        if (!Number.isInteger(offset) || offset < 0) {
+            return { error: 'Offset must be a non-negative integer.' };
+        }
+    }
+
+    // An empty ?cursor= starts cursor pagination from the first page
+    let cursor = null;
+    const useCursor = query.cursor !== undefined;
+    if (useCursor) {
+        if (query.offset !== undefined) {
+            return { error: 'Use either offset or cursor pagination, not both.' };
+        }
+        if (limit === null) {
+            return { error: 'Cursor pagination requires a limit.' };
+        }
+        if (query.cursor !== '') {
+            cursor = typeof query.cursor === 'string' ? decodeCursor(query.cursor) : null;
+            if (!cursor || cursor.k.length !== sort.length) {
+                return { error: 'Invalid cursor.' };
+            }
+        }
+    }
+
+    return { filters, sort, limit, offset, cursor, useCursor };
+};
+
+const matchesFilter = (record, filter) => {
+    const actual = normalizeValue(record[filter.field], filter.data_type);
+
+    switch (filter.operator) {
+        case 'eq':
+            return actual === filter.value;
+        case 'ne':
+            return actual !== filter.value;
+        case 'gt':
+            return actual !== null && actual > filter.value;
+        case 'gte':
+            return actual !== null && actual >= filter.value;
+        case 'lt':
+            return actual !== null && actual < filter.value;
+        case 'lte':
+            return actual !== null && actual <= filter.value;
+        case 'contains':
+            return actual !== null && actual.toLowerCase().includes(filter.value);
+        case 'in':
+            return filter.value.includes(actual);
+        default:
+            return false;
+    }
+};
+
+const matchesFilters = (record, filters) => filters.every(filter => matchesFilter(record, filter));
+
+const sortKey = (record, sort) => sort.map(s => normalizeValue(record[s.field], s.data_type));
+
+// Compare two key tuples using the sort directions, falling back to data_id so the order is stable.
+// Missing values stay last in descending order too.
+const compareKeys = (keyA, idA, keyB, idB, sort) => {
+    for (let i = 0; i < sort.length; i++) {
+        const result = compareValues(keyA[i], keyB[i]);
+        if (result === 0) continue;
+        return keyA[i] === null || keyB[i] === null ? result : result * sort[i].direction;
+    }
+    return compareValues(Number(idA), Number(idB));
+};
+
+// Apply filters, sorting and pagination to the records of an endpoint
+const applyListQuery = (records, options) => {
+    const { filters, sort, limit, offset, cursor } = options;
+
+    const matched = records
+        .filter(record => matchesFilters(record, filters))
+        .map(record => ({ record, key: sortKey(record, sort) }))
+        .sort((a, b) => compareKeys(a.key, a.record.data_id, b.key, b.record.data_id, sort));
+
+    const total = matched.length;
+    let start = offset;
+    let end = limit === null ? total : offset + limit;
+
+    if (cursor) {
+        if (cursor.d === 'next') {
+            start = matched.findIndex(item => compareKeys(item.key, item.record.data_id, cursor.k, cursor.id, sort) > 0);
+            if (start === -1) start = total;
+            end = start + limit;
+        } else {
+            end = matched.findIndex(item => compareKeys(item.key, item.record.data_id, cursor.k, cursor.id, sort) >= 0);
+            if (end === -1) end = total;
+            start = Math.max(0, end - limit);
+        }
+    }
+
+    const page = matched.slice(start, end);
+    const hasNext = end < total;
+    const hasPrev = start > 0;
+
+    const result = { data: page.map(item => item.record), total, hasNext, hasPrev };
+
+    if (options.useCursor && page.length > 0) {
+        const first = page[0];
+        const last = page[page.length - 1];
+        result.nextCursor = hasNext ? encodeCursor({ k: last.key, id: last.record.data_id, d: 'next' }) : null;
+        result.prevCursor = hasPrev ? encodeCursor({ k: first.key, id: first.record.data_id, d: 'prev' }) : null;
+    }
+
+    return result;
+};
+
+// Build next/prev links for a listing, keeping every other query parameter as it was
+const buildPageLinks = (basePath, query, options, result) => {
+    const links = {};
+    const makeLink = (overrides) => {
+        const params = new URLSearchParams();
+        for (const [key, value] of Object.entries({ ...query, ...overrides })) {
+            if (value === undefined) continue;
+            if (Array.isArray(value)) {
+                value.forEach(item => params.append(key, item));
+            } else if (value !== null && typeof value === 'object') {
+                for (const [operator, operand] of Object.entries(value)) {
+                    params.append(`${key}[${operator}]`, operand);
+                }
+            } else {
+                params.append(key, value);
+            }
+        }
+        return `${basePath}?${params.toString()}`;
+    };
+
+    if (options.limit === null) {
+        return links;
+    }
+
+    if (options.useCursor) {
+        if (result.nextCursor) links.next = makeLink({ cursor: result.nextCursor });
+        if (result.prevCursor) links.prev = makeLink({ cursor: result.prevCursor });
+    } else {
+        if (result.hasNext) links.next = makeLink({ offset: options.offset + options.limit });
+        if (result.hasPrev) links.prev = makeLink({ offset: Math.max(0, options.offset - options.limit) });
+    }
+
+    return links;
+};
+
+module.exports = { RESERVED_PARAMS, parseListQuery, matchesFilters, applyListQuery, buildPageLinks };
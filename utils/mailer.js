@@ -0,0 +1,45 @@
+// utils/mailer.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+require('dotenv').config();
+
+// Write the message to stdout; the default for local development
+const consoleTransport = {
+    send: async (message) => {
+        console.log(`[mail] To: ${message.to}\n[mail] Subject: ${message.subject}\n${message.text}`);
+    }
+};
+
+// Append the message to a file so it can be inspected later
+const fileTransport = (file) => ({
+    send: async (message) => {
+        const entry = `--- ${new Date().toISOString()}\nTo: ${message.to}\nSubject: ${message.subject}\n\n${message.text}\n\n`;
+        await fs.promises.appendFile(file, entry);
+    }
+});
+
+const createTransport = () => {
+    switch ((process.env.MAIL_TRANSPORT || 'console').toLowerCase()) {
+        case 'file':
+            return fileTransport(process.env.MAIL_FILE || path.join(os.tmpdir(), 'mockapi-mail.log'));
+        case 'console':
+            return consoleTransport;
+        default:
+            throw new Error(`Unknown MAIL_TRANSPORT '${process.env.MAIL_TRANSPORT}'. Use console or file.`);
+    }
+};
+
+let transport = createTransport();
+
+// Swap in another transport, e.g. one backed by an SMTP client. It needs an async send({ to, subject, text }).
+const setTransport = (custom) => {
+    if (!custom || typeof custom.send !== 'function') {
+        throw new Error('A mail transport needs a send(message) function.');
+    }
+    transport = custom;
+};
+
+const sendMail = (message) => transport.send(message);
+
+module.exports = { sendMail, setTransport };
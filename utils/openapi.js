@@ -0,0 +1,295 @@
+// utils/openapi.js
+const { parseMethods } = require('./httpMethods');
+const { parseConstraints } = require('./validation');
+const { openApiPath } = require('./pathTemplates');
+
+// Map a field's data_type onto a JSON Schema type
+const fieldSchema = (field) => {
+    const schema = {};
+    switch (field.data_type.toUpperCase()) {
+        case 'INT':
+            schema.type = 'integer';
+            break;
+        case 'REFERENCE':
+            schema.type = 'integer';
+            schema.description = `data_id of a record in endpoint ${field.ref_endpoint_id}. Use ?expand=${field.field_name} to inline it.`;
+            break;
+        case 'FLOAT':
+            schema.type = 'number';
+            break;
+        case 'BOOLEAN':
+            schema.type = 'boolean';
+            break;
+        case 'DATE':
+            schema.type = 'string';
+            schema.format = 'date';
+            break;
+        case 'DATETIME':
+            schema.type = 'string';
+            schema.format = 'date-time';
+            break;
+        case 'OBJECT':
+            schema.type = 'object';
+            break;
+        case 'ARRAY':
+            schema.type = 'array';
+            schema.items = {};
+            break;
+        default:
+            schema.type = 'string';
+            break;
+    }
+
+    const constraints = parseConstraints(field);
+    if (constraints.min !== undefined) schema.minimum = constraints.min;
+    if (constraints.max !== undefined) schema.maximum = constraints.max;
+    if (constraints.min_length !== undefined) schema[schema.type === 'array' ? 'minItems' : 'minLength'] = constraints.min_length;
+    if (constraints.max_length !== undefined) schema[schema.type === 'array' ? 'maxItems' : 'maxLength'] = constraints.max_length;
+    if (constraints.pattern !== undefined) schema.pattern = constraints.pattern;
+    if (constraints.format !== undefined) schema.format = constraints.format === 'url' ? 'uri' : constraints.format;
+    if (constraints.enum !== undefined) schema.enum = constraints.enum;
+    if (constraints.unique) schema['x-unique'] = true;
+
+    if (field.default_value !== null && field.default_value !== undefined) {
+        schema.default = coerceDefault(field.default_value, schema.type);
+    }
+
+    return schema;
+};
+
+// default_value is stored as a string, so convert it to the schema type where possible
+const coerceDefault = (value, type) => {
+    if (type === 'integer' || type === 'number') {
+        const number = Number(value);
+        return isNaN(number) ? value : number;
+    }
+    if (type === 'boolean') {
+        return value === true || value === 'true' || value === 1 || value === '1';
+    }
+    if (type === 'object' || type === 'array') {
+        try {
+            return JSON.parse(value);
+        } catch (err) {
+            return value;
+        }
+    }
+    return value;
+};
+
+// Turn an endpoint name such as "order-items" into a component name such as "OrderItems"
+const schemaName = (endpoint_name) => {
+    const name = endpoint_name
+        .split(/[^A-Za-z0-9]+/)
+        .filter(Boolean)
+        .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+        .join('');
+    return /^[A-Za-z]/.test(name) ? name : `Endpoint${name}`;
+};
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const messageResponse = (description) => ({
+    description,
+    content: jsonContent({ $ref: '#/components/schemas/Message' })
+});
+
+const listParameters = (fields) => [
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 }, description: 'Maximum number of records to return.' },
+    { name: 'offset', in: 'query', schema: { type: 'integer', minimum: 0 }, description: 'Number of records to skip.' },
+    { name: 'cursor', in: 'query', schema: { type: 'string' }, description: 'Opaque cursor from a previous Link header. Send it empty to start cursor pagination.' },
+    { name: 'sort', in: 'query', schema: { type: 'string' }, description: 'Comma-separated field names; prefix with - for descending order.' },
+    ...fields.filter(field => !['OBJECT', 'ARRAY'].includes(field.data_type.toUpperCase())).map(field => ({
+        name: field.field_name,
+        in: 'query',
+        schema: fieldSchema({ ...field, default_value: null, constraints: null }),
+        description: `Filter on ${field.field_name}. Use ${field.field_name}[op]=value for eq, ne, gt, gte, lt, lte, contains or in.`
+    }))
+];
+
+const dataIdParameter = {
+    name: 'data_id',
+    in: 'path',
+    required: true,
+    schema: { type: 'integer' }
+};
+
+// Security requirements for an operation given the endpoint's access mode.
+// An empty requirement ({}) marks the operation as callable without credentials.
+const operationSecurity = (endpoint, isRead) => {
+    switch (endpoint.access_mode || 'private') {
+        case 'public':
+            return [{}];
+        case 'public_read':
+            return isRead ? [{}] : [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+        case 'api_key':
+            return [{ bearerAuth: [] }, { apiKeyAuth: [] }];
+        default:
+            return [{ bearerAuth: [] }];
+    }
+};
+
+// Add the schemas and paths for one endpoint to an OpenAPI document
+const addEndpoint = (doc, endpoint, fields) => {
+    const name = schemaName(endpoint.endpoint_name);
+    const methods = parseMethods(endpoint.http_method);
+    const tags = [endpoint.endpoint_name];
+    const readSecurity = operationSecurity(endpoint, true);
+    const writeSecurity = operationSecurity(endpoint, false);
+
+    const properties = {};
+    const required = [];
+    for (const field of fields) {
+        properties[field.field_name] = fieldSchema(field);
+        if (field.is_required) {
+            required.push(field.field_name);
+        }
+    }
+
+    const inputSchema = { type: 'object', properties };
+    if (required.length > 0) {
+        inputSchema.required = required;
+    }
+
+    doc.components.schemas[`${name}Input`] = inputSchema;
+    doc.components.schemas[`${name}Patch`] = { type: 'object', properties };
+    doc.components.schemas[name] = {
+        allOf: [
+            { type: 'object', properties: { data_id: { type: 'integer', readOnly: true } }, required: ['data_id'] },
+            { $ref: `#/components/schemas/${name}Input` }
+        ]
+    };
+
+    const ref = (suffix = '') => ({ $ref: `#/components/schemas/${name}${suffix}` });
+    // Parameters of the endpoint's path template apply to both its routes
+    const route = openApiPath(endpoint);
+    const pathParameters = route.params.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } }));
+    const collection = {};
+    const item = { parameters: [...pathParameters, dataIdParameter] };
+
+    if (methods.includes('GET')) {
+        collection.get = {
+            tags,
+            operationId: `list${name}`,
+            security: readSecurity,
+            parameters: listParameters(fields),
+            responses: {
+                200: {
+                    description: 'Matching records.',
+                    headers: {
+                        'X-Total-Count': { schema: { type: 'integer' }, description: 'Number of records matching the filters.' },
+                        Link: { schema: { type: 'string' }, description: 'next and prev page links.' }
+                    },
+                    content: jsonContent({ type: 'array', items: ref() })
+                },
+                400: messageResponse('Invalid filter, sort or pagination parameter.')
+            }
+        };
+        item.get = {
+            tags,
+            operationId: `get${name}`,
+            security: readSecurity,
+            responses: {
+                200: { description: 'The record.', content: jsonContent(ref()) },
+                404: messageResponse('Record not found.')
+            }
+        };
+    }
+
+    if (methods.includes('POST')) {
+        collection.post = {
+            tags,
+            operationId: `create${name}`,
+            security: writeSecurity,
+            requestBody: { required: true, content: jsonContent(ref('Input')) },
+            responses: {
+                201: messageResponse('Record created.'),
+                400: messageResponse('Validation failed.')
+            }
+        };
+    }
+
+    if (methods.includes('PUT')) {
+        item.put = {
+            tags,
+            operationId: `replace${name}`,
+            security: writeSecurity,
+            requestBody: { required: true, content: jsonContent(ref('Input')) },
+            responses: {
+                200: messageResponse('Record replaced.'),
+                400: messageResponse('Validation failed.'),
+                404: messageResponse('Record not found.')
+            }
+        };
+    }
+
+    if (methods.includes('PATCH')) {
+        item.patch = {
+            tags,
+            operationId: `update${name}`,
+            security: writeSecurity,
+            requestBody: { required: true, content: jsonContent(ref('Patch')) },
+            responses: {
+                200: messageResponse('Record updated.'),
+                400: messageResponse('Validation failed.'),
+                404: messageResponse('Record not found.')
+            }
+        };
+    }
+
+    if (methods.includes('DELETE')) {
+        item.delete = {
+            tags,
+            operationId: `delete${name}`,
+            security: writeSecurity,
+            responses: {
+                200: messageResponse('Record deleted.'),
+                404: messageResponse('Record not found.')
+            }
+        };
+    }
+
+    const basePath = `/api/${route.path}`;
+    if (Object.keys(collection).length > 0) {
+        doc.paths[basePath] = pathParameters.length > 0 ? { parameters: pathParameters, ...collection } : collection;
+    }
+    if (Object.keys(item).length > 1) {
+        doc.paths[`${basePath}/{data_id}`] = item;
+    }
+    doc.tags.push({ name: endpoint.endpoint_name });
+};
+
+// Build an OpenAPI 3 document for a list of { endpoint, fields } pairs
+// The owner's JWT works on /api paths; public and API-key callers use the /u/{username} prefix.
+// Workspace documents have no username and only list the JWT server.
+const buildOpenApiDocument = (entries, { title, serverUrl, username }) => {
+    const servers = [{ url: serverUrl, description: 'Owner access with a JWT' }];
+    if (username) {
+        servers.push({ url: `${serverUrl}/u/${encodeURIComponent(username)}`, description: 'Public and API-key access' });
+    }
+
+    const doc = {
+        openapi: '3.0.3',
+        info: { title, version: '1.0.0' },
+        servers,
+        security: [{ bearerAuth: [] }],
+        tags: [],
+        paths: {},
+        components: {
+            securitySchemes: {
+                bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+                apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+            },
+            schemas: {
+                Message: { type: 'object', properties: { message: { type: 'string' } } }
+            }
+        }
+    };
+
+    for (const { endpoint, fields } of entries) {
+        addEndpoint(doc, endpoint, fields);
+    }
+
+    return doc;
+};
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,249 @@
+// utils/openapiImport.js
+const { SUPPORTED_METHODS } = require('./httpMethods');
+const { validateFieldConstraints } = require('./validation');
+
+// Resolve a local "#/..." reference against the document
+const resolveRef = (doc, schema, seen = []) => {
+    if (!schema || typeof schema !== 'object' || !schema.$ref) {
+        return schema;
+    }
+    if (!schema.$ref.startsWith('#/') || seen.includes(schema.$ref)) {
+        return null;
+    }
+    const target = schema.$ref
+        .slice(2)
+        .split('/')
+        .map(part => part.replace(/~1/g, '/').replace(/~0/g, '~'))
+        .reduce((node, part) => (node && typeof node === 'object' ? node[part] : undefined), doc);
+    return resolveRef(doc, target, [...seen, schema.$ref]);
+};
+
+// Flatten allOf compositions into a single object schema
+const flattenSchema = (doc, schema) => {
+    const resolved = resolveRef(doc, schema);
+    if (!resolved || typeof resolved !== 'object') {
+        return null;
+    }
+    if (!Array.isArray(resolved.allOf)) {
+        return resolved;
+    }
+
+    const merged = { type: 'object', properties: { ...(resolved.properties || {}) }, required: [...(resolved.required || [])] };
+    for (const part of resolved.allOf) {
+        const flat = flattenSchema(doc, part);
+        if (!flat) continue;
+        Object.assign(merged.properties, flat.properties || {});
+        merged.required.push(...(flat.required || []));
+    }
+    return merged;
+};
+
+// Map a JSON Schema property onto one of the supported data types
+const mapDataType = (schema) => {
+    const type = Array.isArray(schema.type) ? schema.type.find(t => t !== 'null') : schema.type;
+    switch (type) {
+        case 'integer':
+            return 'INT';
+        case 'number':
+            return 'FLOAT';
+        case 'boolean':
+            return 'BOOLEAN';
+        case 'string':
+            if (schema.format === 'date') return 'DATE';
+            if (schema.format === 'date-time') return 'DATETIME';
+            return schema.maxLength !== undefined && schema.maxLength > 255 ? 'TEXT' : 'VARCHAR';
+        case 'object':
+            return 'OBJECT';
+        case 'array':
+            return 'ARRAY';
+        default:
+            return null;
+    }
+};
+
+const FORMAT_CONSTRAINTS = { email: 'email', uri: 'url', url: 'url', uuid: 'uuid' };
+
+// Carry JSON Schema validation keywords over to field constraints
+const mapConstraints = (schema, data_type) => {
+    const constraints = {};
+    if (['INT', 'FLOAT'].includes(data_type)) {
+        if (typeof schema.minimum === 'number') constraints.min = schema.minimum;
+        if (typeof schema.maximum === 'number') constraints.max = schema.maximum;
+    }
+    if (['VARCHAR', 'TEXT'].includes(data_type)) {
+        if (Number.isInteger(schema.minLength)) constraints.min_length = schema.minLength;
+        if (Number.isInteger(schema.maxLength)) constraints.max_length = schema.maxLength;
+        if (typeof schema.pattern === 'string') constraints.pattern = schema.pattern;
+        if (FORMAT_CONSTRAINTS[schema.format]) constraints.format = FORMAT_CONSTRAINTS[schema.format];
+    }
+    if (data_type === 'ARRAY') {
+        if (Number.isInteger(schema.minItems)) constraints.min_length = schema.minItems;
+        if (Number.isInteger(schema.maxItems)) constraints.max_length = schema.maxItems;
+    }
+    if (Array.isArray(schema.enum) && schema.enum.length > 0) constraints.enum = schema.enum;
+    if (schema['x-unique'] === true) constraints.unique = true;
+    return Object.keys(constraints).length > 0 ? constraints : null;
+};
+
+// Build the field rows for an object schema, reporting properties that cannot be mapped
+const mapFields = (doc, schema, location, unmapped) => {
+    const flat = flattenSchema(doc, schema);
+    if (!flat || (flat.type && flat.type !== 'object') || !flat.properties) {
+        unmapped.push({ location, reason: 'Schema is not an object with properties.' });
+        return null;
+    }
+
+    const required = flat.required || [];
+    const fields = [];
+    for (const [field_name, property] of Object.entries(flat.properties)) {
+        // The record id is managed by the service itself
+        if (field_name === 'data_id') continue;
+
+        const resolved = flattenSchema(doc, property) || {};
+        if (resolved.readOnly) continue;
+
+        const data_type = mapDataType(resolved);
+        if (!data_type) {
+            unmapped.push({ location: `${location}.${field_name}`, reason: `Unsupported type '${resolved.type || 'unknown'}'.` });
+            continue;
+        }
+
+        let default_value = null;
+        if (resolved.default !== undefined && resolved.default !== null) {
+            default_value = typeof resolved.default === 'object' ? JSON.stringify(resolved.default) : String(resolved.default);
+        }
+
+        let constraints = mapConstraints(resolved, data_type);
+        const constraintError = validateFieldConstraints(constraints, data_type);
+        if (constraintError) {
+            unmapped.push({ location: `${location}.${field_name}`, reason: `Constraints dropped: ${constraintError}` });
+            constraints = null;
+        }
+
+        fields.push({
+            field_name,
+            data_type,
+            is_required: required.includes(field_name),
+            default_value,
+            constraints
+        });
+    }
+    return fields;
+};
+
+const jsonSchemaOf = (content) => {
+    if (!content) return null;
+    const media = content['application/json'] || Object.values(content)[0];
+    return media ? media.schema : null;
+};
+
+// Find the record schema for a path: the POST/PUT body, or the GET response (array items for lists)
+const recordSchemaForPath = (doc, collection, item) => {
+    for (const operation of [collection.post, item && item.put, item && item.patch]) {
+        const schema = operation && operation.requestBody && jsonSchemaOf(resolveRef(doc, operation.requestBody).content);
+        if (schema) return schema;
+    }
+
+    for (const [operation, isList] of [[collection.get, true], [item && item.get, false]]) {
+        const response = operation && operation.responses && (operation.responses['200'] || operation.responses['201']);
+        let schema = response && jsonSchemaOf(resolveRef(doc, response).content);
+        schema = resolveRef(doc, schema);
+        if (schema && isList && schema.type === 'array') {
+            schema = schema.items;
+        }
+        if (schema) return schema;
+    }
+
+    return null;
+};
+
+// Plan the endpoints described by an OpenAPI 3 document's paths
+const planFromOpenApi = (doc, unmapped) => {
+    const endpoints = [];
+    const paths = doc.paths || {};
+
+    for (const [path, collection] of Object.entries(paths)) {
+        const segments = path.replace(/^\/api\//, '/').split('/').filter(Boolean);
+
+        // Item paths are picked up together with their collection
+        if (segments.length === 2 && /^\{.+\}$/.test(segments[1])) {
+            if (!paths[path.slice(0, path.lastIndexOf('/'))]) {
+                unmapped.push({ location: `paths.${path}`, reason: 'Item path has no matching collection path.' });
+            }
+            continue;
+        }
+
+        if (segments.length !== 1 || /[{}]/.test(segments[0])) {
+            unmapped.push({ location: `paths.${path}`, reason: 'Only single-segment collection paths are supported.' });
+            continue;
+        }
+
+        const itemPath = Object.keys(paths).find(candidate => new RegExp(`^${path.replace(/[.*+?^$()|[\]\\]/g, '\\$&')}/\\{[^/]+\\}$`).test(candidate));
+        const item = itemPath ? paths[itemPath] : null;
+
+        const operations = [...Object.keys(collection), ...Object.keys(item || {})].map(method => method.toUpperCase());
+        const http_methods = SUPPORTED_METHODS.filter(method => operations.includes(method));
+        if (http_methods.length === 0) {
+            unmapped.push({ location: `paths.${path}`, reason: 'No supported HTTP methods.' });
+            continue;
+        }
+
+        const schema = recordSchemaForPath(doc, collection, item);
+        if (!schema) {
+            unmapped.push({ location: `paths.${path}`, reason: 'No JSON request or response schema found.' });
+            continue;
+        }
+
+        const fields = mapFields(doc, schema, `paths.${path}`, unmapped);
+        if (fields) {
+            endpoints.push({ endpoint_name: segments[0], http_methods, fields });
+        }
+    }
+
+    return endpoints;
+};
+
+// Plan one endpoint per object schema of a JSON Schema document (or its definitions)
+const planFromJsonSchema = (doc, unmapped, name) => {
+    const definitions = doc.definitions || doc.$defs || (doc.components && doc.components.schemas);
+    const entries = definitions && !doc.properties
+        ? Object.entries(definitions)
+        : [[name || doc.title, doc]];
+
+    const endpoints = [];
+    for (const [endpoint_name, schema] of entries) {
+        if (!endpoint_name) {
+            unmapped.push({ location: '#', reason: 'Schema needs a title or a name to become an endpoint.' });
+            continue;
+        }
+        const fields = mapFields(doc, schema, endpoint_name, unmapped);
+        if (fields) {
+            endpoints.push({ endpoint_name, http_methods: [...SUPPORTED_METHODS], fields });
+        }
+    }
+    return endpoints;
+};
+
+// Work out which endpoints and fields a document describes without touching the database
+const planImport = (doc, { name } = {}) => {
+    const unmapped = [];
+    if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+        return { error: 'An OpenAPI 3 or JSON Schema document is required.' };
+    }
+
+    let endpoints;
+    if (doc.openapi) {
+        if (!String(doc.openapi).startsWith('3.')) {
+            return { error: 'Only OpenAPI 3 documents are supported.' };
+        }
+        endpoints = doc.paths && Object.keys(doc.paths).length > 0
+            ? planFromOpenApi(doc, unmapped)
+            : planFromJsonSchema(doc, unmapped);
+    } else {
+        endpoints = planFromJsonSchema(doc, unmapped, name);
+    }
+
+    return { endpoints, unmapped };
+};
+
+module.exports = { planImport };
@@ -0,0 +1,228 @@
+// utils/pathTemplates.js
+
+// Endpoints answer under /api/<endpoint_name> unless they define a path template such as
+// 'users/:userId/orders' or 'v2/catalog/items'. Named parameters are exposed to the handlers
+// and, when they match a field (or path_params maps them to one), filter the endpoint's records
+// to that value, so GET /api/users/42/orders only lists user 42's orders.
+
+const MAX_SEGMENTS = 10;
+const STATIC_SEGMENT = /^[A-Za-z0-9._~-]+$/;
+const PARAM_SEGMENT = /^:([A-Za-z_][A-Za-z0-9_]*)$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Split a template into [{ value }] static segments and [{ param }] named parameters.
+// Returns { segments } or { error }.
+const parsePathTemplate = (path) => {
+    if (typeof path !== 'string') return { error: 'Path must be a string.' };
+
+    const parts = path.replace(/^\/+|\/+$/g, '').split('/');
+    if (parts.length > MAX_SEGMENTS) return { error: `Path can have at most ${MAX_SEGMENTS} segments.` };
+
+    const segments = [];
+    for (const part of parts) {
+        const param = part.match(PARAM_SEGMENT);
+        if (param) {
+            if (segments.some(segment => segment.param === param[1])) {
+                return { error: `Path parameter ':${param[1]}' appears more than once.` };
+            }
+            segments.push({ param: param[1] });
+        } else if (STATIC_SEGMENT.test(part)) {
+            segments.push({ value: part });
+        } else {
+            return { error: `Invalid path segment '${part}'. Use letters, digits, '.', '_', '~' and '-', or :name for a parameter.` };
+        }
+    }
+
+    if (!segments.some(segment => segment.value !== undefined)) {
+        return { error: 'Path needs at least one fixed segment.' };
+    }
+    return { segments };
+};
+
+// Check a template sent to the management API. Returns { path } in its stored form (no leading
+// or trailing slash; null clears the template) or { error }.
+const normalizePath = (path) => {
+    if (path === null) return { path: null };
+    const { segments, error } = parsePathTemplate(path);
+    if (error) return { error };
+    return { path: segments.map(segment => (segment.param ? `:${segment.param}` : segment.value)).join('/') };
+};
+
+// Endpoints without a template answer under their name
+const endpointSegments = (endpoint) => (endpoint.path
+    ? parsePathTemplate(endpoint.path).segments || []
+    : [{ value: endpoint.endpoint_name }]);
+
+// The columns hold JSON; mysql2 may hand it back parsed or as a string
+const parsePathParams = (endpoint) => {
+    if (!endpoint.path_params) return {};
+    if (typeof endpoint.path_params === 'object') return endpoint.path_params;
+    try {
+        return JSON.parse(endpoint.path_params);
+    } catch (err) {
+        return {};
+    }
+};
+
+// path_params maps parameter names to field names; parameters left out bind to the field
+// with the same name, if there is one. Returns an error message or null.
+const validatePathParams = (pathParams, path) => {
+    if (pathParams === null) return null;
+    if (!isPlainObject(pathParams) || Object.values(pathParams).some(value => typeof value !== 'string' || !value)) {
+        return 'path_params must map path parameters to field names.';
+    }
+    const { segments = [] } = path ? parsePathTemplate(path) : {};
+    const names = segments.filter(segment => segment.param).map(segment => segment.param);
+    const unknown = Object.keys(pathParams).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+        return `path_params names parameter(s) not in the path: ${unknown.join(', ')}.`;
+    }
+    return null;
+};
+
+// Route shapes with parameters blanked out; two endpoints whose collection, item or change
+// stream (<collection>/events) routes share a shape could answer the same requests
+const shapeOf = (segments) => segments.map(segment => (segment.param ? '/:' : `/${segment.value}`)).join('');
+
+const routeShapes = (segments) => ({
+    collection: shapeOf(segments),
+    item: shapeOf([...segments, { param: 'data_id' }]),
+    stream: shapeOf([...segments, { value: 'events' }])
+});
+
+// The endpoint whose routes overlap the candidate's, or null
+const findRouteConflict = (endpoints, candidate) => {
+    const mine = routeShapes(endpointSegments(candidate));
+    return endpoints.find((endpoint) => {
+        if (String(endpoint.endpoint_id) === String(candidate.endpoint_id)) return false;
+        const theirs = routeShapes(endpointSegments(endpoint));
+        return mine.collection === theirs.collection
+            || mine.collection === theirs.item
+            || mine.item === theirs.collection
+            || mine.collection === theirs.stream
+            || mine.stream === theirs.collection;
+    }) || null;
+};
+
+const compareRanks = (a, b) => {
+    for (let index = 0; index < Math.min(a.length, b.length); index++) {
+        if (a[index] !== b[index]) return a[index] - b[index];
+    }
+    return 0;
+};
+
+// Find the endpoint a request path (already split into decoded segments) belongs to.
+// Fixed segments beat parameters, which beat the trailing data_id, compared left to right;
+// any remaining tie goes to the oldest endpoint. Returns { endpoint, params, data_id } or null.
+const matchPath = (endpoints, parts) => {
+    let best = null;
+
+    for (const endpoint of endpoints) {
+        const segments = endpointSegments(endpoint);
+        if (segments.length === 0 || (parts.length !== segments.length && parts.length !== segments.length + 1)) continue;
+
+        const params = {};
+        const rank = [];
+        let matched = true;
+        for (let index = 0; index < segments.length; index++) {
+            const segment = segments[index];
+            if (segment.param) {
+                params[segment.param] = parts[index];
+                rank.push(1);
+            } else if (segment.value === parts[index]) {
+                rank.push(2);
+            } else {
+                matched = false;
+                break;
+            }
+        }
+        if (!matched) continue;
+
+        const data_id = parts.length > segments.length ? parts[segments.length] : undefined;
+        if (data_id !== undefined) rank.push(0);
+
+        const better = !best || compareRanks(rank, best.rank) > 0
+            || (compareRanks(rank, best.rank) === 0 && endpoint.endpoint_id < best.endpoint.endpoint_id);
+        if (better) {
+            best = { endpoint, params, data_id, rank };
+        }
+    }
+
+    if (!best) return null;
+    const { endpoint, params, data_id } = best;
+    return { endpoint, params, data_id };
+};
+
+// Pair each path parameter with the field it filters on: { param, field_name, value, field }.
+// field is undefined when path_params names a field the endpoint doesn't have (yet).
+const bindPathParams = (endpoint, params, fields) => {
+    const mapping = parsePathParams(endpoint);
+    const bindings = [];
+    for (const [param, value] of Object.entries(params)) {
+        const field_name = mapping[param] || param;
+        const field = fields.find(candidate => candidate.field_name === field_name);
+        if (field || mapping[param]) {
+            bindings.push({ param, field_name, value, field });
+        }
+    }
+    return bindings;
+};
+
+// Bind parameters given by name instead of in a request path, e.g. to seed or import the
+// records of one parent. Returns { bindings } or { error }.
+const bindNamedParams = (endpoint, params, fields) => {
+    if (params === undefined) return { bindings: [] };
+    if (!isPlainObject(params) || Object.values(params).some(value => !['string', 'number'].includes(typeof value))) {
+        return { error: 'params must map path parameters to values.' };
+    }
+    const names = endpointSegments(endpoint).filter(segment => segment.param).map(segment => segment.param);
+    const unknown = Object.keys(params).filter(name => !names.includes(name));
+    if (unknown.length > 0) {
+        return { error: `params names parameter(s) not in the path: ${unknown.join(', ')}.` };
+    }
+    const values = Object.fromEntries(Object.entries(params).map(([name, value]) => [name, String(value)]));
+    return { bindings: bindPathParams(endpoint, values, fields) };
+};
+
+// path_params after a field is renamed: mappings to the old name follow it, and a parameter that
+// bound to the field by its name gets an explicit mapping. Returns null when no parameter binds to it.
+const renamePathParamField = (endpoint, from, to) => {
+    const mapping = parsePathParams(endpoint);
+    const names = endpointSegments(endpoint).filter(segment => segment.param).map(segment => segment.param);
+    const bound = names.filter(name => (mapping[name] || name) === from);
+    if (bound.length === 0) return null;
+    return { ...mapping, ...Object.fromEntries(bound.map(name => [name, to])) };
+};
+
+// The value a parameter is stored with on records created or changed through the path
+const bindingValue = ({ value, field }) => {
+    const data_type = field ? field.data_type.toUpperCase() : null;
+    if (['INT', 'FLOAT', 'REFERENCE'].includes(data_type) && value !== '' && !isNaN(Number(value))) {
+        return Number(value);
+    }
+    return value;
+};
+
+// The OpenAPI form of an endpoint's path ({name} parameters) and its path parameters
+const openApiPath = (endpoint) => {
+    const segments = endpointSegments(endpoint);
+    return {
+        path: segments.map(segment => (segment.param ? `{${segment.param}}` : segment.value)).join('/'),
+        params: segments.filter(segment => segment.param).map(segment => segment.param)
+    };
+};
+
+module.exports = {
+    parsePathTemplate,
+    normalizePath,
+    parsePathParams,
+    validatePathParams,
+    findRouteConflict,
+    matchPath,
+    bindPathParams,
+    bindNamedParams,
+    bindingValue,
+    renamePathParamField,
+    openApiPath
+};
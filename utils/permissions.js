@@ -0,0 +1,66 @@
+// utils/permissions.js
+
+const WORKSPACE_ROLES = ['owner', 'editor', 'viewer'];
+
+// read: view endpoints, fields and data; write: manage endpoints, fields and data;
+// manage: rename or delete the workspace and manage its members
+const ROLE_PERMISSIONS = {
+    owner: ['read', 'write', 'manage'],
+    editor: ['read', 'write'],
+    viewer: ['read']
+};
+
+// The single permission check: does the caller's role allow the action?
+// Returns null when allowed, otherwise { status, message }.
+const authorize = (scope, action) => {
+    if ((ROLE_PERMISSIONS[scope.role] || []).includes(action)) return null;
+    return { status: 403, message: `Your role (${scope.role}) does not allow this action.` };
+};
+
+// SQL condition selecting the endpoints in the caller's scope: a workspace's endpoints,
+// or the user's personal endpoints (those without a workspace)
+const scopeCondition = (scope, alias = '') => {
+    const prefix = alias ? `${alias}.` : '';
+    if (scope.workspace_id) {
+        return { clause: `${prefix}workspace_id = ?`, params: [scope.workspace_id] };
+    }
+    return { clause: `${prefix}user_id = ? AND ${prefix}workspace_id IS NULL`, params: [scope.user_id] };
+};
+
+// Look up an endpoint by id inside the caller's scope. Returns the row or null.
+const findEndpoint = async (db, scope, endpoint_id) => {
+    const { clause, params } = scopeCondition(scope);
+    const [rows] = await db.execute(
+        `SELECT * FROM api_endpoints WHERE endpoint_id = ? AND ${clause}`,
+        [endpoint_id, ...params]
+    );
+    return rows[0] || null;
+};
+
+// Endpoint names are unique within a scope
+const isEndpointNameTaken = async (db, scope, endpoint_name, excludeId = null) => {
+    const { clause, params } = scopeCondition(scope);
+    const [rows] = await db.execute(
+        `SELECT endpoint_id FROM api_endpoints WHERE endpoint_name = ? AND ${clause}`,
+        [endpoint_name, ...params]
+    );
+    return rows.some(row => String(row.endpoint_id) !== String(excludeId));
+};
+
+// The user's role in a workspace, or null when they are not a member
+const findMembership = async (db, workspace_id, user_id) => {
+    const [rows] = await db.execute(
+        'SELECT role FROM workspace_members WHERE workspace_id = ? AND user_id = ?',
+        [workspace_id, user_id]
+    );
+    return rows.length > 0 ? rows[0].role : null;
+};
+
+module.exports = {
+    WORKSPACE_ROLES,
+    authorize,
+    scopeCondition,
+    findEndpoint,
+    isEndpointNameTaken,
+    findMembership
+};
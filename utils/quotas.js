@@ -0,0 +1,69 @@
+// utils/quotas.js
+require('dotenv').config();
+
+// A quota of 0 turns that check off
+const quotaFromEnv = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+
+// Endpoints are counted per account across personal and workspace endpoints the user created;
+// record size is the length of the record's stored JSON in bytes. The record quota leaves room
+// for a full-size seed or import (50000 rows) on top of existing data.
+const QUOTAS = {
+    endpoints: quotaFromEnv('MAX_ENDPOINTS_PER_USER', 100),
+    fields: quotaFromEnv('MAX_FIELDS_PER_ENDPOINT', 100),
+    records: quotaFromEnv('MAX_RECORDS_PER_ENDPOINT', 100000),
+    record_bytes: quotaFromEnv('MAX_RECORD_BYTES', 64 * 1024)
+};
+
+const exceeded = (quota, message, status = 403) => ({ status, quota, limit: QUOTAS[quota], message: `Quota exceeded: ${message}` });
+
+const countRows = async (db, sql, params) => {
+    const [rows] = await db.execute(sql, params);
+    return Number(rows[0].count);
+};
+
+// Each check returns null while the quota holds, otherwise { status, quota, limit, message }.
+// adding is the number of rows about to be inserted; pass 0 to check rows already written
+// inside the current transaction.
+const checkEndpointQuota = async (db, user_id, adding = 1) => {
+    if (!QUOTAS.endpoints) return null;
+    const count = await countRows(db, 'SELECT COUNT(*) AS count FROM api_endpoints WHERE user_id = ?', [user_id]);
+    return count + adding > QUOTAS.endpoints
+        ? exceeded('endpoints', `an account may create at most ${QUOTAS.endpoints} endpoints.`)
+        : null;
+};
+
+const checkFieldQuota = async (db, endpoint_id, adding = 1) => {
+    if (!QUOTAS.fields) return null;
+    const count = await countRows(db, 'SELECT COUNT(*) AS count FROM fields WHERE endpoint_id = ?', [endpoint_id]);
+    return count + adding > QUOTAS.fields
+        ? exceeded('fields', `an endpoint may have at most ${QUOTAS.fields} fields.`)
+        : null;
+};
+
+const checkRecordQuota = async (db, endpoint_id, adding = 1) => {
+    if (!QUOTAS.records) return null;
+    const count = await countRows(db, 'SELECT COUNT(*) AS count FROM data_storage WHERE endpoint_id = ?', [endpoint_id]);
+    return count + adding > QUOTAS.records
+        ? exceeded('records', `an endpoint may store at most ${QUOTAS.records} records.`)
+        : null;
+};
+
+// Check the size of records about to be stored (their data objects)
+const checkRecordSize = (records) => {
+    if (!QUOTAS.record_bytes) return null;
+    const index = records.findIndex(data => Buffer.byteLength(JSON.stringify(data)) > QUOTAS.record_bytes);
+    if (index === -1) return null;
+    const which = records.length > 1 ? `record ${index} is too large; ` : '';
+    return exceeded('record_bytes', `${which}a record may be at most ${QUOTAS.record_bytes} bytes of JSON.`, 413);
+};
+
+const sendQuotaExceeded = (res, { status, quota, limit, message }) => res.status(status).json({ message, quota, limit });
+
+module.exports = {
+    QUOTAS,
+    checkEndpointQuota,
+    checkFieldQuota,
+    checkRecordQuota,
+    checkRecordSize,
+    sendQuotaExceeded
+};
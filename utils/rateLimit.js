@@ -0,0 +1,69 @@
+// utils/rateLimit.js
+require('dotenv').config();
+
+// A limit of 0 turns that policy off
+const limitFromEnv = (name, fallback) => (process.env[name] !== undefined ? Number(process.env[name]) : fallback);
+
+// The general limit applies to every request, counted per signed-in user, API key or client IP.
+// Sign-in, registration and password resets get a much stricter limit per IP (per IP and account
+// for sign-in) to slow down password guessing.
+const RATE_LIMITS = {
+    api: {
+        windowMs: Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000,
+        user: limitFromEnv('RATE_LIMIT_USER', 600),
+        api_key: limitFromEnv('RATE_LIMIT_API_KEY', 300),
+        ip: limitFromEnv('RATE_LIMIT_IP', 120)
+    },
+    auth: {
+        windowMs: Number(process.env.AUTH_RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000,
+        ip: limitFromEnv('AUTH_RATE_LIMIT', 10)
+    }
+};
+
+// Fixed-window counters kept in process memory; fine for a single instance. Expired windows
+// are swept once a minute so idle callers don't pile up.
+const memoryStore = () => {
+    const windows = new Map();
+
+    setInterval(() => {
+        const now = Date.now();
+        for (const [key, window] of windows) {
+            if (window.resetAt <= now) windows.delete(key);
+        }
+    }, 60 * 1000).unref();
+
+    return {
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let window = windows.get(key);
+            if (!window || window.resetAt <= now) {
+                window = { count: 0, resetAt: now + windowMs };
+                windows.set(key, window);
+            }
+            window.count++;
+            return { count: window.count, resetAt: window.resetAt };
+        },
+        reset: async (key) => {
+            windows.delete(key);
+        }
+    };
+};
+
+let store = memoryStore();
+
+// Swap in a shared store, e.g. one backed by Redis, so several instances count together. It needs
+// an async increment(key, windowMs) resolving to { count, resetAt } for the key's current window.
+const setStore = (custom) => {
+    if (!custom || typeof custom.increment !== 'function') {
+        throw new Error('A rate limit store needs an increment(key, windowMs) function.');
+    }
+    store = custom;
+};
+
+// Count a hit against a key. Returns { limit, remaining, resetAt, limited }.
+const hit = async (key, limit, windowMs) => {
+    const { count, resetAt } = await store.increment(key, windowMs);
+    return { limit, remaining: Math.max(limit - count, 0), resetAt, limited: count > limit };
+};
+
+module.exports = { RATE_LIMITS, setStore, hit };
@@ -0,0 +1,177 @@
+// utils/recordOperations.js
+const pool = require('../db');
+const { lockEndpoint } = require('../repositories/endpointRepository');
+const { findRecord, insertRecord, insertRecords, updateRecord } = require('../repositories/recordRepository');
+const { buildRecord, applyPartial, validateStored } = require('./validation');
+const { deleteWithReferences } = require('./references');
+const { checkRecordQuota, checkRecordSize } = require('./quotas');
+const { recordVersion, recordVersions } = require('./history');
+const { publishChanges } = require('./changeStream');
+
+// Single-record writes shared by the REST handlers and the GraphQL resolvers, so both apply the
+// same validation, quotas, history and change notifications. Each returns { record } on success,
+// otherwise { status, message } plus errors (validation) or quota and limit (quotas).
+
+// Run work(connection) inside one transaction; a result with an error is rolled back
+const inTransaction = async (work) => {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const result = await work(connection);
+        if (result && result.error) {
+            await connection.rollback();
+        } else {
+            await connection.commit();
+        }
+        return result;
+    } catch (err) {
+        await connection.rollback();
+        throw err;
+    } finally {
+        connection.release();
+    }
+};
+
+const validationFailed = (errors) => ({ status: 400, message: 'Validation failed.', errors });
+
+const notFound = () => ({ status: 404, message: 'Data not found.' });
+
+// A failure inside inTransaction: rolls the transaction back and is handed to the caller as is
+const abort = (failure) => ({ error: true, ...failure });
+
+const unwrap = ({ error, ...result }) => result;
+
+// Check references and unique values on the transaction's connection. Writers lock the endpoint
+// first (lockEndpoint), so a concurrent write can't take a unique value between check and write.
+const validateLocked = async (connection, endpoint_id, fields, jsonData, errors, excludeId) => {
+    const allErrors = await validateStored(connection, endpoint_id, fields, jsonData, errors, excludeId);
+    return allErrors.length > 0 ? validationFailed(allErrors) : null;
+};
+
+const createRecord = async (context, endpoint_id, fields, data) => {
+    const { jsonData, errors } = buildRecord(data, fields);
+
+    const result = await inTransaction(async (connection) => {
+        await lockEndpoint(connection, endpoint_id);
+        const failure = await validateLocked(connection, endpoint_id, fields, jsonData, errors)
+            || checkRecordSize([jsonData])
+            || await checkRecordQuota(connection, endpoint_id);
+        if (failure) {
+            return abort(failure);
+        }
+
+        const data_id = await insertRecord(connection, endpoint_id, jsonData);
+        await recordVersion(connection, context, { endpoint_id, data_id, action: 'create', after: jsonData });
+        return { record: { data_id, ...jsonData } };
+    });
+
+    if (!result.error) {
+        publishChanges(context);
+    }
+    return unwrap(result);
+};
+
+// Insert many generated or imported records at once. check(connection) runs with the endpoint
+// locked and returns { records } to insert (plus anything to hand back), or a failure.
+const createRecords = async (context, endpoint_id, check) => {
+    const result = await inTransaction(async (connection) => {
+        await lockEndpoint(connection, endpoint_id);
+        const checked = await check(connection);
+        const failure = checked.status ? checked : await checkRecordQuota(connection, endpoint_id, checked.records.length);
+        if (failure) {
+            return abort(failure);
+        }
+
+        const data_ids = await insertRecords(connection, endpoint_id, checked.records);
+        await recordVersions(connection, context, checked.records.map((jsonData, index) => ({
+            endpoint_id, data_id: data_ids[index], action: 'create', after: jsonData
+        })));
+        return { ...checked, data_ids };
+    });
+
+    if (!result.error) {
+        publishChanges(context);
+    }
+    return unwrap(result);
+};
+
+// Overwrite every field of a record; fields left out fall back to their defaults
+const replaceRecord = async (context, endpoint_id, fields, identifier, data) => {
+    const { jsonData, errors } = buildRecord(data, fields);
+
+    const result = await inTransaction(async (connection) => {
+        await lockEndpoint(connection, endpoint_id);
+        const failure = await validateLocked(connection, endpoint_id, fields, jsonData, errors, identifier)
+            || checkRecordSize([jsonData]);
+        if (failure) {
+            return abort(failure);
+        }
+
+        const existing = await findRecord(connection, endpoint_id, identifier);
+        if (!existing) {
+            return abort(notFound());
+        }
+
+        const { data_id, ...before } = existing;
+        await updateRecord(connection, endpoint_id, data_id, jsonData);
+        await recordVersion(connection, context, { endpoint_id, data_id, action: 'update', before, after: jsonData });
+        return { record: { data_id, ...jsonData } };
+    });
+
+    if (!result.error) {
+        publishChanges(context);
+    }
+    return unwrap(result);
+};
+
+// Merge the fields that were sent into a record; only those are validated
+const patchRecord = async (context, endpoint_id, fields, identifier, data) => {
+    const result = await inTransaction(async (connection) => {
+        await lockEndpoint(connection, endpoint_id);
+        const existing = await findRecord(connection, endpoint_id, identifier);
+        if (!existing) {
+            return abort(notFound());
+        }
+        const { data_id, ...before } = existing;
+
+        const { jsonData, errors } = applyPartial(before, data, fields);
+
+        const failure = await validateLocked(connection, endpoint_id, fields, jsonData, errors, identifier)
+            || checkRecordSize([jsonData]);
+        if (failure) {
+            return abort(failure);
+        }
+
+        await updateRecord(connection, endpoint_id, data_id, jsonData);
+        await recordVersion(connection, context, { endpoint_id, data_id, action: 'update', before, after: jsonData });
+        return { record: { data_id, ...jsonData } };
+    });
+
+    if (!result.error) {
+        publishChanges(context);
+    }
+    return unwrap(result);
+};
+
+// Referencing records are restricted, cascaded or nulled in the same transaction
+const removeRecord = async (context, endpoint_id, identifier) => {
+    const result = await inTransaction(async (connection) => {
+        const outcome = await deleteWithReferences(connection, endpoint_id, identifier, new Set(), context);
+        if (outcome.error) {
+            return abort({ status: 409, message: outcome.error });
+        }
+        if (outcome.affectedRows === 0) {
+            return abort(notFound());
+        }
+        return {};
+    });
+
+    if (result.error) {
+        return unwrap(result);
+    }
+    publishChanges(context);
+
+    return { record: { data_id: identifier } };
+};
+
+module.exports = { inTransaction, validateLocked, createRecord, createRecords, replaceRecord, patchRecord, removeRecord };
@@ -0,0 +1,188 @@
+// utils/references.js
+const { recordVersion, recordVersions } = require('./history');
+
+const ON_DELETE_ACTIONS = ['RESTRICT', 'CASCADE', 'SET_NULL'];
+
+const referenceFields = (fields) => fields.filter(field => field.data_type.toUpperCase() === 'REFERENCE');
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const referenceError = (field_name, value) => ({ field: field_name, message: `Field '${field_name}' references data_id ${value}, which does not exist.` });
+
+// Check that every reference value in a record points at an existing record of the referenced endpoint
+const validateReferences = async (db, fields, record) => {
+    const errors = [];
+    for (const field of referenceFields(fields)) {
+        const value = record[field.field_name];
+        if (isEmpty(value)) continue;
+
+        const [rows] = await db.execute(
+            'SELECT data_id FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
+            [value, field.ref_endpoint_id]
+        );
+
+        if (rows.length === 0) {
+            errors.push(referenceError(field.field_name, value));
+        }
+    }
+    return errors;
+};
+
+// Path parameters bound to reference fields (see utils/pathTemplates) name a parent record;
+// true when one of those parents doesn't exist
+const hasMissingParent = async (db, bindings) => {
+    for (const { field, value } of bindings) {
+        if (!field || field.data_type.toUpperCase() !== 'REFERENCE' || !field.ref_endpoint_id) continue;
+        if (!Number.isInteger(Number(value))) return true;
+
+        const [rows] = await db.execute(
+            'SELECT data_id FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
+            [value, field.ref_endpoint_id]
+        );
+        if (rows.length === 0) return true;
+    }
+    return false;
+};
+
+// Parse ?expand=a,b and check each name is a reference field
+const parseExpand = (expand, fields) => {
+    if (expand === undefined) return { names: [] };
+    if (typeof expand !== 'string') return { error: 'Invalid expand parameter.' };
+
+    const names = expand.split(',').map(name => name.trim()).filter(Boolean);
+    const references = referenceFields(fields).map(field => field.field_name);
+    const invalid = names.filter(name => !references.includes(name));
+    if (invalid.length > 0) {
+        return { error: `Cannot expand '${invalid.join(', ')}': not a reference field.` };
+    }
+    return { names };
+};
+
+// Replace reference ids with the referenced records for the expanded fields
+const expandRecords = async (db, records, fields, names) => {
+    for (const name of names) {
+        const field = fields.find(candidate => candidate.field_name === name);
+        const ids = [...new Set(records.map(record => record[name]).filter(value => !isEmpty(value)))];
+        if (ids.length === 0) continue;
+
+        const [rows] = await db.execute(
+            `SELECT data_id, data FROM data_storage WHERE endpoint_id = ? AND data_id IN (${ids.map(() => '?').join(', ')})`,
+            [field.ref_endpoint_id, ...ids]
+        );
+
+        const byId = new Map(rows.map(row => [String(row.data_id), { data_id: row.data_id, ...JSON.parse(row.data) }]));
+        for (const record of records) {
+            if (!isEmpty(record[name])) {
+                record[name] = byId.get(String(record[name])) || null;
+            }
+        }
+    }
+    return records;
+};
+
+// Delete a record and apply each referencing field's on_delete rule. With a change context
+// (see utils/history) every deleted or nulled record gets a version in its history.
+// Must run on a connection inside a transaction; returns { error } when a RESTRICT rule blocks the delete.
+const deleteWithReferences = async (connection, endpoint_id, data_id, visited = new Set(), context = null) => {
+    const key = `${endpoint_id}:${data_id}`;
+    if (visited.has(key)) return { affectedRows: 0 };
+    visited.add(key);
+
+    const [existing] = await connection.execute(
+        'SELECT data_id, data FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
+        [data_id, endpoint_id]
+    );
+    if (existing.length === 0) return { affectedRows: 0 };
+
+    const [referencing] = await connection.execute(
+        'SELECT * FROM fields WHERE data_type = ? AND ref_endpoint_id = ?',
+        ['REFERENCE', endpoint_id]
+    );
+
+    for (const field of referencing) {
+        const [rows] = await connection.execute(
+            'SELECT data_id, data FROM data_storage WHERE endpoint_id = ?',
+            [field.endpoint_id]
+        );
+        const matches = rows
+            .map(row => ({ data_id: row.data_id, data: JSON.parse(row.data) }))
+            .filter(row => !isEmpty(row.data[field.field_name]) && String(row.data[field.field_name]) === String(data_id));
+
+        if (matches.length === 0) continue;
+
+        switch ((field.on_delete || 'RESTRICT').toUpperCase()) {
+            case 'CASCADE':
+                for (const match of matches) {
+                    const result = await deleteWithReferences(connection, field.endpoint_id, match.data_id, visited, context);
+                    if (result.error) return result;
+                }
+                break;
+            case 'SET_NULL':
+                for (const match of matches) {
+                    const before = { ...match.data };
+                    match.data[field.field_name] = null;
+                    await connection.execute(
+                        'UPDATE data_storage SET data = ? WHERE data_id = ?',
+                        [JSON.stringify(match.data), match.data_id]
+                    );
+                    if (context) {
+                        await recordVersion(connection, context, { endpoint_id: field.endpoint_id, data_id: match.data_id, action: 'update', before, after: match.data });
+                    }
+                }
+                break;
+            default:
+                return { error: `Data is still referenced by ${matches.length} record(s) through field '${field.field_name}'.` };
+        }
+    }
+
+    const [result] = await connection.execute(
+        'DELETE FROM data_storage WHERE data_id = ? AND endpoint_id = ?',
+        [data_id, endpoint_id]
+    );
+    if (context) {
+        await recordVersion(connection, context, { endpoint_id, data_id: existing[0].data_id, action: 'delete', before: JSON.parse(existing[0].data) });
+    }
+
+    return { affectedRows: result.affectedRows };
+};
+
+// Delete every record of an endpoint, applying other endpoints' on_delete rules.
+// Must run on a connection inside a transaction; returns { error } when a RESTRICT rule blocks the delete.
+const truncateWithReferences = async (connection, endpoint_id, context = null) => {
+    const [referencing] = await connection.execute(
+        'SELECT field_id FROM fields WHERE data_type = ? AND ref_endpoint_id = ? AND endpoint_id <> ?',
+        ['REFERENCE', endpoint_id, endpoint_id]
+    );
+
+    // Nothing else points here, so one statement will do
+    if (referencing.length === 0) {
+        if (context) {
+            const [rows] = await connection.execute(
+                'SELECT data_id, data FROM data_storage WHERE endpoint_id = ?',
+                [endpoint_id]
+            );
+            await recordVersions(connection, context, rows.map(row => ({ endpoint_id, data_id: row.data_id, action: 'delete', before: JSON.parse(row.data) })));
+        }
+        const [result] = await connection.execute(
+            'DELETE FROM data_storage WHERE endpoint_id = ?',
+            [endpoint_id]
+        );
+        return { affectedRows: result.affectedRows };
+    }
+
+    const [rows] = await connection.execute(
+        'SELECT data_id FROM data_storage WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+
+    const visited = new Set();
+    let affectedRows = 0;
+    for (const row of rows) {
+        const result = await deleteWithReferences(connection, endpoint_id, row.data_id, visited, context);
+        if (result.error) return result;
+        affectedRows += result.affectedRows;
+    }
+    return { affectedRows };
+};
+
+module.exports = { ON_DELETE_ACTIONS, referenceFields, referenceError, validateReferences, hasMissingParent, parseExpand, expandRecords, deleteWithReferences, truncateWithReferences };
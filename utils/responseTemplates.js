@@ -0,0 +1,269 @@
+// utils/responseTemplates.js
+const { SUPPORTED_METHODS, requestMethod } = require('./httpMethods');
+const { validateHeaders, sendableHeaders } = require('./httpHeaders');
+const { RESERVED_PARAMS } = require('./listQuery');
+
+// Response templates make an endpoint answer like the service it stands in for:
+// {
+//   "id_key": "id",                                  // rename data_id in returned records
+//   "fields": { "title": "name", "secret": null },   // rename fields, or hide them with null
+//   "responses": {
+//     "GET": { "success": { "body": { "data": "{{data}}", "meta": "{{meta}}" } } },
+//     "POST": { "success": { "status": 201, "headers": { "Location": "{{path}}/{{id}}" }, "body": "{{data}}" } }
+//   }
+// }
+// Each method maps outcomes to { status, headers, body }; anything left out keeps the default.
+// A string that is exactly one placeholder is replaced by the value itself (objects included),
+// placeholders inside longer strings are interpolated as text, and a null body sends no content.
+// Available values: data (the record or records, shaped by id_key and fields), meta (listings),
+// id, count, message, errors, path (the request path without its query string) and params (the
+// named parameters of the endpoint's path template).
+// Renames work both ways: request bodies, filters and sort use the renamed keys too, and the
+// stored names of renamed fields are rejected as unknown. The change stream, webhooks and GraphQL
+// show records with the same renames and hidden fields.
+
+const OUTCOMES = ['success', 'validation_error', 'not_found', 'conflict'];
+const TEMPLATE_KEYS = ['status', 'headers', 'body'];
+
+const PLACEHOLDER = /\{\{\s*([\w.]+)\s*\}\}/g;
+const WHOLE_PLACEHOLDER = /^\{\{\s*([\w.]+)\s*\}\}$/;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// The column holds JSON; mysql2 may hand it back parsed or as a string
+const parseTemplates = (endpoint) => {
+    if (!endpoint.response_templates) return {};
+    if (typeof endpoint.response_templates === 'object') return endpoint.response_templates;
+    try {
+        return JSON.parse(endpoint.response_templates);
+    } catch (err) {
+        return {};
+    }
+};
+
+const validateTemplate = (template, label) => {
+    if (!isPlainObject(template)) return `${label} must be an object.`;
+    const unknown = Object.keys(template).filter(key => !TEMPLATE_KEYS.includes(key));
+    if (unknown.length > 0) return `Unknown ${label} setting(s): ${unknown.join(', ')}.`;
+    if (template.status !== undefined && (!Number.isInteger(template.status) || template.status < 100 || template.status > 599)) {
+        return `${label}.status must be an integer between 100 and 599.`;
+    }
+    if (template.headers !== undefined) {
+        return validateHeaders(template.headers, `${label}.headers`);
+    }
+    return null;
+};
+
+// Validate templates sent to the management API. Returns an error message or null.
+const validateTemplates = (templates) => {
+    if (templates === null) return null;
+    if (!isPlainObject(templates)) return 'response_templates must be an object.';
+
+    const unknown = Object.keys(templates).filter(key => !['id_key', 'fields', 'responses'].includes(key));
+    if (unknown.length > 0) return `Unknown response_templates setting(s): ${unknown.join(', ')}.`;
+
+    const { id_key, fields, responses } = templates;
+
+    if (id_key !== undefined && (typeof id_key !== 'string' || !id_key.trim())) {
+        return 'response_templates.id_key must be a non-empty string.';
+    }
+
+    if (fields !== undefined) {
+        if (!isPlainObject(fields) || Object.values(fields).some(value => value !== null && (typeof value !== 'string' || !value.trim()))) {
+            return 'response_templates.fields must map field names to a new name, or null to hide the field.';
+        }
+    }
+
+    if (responses !== undefined) {
+        if (!isPlainObject(responses)) return 'response_templates.responses must be an object keyed by HTTP method.';
+        for (const [method, outcomes] of Object.entries(responses)) {
+            if (!SUPPORTED_METHODS.includes(method.toUpperCase())) {
+                return `response_templates.responses has an invalid HTTP method '${method}'.`;
+            }
+            if (!isPlainObject(outcomes)) return `response_templates.responses.${method} must be an object keyed by outcome.`;
+            for (const [outcome, template] of Object.entries(outcomes)) {
+                if (!OUTCOMES.includes(outcome)) {
+                    return `response_templates.responses.${method} has an unknown outcome '${outcome}'. Use one of: ${OUTCOMES.join(', ')}.`;
+                }
+                const templateError = validateTemplate(template, `response_templates.responses.${method}.${outcome}`);
+                if (templateError) return templateError;
+            }
+        }
+    }
+
+    return null;
+};
+
+// Templates after a field is renamed, with its fields entry moved to the new name.
+// Returns null when the templates don't mention the field.
+const renameTemplateField = (endpoint, from, to) => {
+    const templates = parseTemplates(endpoint);
+    if (!isPlainObject(templates.fields) || !Object.prototype.hasOwnProperty.call(templates.fields, from)) return null;
+    const fields = Object.fromEntries(Object.entries(templates.fields)
+        .filter(([name]) => name !== to)
+        .map(([name, value]) => [name === from ? to : name, value]));
+    return { ...templates, fields };
+};
+
+// Apply id_key and field renames to one record
+const shapeRecord = (record, templates) => {
+    if (!isPlainObject(record)) return record;
+    const renames = templates.fields || {};
+    const shaped = {};
+    for (const [key, value] of Object.entries(record)) {
+        if (key === 'data_id' && templates.id_key) {
+            shaped[templates.id_key] = value;
+        } else if (renames[key] === undefined) {
+            shaped[key] = value;
+        } else if (renames[key] !== null) {
+            shaped[renames[key]] = value;
+        }
+    }
+    return shaped;
+};
+
+// Renamed keys mapped back to the stored names they stand for
+const storedNames = (templates) => {
+    const names = {};
+    for (const [stored, shown] of Object.entries(templates.fields || {})) {
+        if (shown !== null) names[shown] = stored;
+    }
+    if (templates.id_key) names[templates.id_key] = 'data_id';
+    return names;
+};
+
+// The stored name for a key sent by a client, or null when the key is a stored name that the
+// templates rename (clients only know the new name)
+const storedName = (key, templates, names) => {
+    if (names[key] !== undefined) return names[key];
+    if (key === 'data_id' && templates.id_key) return null;
+    return typeof (templates.fields || {})[key] === 'string' ? null : key;
+};
+
+// Map a record sent by a client back to stored names (the reverse of shapeRecord).
+// Returns { record, errors }.
+const unshapeRecord = (record, templates) => {
+    if (!isPlainObject(record)) return { record, errors: [] };
+    const names = storedNames(templates);
+    const mapped = {};
+    const errors = [];
+    for (const [key, value] of Object.entries(record)) {
+        const name = storedName(key, templates, names);
+        if (name === null) {
+            errors.push({ field: key, message: `Unknown field '${key}'.` });
+        } else {
+            mapped[name] = value;
+        }
+    }
+    return { record: mapped, errors };
+};
+
+// Map the field names in listing filters, sort and expand back to stored names. Returns { query } or { error }.
+const unshapeQuery = (query, templates) => {
+    const names = storedNames(templates);
+    const mapped = {};
+    for (const [key, value] of Object.entries(query)) {
+        if (RESERVED_PARAMS.includes(key)) {
+            mapped[key] = value;
+            continue;
+        }
+        const name = storedName(key, templates, names);
+        if (name === null) return { error: `Unknown filter field '${key}'.` };
+        mapped[name] = value;
+    }
+
+    if (typeof query.sort === 'string') {
+        const parts = [];
+        for (const part of query.sort.split(',').filter(Boolean)) {
+            const descending = part.startsWith('-');
+            const name = storedName(descending ? part.slice(1) : part, templates, names);
+            if (name === null) return { error: `Cannot sort by unknown field '${descending ? part.slice(1) : part}'.` };
+            parts.push(descending ? `-${name}` : name);
+        }
+        mapped.sort = parts.join(',');
+    }
+
+    if (typeof query.expand === 'string') {
+        const expand = [];
+        for (const part of query.expand.split(',').map(name => name.trim()).filter(Boolean)) {
+            const name = storedName(part, templates, names);
+            if (name === null) return { error: `Cannot expand '${part}': not a reference field.` };
+            expand.push(name);
+        }
+        mapped.expand = expand.join(',');
+    }
+    return { query: mapped };
+};
+
+const lookup = (values, path) => path.split('.')
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), values);
+
+const render = (template, values) => {
+    if (typeof template === 'string') {
+        const whole = template.match(WHOLE_PLACEHOLDER);
+        if (whole) {
+            const value = lookup(values, whole[1]);
+            return value === undefined ? null : value;
+        }
+        return template.replace(PLACEHOLDER, (match, path) => {
+            const value = lookup(values, path);
+            if (value === undefined || value === null) return '';
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        });
+    }
+    if (Array.isArray(template)) {
+        return template.map(item => render(item, values));
+    }
+    if (isPlainObject(template)) {
+        return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, render(value, values)]));
+    }
+    return template;
+};
+
+// Build a send function for one request. send(outcome, { status, body, data, meta, id, count })
+// answers with the endpoint's template for the method and outcome, or with status and body when
+// there is none. Records in data are shaped either way, and a default body that returns records
+// is replaced by the shaped data.
+const createResponder = (endpoint, req, res) => {
+    const templates = parseTemplates(endpoint);
+    const method = requestMethod(req);
+    const byMethod = Object.entries(templates.responses || {})
+        .find(([key]) => key.toUpperCase() === method);
+
+    return (outcome, { status, body, data, meta, id, count }) => {
+        const shaped = Array.isArray(data)
+            ? data.map(record => shapeRecord(record, templates))
+            : shapeRecord(data, templates);
+        const template = byMethod && byMethod[1][outcome];
+
+        const defaultBody = body === data ? shaped : body;
+        if (!template) {
+            return res.status(status).json(defaultBody);
+        }
+
+        const values = {
+            data: shaped,
+            meta,
+            id,
+            count,
+            message: isPlainObject(body) ? body.message : undefined,
+            errors: isPlainObject(body) ? body.errors : undefined,
+            path: req.originalUrl.split('?')[0],
+            params: req.pathParams || {}
+        };
+
+        // Placeholders fill header values from the request and record data, so a rendered value
+        // with a line break or a missing value leaves its header out instead of failing the response
+        if (template.headers) {
+            res.set(sendableHeaders(render(template.headers, values)));
+        }
+        res.status(template.status || status);
+        if (template.body === undefined) {
+            return res.json(defaultBody);
+        }
+        const rendered = render(template.body, values);
+        return rendered === null ? res.end() : res.json(rendered);
+    };
+};
+
+module.exports = { OUTCOMES, parseTemplates, validateTemplates, renameTemplateField, shapeRecord, unshapeRecord, unshapeQuery, createResponder };
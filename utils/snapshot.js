@@ -0,0 +1,279 @@
+// utils/snapshot.js
+const { parseMethods, serializeMethods, normalizeMethods } = require('./httpMethods');
+const { parseBehavior, validateBehavior } = require('./behavior');
+const { parseTemplates, validateTemplates } = require('./responseTemplates');
+const { normalizePath, parsePathParams, validatePathParams } = require('./pathTemplates');
+const { DATA_TYPES, parseConstraints, validateFieldConstraints } = require('./validation');
+const { ON_DELETE_ACTIONS } = require('./references');
+const { ACCESS_MODES } = require('./access');
+const { scopeCondition } = require('./permissions');
+const { checkEndpointQuota, checkFieldQuota, checkRecordQuota, checkRecordSize } = require('./quotas');
+
+const SNAPSHOT_FORMAT = 'mockapi-snapshot';
+const SNAPSHOT_VERSION = 1;
+const RESTORE_MODES = ['merge', 'replace'];
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Capture every endpoint in the scope with its fields and records. Nothing in the document
+// refers to users or database ids except record data_ids, which restores remap; reference
+// fields name their target endpoint instead of pointing at its id.
+const buildSnapshot = async (db, scope) => {
+    const { clause, params } = scopeCondition(scope);
+    const [endpoints] = await db.execute(
+        `SELECT * FROM api_endpoints WHERE ${clause} ORDER BY endpoint_id`,
+        params
+    );
+
+    const names = new Map(endpoints.map(endpoint => [String(endpoint.endpoint_id), endpoint.endpoint_name]));
+    const snapshot = { format: SNAPSHOT_FORMAT, version: SNAPSHOT_VERSION, created_at: new Date().toISOString(), endpoints: [] };
+
+    for (const endpoint of endpoints) {
+        const [fields] = await db.execute(
+            'SELECT * FROM fields WHERE endpoint_id = ? ORDER BY field_id',
+            [endpoint.endpoint_id]
+        );
+        const [rows] = await db.execute(
+            'SELECT data_id, data FROM data_storage WHERE endpoint_id = ? ORDER BY data_id',
+            [endpoint.endpoint_id]
+        );
+
+        snapshot.endpoints.push({
+            endpoint_name: endpoint.endpoint_name,
+            path: endpoint.path || null,
+            path_params: endpoint.path_params ? parsePathParams(endpoint) : null,
+            http_methods: parseMethods(endpoint.http_method),
+            behavior: endpoint.behavior ? parseBehavior(endpoint) : null,
+            response_templates: endpoint.response_templates ? parseTemplates(endpoint) : null,
+            access_mode: endpoint.access_mode || 'private',
+            fields: fields.map(field => ({
+                field_name: field.field_name,
+                data_type: field.data_type,
+                is_required: Boolean(field.is_required),
+                default_value: field.default_value,
+                ref_endpoint: field.ref_endpoint_id ? names.get(String(field.ref_endpoint_id)) || null : null,
+                on_delete: field.on_delete || null,
+                constraints: field.constraints ? parseConstraints(field) : null
+            })),
+            records: rows.map(row => ({ data_id: row.data_id, data: JSON.parse(row.data) }))
+        });
+    }
+
+    return snapshot;
+};
+
+// Check a snapshot document before restoring it. Returns an error message or null.
+// existingNames lists the scope's endpoint names, which reference fields may also target.
+const validateSnapshot = (snapshot, existingNames = []) => {
+    if (!isPlainObject(snapshot) || snapshot.format !== SNAPSHOT_FORMAT) {
+        return `Not a snapshot document; expected format '${SNAPSHOT_FORMAT}'.`;
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        return `Unsupported snapshot version ${snapshot.version}; expected ${SNAPSHOT_VERSION}.`;
+    }
+    if (!Array.isArray(snapshot.endpoints)) {
+        return 'Snapshot endpoints must be an array.';
+    }
+
+    const names = snapshot.endpoints.map(endpoint => isPlainObject(endpoint) && endpoint.endpoint_name);
+    for (const [index, endpoint] of snapshot.endpoints.entries()) {
+        const label = `endpoints[${index}]`;
+        if (!isPlainObject(endpoint) || typeof endpoint.endpoint_name !== 'string' || !endpoint.endpoint_name) {
+            return `${label} needs an endpoint_name.`;
+        }
+        if (names.indexOf(endpoint.endpoint_name) !== index) {
+            return `Endpoint '${endpoint.endpoint_name}' appears more than once.`;
+        }
+        const { error } = normalizeMethods(endpoint.http_methods);
+        if (error) return `${endpoint.endpoint_name}: ${error}`;
+        const behaviorError = endpoint.behavior !== undefined && validateBehavior(endpoint.behavior);
+        if (behaviorError) return `${endpoint.endpoint_name}: ${behaviorError}`;
+        const templatesError = endpoint.response_templates !== undefined && validateTemplates(endpoint.response_templates);
+        if (templatesError) return `${endpoint.endpoint_name}: ${templatesError}`;
+        const { error: pathError } = endpoint.path !== undefined ? normalizePath(endpoint.path) : {};
+        if (pathError) return `${endpoint.endpoint_name}: ${pathError}`;
+        const pathParamsError = endpoint.path_params !== undefined && validatePathParams(endpoint.path_params, endpoint.path);
+        if (pathParamsError) return `${endpoint.endpoint_name}: ${pathParamsError}`;
+        if (endpoint.access_mode !== undefined && !ACCESS_MODES.includes(endpoint.access_mode)) {
+            return `${endpoint.endpoint_name}: invalid access mode '${endpoint.access_mode}'.`;
+        }
+
+        if (!Array.isArray(endpoint.fields) || !Array.isArray(endpoint.records)) {
+            return `${endpoint.endpoint_name}: fields and records must be arrays.`;
+        }
+        for (const field of endpoint.fields) {
+            if (!isPlainObject(field) || !field.field_name || typeof field.data_type !== 'string' || !DATA_TYPES.includes(field.data_type.toUpperCase())) {
+                return `${endpoint.endpoint_name}: every field needs a field_name and a valid data_type.`;
+            }
+            const constraintError = validateFieldConstraints(field.constraints, field.data_type);
+            if (constraintError) return `${endpoint.endpoint_name}.${field.field_name}: ${constraintError}`;
+            if (field.data_type.toUpperCase() === 'REFERENCE') {
+                if (!names.includes(field.ref_endpoint) && !existingNames.includes(field.ref_endpoint)) {
+                    return `${endpoint.endpoint_name}.${field.field_name} references unknown endpoint '${field.ref_endpoint}'.`;
+                }
+                if (field.on_delete && !ON_DELETE_ACTIONS.includes(String(field.on_delete).toUpperCase())) {
+                    return `${endpoint.endpoint_name}.${field.field_name}: invalid on_delete '${field.on_delete}'.`;
+                }
+            }
+        }
+        if (endpoint.records.some(record => !isPlainObject(record) || !isPlainObject(record.data))) {
+            return `${endpoint.endpoint_name}: every record needs a data object.`;
+        }
+    }
+    return null;
+};
+
+// Remove endpoints with their fields, data, record history and webhooks
+const deleteEndpoints = async (connection, endpoint_ids) => {
+    for (const endpoint_id of endpoint_ids) {
+        await connection.execute(
+            'DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT webhook_id FROM webhooks WHERE endpoint_id = ?)',
+            [endpoint_id]
+        );
+        await connection.execute('DELETE FROM webhooks WHERE endpoint_id = ?', [endpoint_id]);
+        await connection.execute('DELETE FROM data_versions WHERE endpoint_id = ?', [endpoint_id]);
+        await connection.execute('DELETE FROM data_storage WHERE endpoint_id = ?', [endpoint_id]);
+        await connection.execute('DELETE FROM fields WHERE endpoint_id = ?', [endpoint_id]);
+        await connection.execute('DELETE FROM api_endpoints WHERE endpoint_id = ?', [endpoint_id]);
+    }
+};
+
+// Restore a validated snapshot into a scope. Must run on a connection inside a transaction.
+// Name clashes are resolved by mode: 'replace' drops the existing endpoint and recreates it from
+// the snapshot; 'merge' keeps the existing endpoint, adds the snapshot's missing fields and
+// appends its records. Returns a summary, or { status, error } when the restore can't proceed.
+const restoreSnapshot = async (connection, scope, snapshot, mode) => {
+    const { clause, params } = scopeCondition(scope);
+    const [existing] = await connection.execute(
+        `SELECT * FROM api_endpoints WHERE ${clause}`,
+        params
+    );
+    const existingByName = new Map(existing.map(endpoint => [endpoint.endpoint_name, endpoint]));
+    const clashing = snapshot.endpoints.filter(endpoint => existingByName.has(endpoint.endpoint_name));
+    const summary = { mode, created: [], replaced: [], merged: [], records: 0 };
+
+    for (const endpoint of snapshot.endpoints) {
+        const tooLarge = checkRecordSize(endpoint.records.map(record => record.data));
+        if (tooLarge) {
+            return { status: tooLarge.status, error: `${endpoint.endpoint_name}: ${tooLarge.message}` };
+        }
+    }
+
+    if (mode === 'replace' && clashing.length > 0) {
+        const replacedIds = clashing.map(endpoint => existingByName.get(endpoint.endpoint_name).endpoint_id);
+        // Endpoints that stay behind must not be left pointing at a replaced endpoint
+        const [references] = await connection.execute(
+            `SELECT fe.field_name, ae.endpoint_name FROM fields fe
+             JOIN api_endpoints ae ON fe.endpoint_id = ae.endpoint_id
+             WHERE fe.ref_endpoint_id IN (${replacedIds.map(() => '?').join(', ')})
+             AND fe.endpoint_id NOT IN (${replacedIds.map(() => '?').join(', ')})`,
+            [...replacedIds, ...replacedIds]
+        );
+        if (references.length > 0) {
+            return {
+                status: 409,
+                error: `Cannot replace endpoints referenced by ${references.map(row => `${row.endpoint_name}.${row.field_name}`).join(', ')}.`
+            };
+        }
+        await deleteEndpoints(connection, replacedIds);
+        clashing.forEach(endpoint => existingByName.delete(endpoint.endpoint_name));
+    }
+
+    // Create (or, when merging, reuse) every endpoint first so references can be resolved by name
+    const targets = new Map();
+    for (const endpoint of snapshot.endpoints) {
+        const current = existingByName.get(endpoint.endpoint_name);
+        if (current) {
+            targets.set(endpoint.endpoint_name, current.endpoint_id);
+            summary.merged.push(endpoint.endpoint_name);
+            continue;
+        }
+
+        const { methods } = normalizeMethods(endpoint.http_methods);
+        const [result] = await connection.execute(
+            'INSERT INTO api_endpoints (user_id, workspace_id, endpoint_name, path, path_params, http_method, behavior, response_templates, access_mode) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [scope.user_id, scope.workspace_id, endpoint.endpoint_name,
+                endpoint.path ? normalizePath(endpoint.path).path : null,
+                endpoint.path_params ? JSON.stringify(endpoint.path_params) : null,
+                serializeMethods(methods),
+                endpoint.behavior ? JSON.stringify(endpoint.behavior) : null,
+                endpoint.response_templates ? JSON.stringify(endpoint.response_templates) : null,
+                endpoint.access_mode || 'private']
+        );
+        targets.set(endpoint.endpoint_name, result.insertId);
+        (clashing.includes(endpoint) ? summary.replaced : summary.created).push(endpoint.endpoint_name);
+    }
+    const resolveEndpoint = (name) => targets.get(name) || (existingByName.get(name) || {}).endpoint_id;
+
+    for (const endpoint of snapshot.endpoints) {
+        const endpoint_id = targets.get(endpoint.endpoint_name);
+        const [current] = await connection.execute(
+            'SELECT field_name FROM fields WHERE endpoint_id = ?',
+            [endpoint_id]
+        );
+        const currentNames = current.map(field => field.field_name);
+
+        for (const field of endpoint.fields.filter(candidate => !currentNames.includes(candidate.field_name))) {
+            const isReference = field.data_type.toUpperCase() === 'REFERENCE';
+            await connection.execute(
+                'INSERT INTO fields (endpoint_id, field_name, data_type, is_required, default_value, ref_endpoint_id, on_delete, constraints) VALUES (?, ?, ?, ?, ?, ?, ?, ?)',
+                [
+                    endpoint_id, field.field_name, field.data_type.toUpperCase(), Boolean(field.is_required),
+                    field.default_value === undefined ? null : field.default_value,
+                    isReference ? resolveEndpoint(field.ref_endpoint) : null,
+                    isReference ? String(field.on_delete || 'RESTRICT').toUpperCase() : null,
+                    field.constraints ? JSON.stringify(field.constraints) : null
+                ]
+            );
+        }
+    }
+
+    // Insert records, remembering which new data_id each snapshot data_id became
+    const idMaps = new Map();
+    const inserted = [];
+    for (const endpoint of snapshot.endpoints) {
+        const endpoint_id = targets.get(endpoint.endpoint_name);
+        const idMap = new Map();
+        for (const record of endpoint.records) {
+            const [result] = await connection.execute(
+                'INSERT INTO data_storage (endpoint_id, data) VALUES (?, ?)',
+                [endpoint_id, JSON.stringify(record.data)]
+            );
+            idMap.set(String(record.data_id), result.insertId);
+            inserted.push({ endpoint, data_id: result.insertId, data: record.data });
+        }
+        idMaps.set(endpoint.endpoint_name, idMap);
+        summary.records += endpoint.records.length;
+    }
+
+    // Point reference values at the new records; references to records missing from the snapshot are cleared
+    for (const { endpoint, data_id, data } of inserted) {
+        let changed = false;
+        for (const field of endpoint.fields.filter(candidate => candidate.data_type.toUpperCase() === 'REFERENCE')) {
+            const value = data[field.field_name];
+            const idMap = idMaps.get(field.ref_endpoint);
+            if (value === undefined || value === null || value === '' || !idMap) continue;
+            data[field.field_name] = idMap.has(String(value)) ? idMap.get(String(value)) : null;
+            changed = true;
+        }
+        if (changed) {
+            await connection.execute(
+                'UPDATE data_storage SET data = ? WHERE data_id = ?',
+                [JSON.stringify(data), data_id]
+            );
+        }
+    }
+
+    // Quotas are checked against the restored state, so merging into or replacing existing endpoints counts correctly
+    let exceeded = await checkEndpointQuota(connection, scope.user_id, 0);
+    for (const endpoint_id of targets.values()) {
+        exceeded = exceeded || await checkFieldQuota(connection, endpoint_id, 0) || await checkRecordQuota(connection, endpoint_id, 0);
+    }
+    if (exceeded) {
+        return { status: exceeded.status, error: exceeded.message };
+    }
+
+    return summary;
+};
+
+module.exports = { RESTORE_MODES, buildSnapshot, validateSnapshot, restoreSnapshot };
@@ -0,0 +1,91 @@
+// utils/tokens.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const pool = require('../db');
+require('dotenv').config();
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '1h';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Refresh tokens are random strings; only their SHA-256 hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshTokenExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Password reset tokens are single-use and short-lived; they are stored hashed like refresh tokens
+const generateResetToken = () => crypto.randomBytes(32).toString('hex');
+
+const resetTokenExpiry = () => new Date(Date.now() + PASSWORD_RESET_TTL_MINUTES * 60 * 1000);
+
+// Every access token gets a jti so it can be revoked before it expires
+const signAccessToken = (user) => {
+    const token = jwt.sign(
+        { user_id: user.user_id, username: user.username },
+        process.env.JWT_SECRET,
+        { expiresIn: ACCESS_TOKEN_TTL, jwtid: crypto.randomUUID() }
+    );
+    const { exp, iat } = jwt.decode(token);
+    return { token, expires_in: exp - iat };
+};
+
+// Verify the signature and check the revocation list. Returns the payload, or null when invalid or revoked.
+const verifyAccessToken = async (token) => {
+    let user;
+    try {
+        user = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+
+    // Tokens of deleted accounts stop working along with revoked ones, and so do tokens issued
+    // before the account's cutoff (both in whole seconds)
+    const [rows] = await pool.execute(
+        `SELECT u.user_id, u.tokens_valid_after, r.jti FROM users u
+         LEFT JOIN revoked_tokens r ON r.jti = ?
+         WHERE u.user_id = ?`,
+        [user.jti || null, user.user_id]
+    );
+    if (rows.length === 0 || rows[0].jti) return null;
+
+    const cutoff = rows[0].tokens_valid_after;
+    if (cutoff !== null && user.iat < Number(cutoff)) return null;
+
+    return user;
+};
+
+// Invalidate every access token the user holds; tokens signed from now on (this second
+// included) still work
+const revokeAllAccessTokens = async (user_id, db = pool) => {
+    await db.execute(
+        'UPDATE users SET tokens_valid_after = ? WHERE user_id = ?',
+        [Math.floor(Date.now() / 1000), user_id]
+    );
+};
+
+// Add an access token to the revocation list until it would have expired anyway
+const revokeAccessToken = async (payload) => {
+    if (!payload.jti) return;
+    await pool.execute(
+        'DELETE FROM revoked_tokens WHERE expires_at < NOW()'
+    );
+    await pool.execute(
+        'INSERT IGNORE INTO revoked_tokens (jti, user_id, expires_at) VALUES (?, ?, ?)',
+        [payload.jti, payload.user_id, new Date(payload.exp * 1000)]
+    );
+};
+
+module.exports = {
+    hashToken,
+    generateRefreshToken,
+    refreshTokenExpiry,
+    PASSWORD_RESET_TTL_MINUTES,
+    generateResetToken,
+    resetTokenExpiry,
+    signAccessToken,
+    verifyAccessToken,
+    revokeAccessToken,
+    revokeAllAccessTokens
+};
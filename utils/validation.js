@@ -0,0 +1,414 @@
+// utils/validation.js
+const { RE2JS } = require('re2js');
+const { referenceFields, referenceError, validateReferences } = require('./references');
+
+const DATA_TYPES = ['INT', 'VARCHAR', 'TEXT', 'DATE', 'DATETIME', 'BOOLEAN', 'FLOAT', 'REFERENCE', 'OBJECT', 'ARRAY'];
+
+const CONSTRAINT_KEYS = ['min', 'max', 'min_length', 'max_length', 'pattern', 'enum', 'format', 'unique'];
+const FORMATS = ['email', 'url', 'uuid'];
+
+const FORMAT_PATTERNS = {
+    email: /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
+    uuid: /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+// Patterns are written by endpoint owners and run against anyone's input on a single event loop.
+// They run on RE2, which matches in linear time (no lookaround or backreferences), and both
+// patterns and the values checked against them are kept small.
+const MAX_PATTERN_LENGTH = 256;
+const MAX_PATTERN_INPUT_LENGTH = 1000;
+const MAX_COMPILED_PATTERNS = 500;
+
+const compiledPatterns = new Map();
+
+// The compiled pattern, or null when RE2 can't parse it (patterns saved before RE2 was used)
+const compilePattern = (pattern) => {
+    if (!compiledPatterns.has(pattern)) {
+        let compiled = null;
+        try {
+            compiled = RE2JS.compile(pattern);
+        } catch (err) {
+            // Reported as a validation error by the caller
+        }
+        if (compiledPatterns.size >= MAX_COMPILED_PATTERNS) {
+            compiledPatterns.delete(compiledPatterns.keys().next().value);
+        }
+        compiledPatterns.set(pattern, compiled);
+    }
+    return compiledPatterns.get(pattern);
+};
+
+const PASSWORD_MIN_LENGTH = 8;
+// bcrypt ignores everything after 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+const isValidEmail = (email) => typeof email === 'string' && email.length <= 255 && FORMAT_PATTERNS.email.test(email);
+
+// Check an account password. Returns an error message or null.
+const validatePassword = (password) => {
+    if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+        return `Password must be at least ${PASSWORD_MIN_LENGTH} characters long.`;
+    }
+    if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+        return `Password must be at most ${PASSWORD_MAX_BYTES} bytes long.`;
+    }
+    if (!/[a-z]/.test(password) || !/[A-Z]/.test(password) || !/[0-9]/.test(password)) {
+        return 'Password must contain an uppercase letter, a lowercase letter and a digit.';
+    }
+    return null;
+};
+
+// Utility function for basic data type validation
+const validateDataType = (value, data_type) => {
+    switch (data_type.toUpperCase()) {
+        case 'INT':
+        case 'REFERENCE':
+            return Number.isInteger(Number(value));
+        case 'FLOAT':
+            return !isNaN(parseFloat(value));
+        case 'VARCHAR':
+        case 'TEXT':
+            return typeof value === 'string';
+        case 'BOOLEAN':
+            return value === 'true' || value === 'false' || typeof value === 'boolean';
+        case 'DATE':
+        case 'DATETIME':
+            return !isNaN(Date.parse(value));
+        case 'OBJECT':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'ARRAY':
+            return Array.isArray(value);
+        default:
+            return false;
+    }
+};
+
+// The constraints column holds JSON; mysql2 may hand it back parsed or as a string
+const parseConstraints = (field) => {
+    if (!field.constraints) return {};
+    if (typeof field.constraints === 'object') return field.constraints;
+    try {
+        return JSON.parse(field.constraints);
+    } catch (err) {
+        return {};
+    }
+};
+
+const isValidUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'http:' || url.protocol === 'https:';
+    } catch (err) {
+        return false;
+    }
+};
+
+// Check a value that already has the right data type against the field's constraints
+const validateConstraints = (value, field) => {
+    const constraints = parseConstraints(field);
+    const data_type = field.data_type.toUpperCase();
+    const messages = [];
+
+    if (['INT', 'FLOAT'].includes(data_type)) {
+        const number = Number(value);
+        if (constraints.min !== undefined && number < constraints.min) {
+            messages.push(`must be at least ${constraints.min}`);
+        }
+        if (constraints.max !== undefined && number > constraints.max) {
+            messages.push(`must be at most ${constraints.max}`);
+        }
+    }
+
+    // min_length/max_length count characters for strings and items for arrays
+    if (typeof value === 'string' || Array.isArray(value)) {
+        const unit = Array.isArray(value) ? 'items' : 'characters';
+        if (constraints.min_length !== undefined && value.length < constraints.min_length) {
+            messages.push(`must have at least ${constraints.min_length} ${unit}`);
+        }
+        if (constraints.max_length !== undefined && value.length > constraints.max_length) {
+            messages.push(`must have at most ${constraints.max_length} ${unit}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (constraints.pattern !== undefined) {
+            const pattern = compilePattern(constraints.pattern);
+            if (value.length > MAX_PATTERN_INPUT_LENGTH) {
+                messages.push(`must be at most ${MAX_PATTERN_INPUT_LENGTH} characters to be checked against its pattern`);
+            } else if (!pattern) {
+                messages.push(`can't be checked against pattern ${constraints.pattern}, which is not supported`);
+            } else if (!pattern.test(value)) {
+                messages.push(`must match pattern ${constraints.pattern}`);
+            }
+        }
+        if (constraints.format === 'url' ? !isValidUrl(value) : constraints.format && !FORMAT_PATTERNS[constraints.format].test(value)) {
+            messages.push(`must be a valid ${constraints.format}`);
+        }
+    }
+
+    if (Array.isArray(constraints.enum) && !constraints.enum.some(option => String(option) === String(value))) {
+        messages.push(`must be one of: ${constraints.enum.join(', ')}`);
+    }
+
+    return messages.map(message => `Field '${field.field_name}' ${message}.`);
+};
+
+// Validate one present value: data type first, then constraints
+const validateValue = (value, field, errors) => {
+    const { field_name, data_type } = field;
+    if (!validateDataType(value, data_type)) {
+        errors.push({ field: field_name, message: `Invalid data type for field '${field_name}'. Expected ${data_type}.` });
+        return false;
+    }
+    const messages = validateConstraints(value, field);
+    messages.forEach(message => errors.push({ field: field_name, message }));
+    return messages.length === 0;
+};
+
+// Defaults are stored as strings; nested types keep their JSON form
+const resolveDefault = (field) => {
+    const data_type = field.data_type.toUpperCase();
+    if (['OBJECT', 'ARRAY'].includes(data_type) && typeof field.default_value === 'string') {
+        try {
+            return JSON.parse(field.default_value);
+        } catch (err) {
+            return field.default_value;
+        }
+    }
+    return field.default_value;
+};
+
+// Build the stored JSON for a full record, enforcing required fields and applying defaults.
+// Every violation is collected in errors rather than stopping at the first one.
+const buildRecord = (data, fields) => {
+    const jsonData = {};
+    const errors = [];
+
+    for (const field of fields) {
+        const { field_name, is_required, default_value } = field;
+        let value = data[field_name];
+
+        if (is_required && isEmpty(value)) {
+            errors.push({ field: field_name, message: `Field '${field_name}' is required.` });
+            continue;
+        }
+
+        if (!isEmpty(value)) {
+            if (validateValue(value, field, errors)) {
+                jsonData[field_name] = value;
+            }
+        } else if (default_value !== null && default_value !== undefined) {
+            jsonData[field_name] = resolveDefault(field);
+        }
+    }
+
+    return { jsonData, errors };
+};
+
+// Merge a partial update into an existing record, validating only the fields that were sent
+const applyPartial = (existingData, data, fields) => {
+    const jsonData = { ...existingData };
+    const errors = [];
+
+    for (const field of fields) {
+        const { field_name, is_required } = field;
+        if (data[field_name] === undefined) continue;
+
+        const value = data[field_name];
+        if (isEmpty(value)) {
+            if (is_required) {
+                errors.push({ field: field_name, message: `Field '${field_name}' is required.` });
+            } else {
+                jsonData[field_name] = value;
+            }
+            continue;
+        }
+
+        if (validateValue(value, field, errors)) {
+            jsonData[field_name] = value;
+        }
+    }
+
+    return { jsonData, errors };
+};
+
+const uniqueError = (field_name) => ({ field: field_name, message: `Field '${field_name}' must be unique; the value is already in use.` });
+
+// Check that unique fields don't clash with other records of the endpoint
+const validateUnique = async (db, endpoint_id, fields, record, excludeId) => {
+    const uniqueFields = fields.filter(field => parseConstraints(field).unique && !isEmpty(record[field.field_name]));
+    if (uniqueFields.length === 0) return [];
+
+    const [rows] = await db.execute(
+        'SELECT data_id, data FROM data_storage WHERE endpoint_id = ?',
+        [endpoint_id]
+    );
+
+    const errors = [];
+    for (const field of uniqueFields) {
+        const value = JSON.stringify(record[field.field_name]);
+        const clash = rows.some(row => String(row.data_id) !== String(excludeId)
+            && JSON.stringify(JSON.parse(row.data)[field.field_name]) === value);
+        if (clash) {
+            errors.push(uniqueError(field.field_name));
+        }
+    }
+    return errors;
+};
+
+// Run the checks that need the database (references and uniqueness) on fields that passed validation so far
+const validateStored = async (db, endpoint_id, fields, record, errors, excludeId) => {
+    const failed = new Set(errors.map(error => error.field));
+    const remaining = fields.filter(field => !failed.has(field.field_name));
+
+    return [
+        ...errors,
+        ...(await validateReferences(db, remaining, record)),
+        ...(await validateUnique(db, endpoint_id, remaining, record, excludeId))
+    ];
+};
+
+// Build a validator for many new records at once, e.g. an import. Referenced ids and the values
+// already used by unique fields are loaded once up front instead of per record, and each valid
+// record claims its unique values so later records in the batch can't reuse them.
+// The returned function takes (record, errors) like validateStored and returns every error.
+const createBatchValidator = async (db, endpoint_id, fields) => {
+    const referenceIds = new Map();
+    for (const field of referenceFields(fields)) {
+        const [rows] = await db.execute(
+            'SELECT data_id FROM data_storage WHERE endpoint_id = ?',
+            [field.ref_endpoint_id]
+        );
+        referenceIds.set(field.field_name, new Set(rows.map(row => String(row.data_id))));
+    }
+
+    const usedValues = new Map(fields.filter(field => parseConstraints(field).unique).map(field => [field.field_name, new Set()]));
+    if (usedValues.size > 0) {
+        const [rows] = await db.execute(
+            'SELECT data FROM data_storage WHERE endpoint_id = ?',
+            [endpoint_id]
+        );
+        for (const row of rows) {
+            const data = JSON.parse(row.data);
+            for (const [field_name, used] of usedValues) {
+                if (!isEmpty(data[field_name])) used.add(JSON.stringify(data[field_name]));
+            }
+        }
+    }
+
+    return (record, errors) => {
+        const failed = new Set(errors.map(error => error.field));
+        const allErrors = [...errors];
+
+        for (const [field_name, ids] of referenceIds) {
+            const value = record[field_name];
+            if (!failed.has(field_name) && !isEmpty(value) && !ids.has(String(value))) {
+                allErrors.push(referenceError(field_name, value));
+            }
+        }
+        for (const [field_name, used] of usedValues) {
+            if (!failed.has(field_name) && !isEmpty(record[field_name]) && used.has(JSON.stringify(record[field_name]))) {
+                allErrors.push(uniqueError(field_name));
+            }
+        }
+
+        if (allErrors.length === 0) {
+            for (const [field_name, used] of usedValues) {
+                if (!isEmpty(record[field_name])) used.add(JSON.stringify(record[field_name]));
+            }
+        }
+        return allErrors;
+    };
+};
+
+// Check that unique fields don't repeat within a batch of records.
+// Returns one error list per record, in the same order as the records.
+const validateBatchUnique = (records, fields) => {
+    const errors = records.map(() => []);
+    for (const field of fields.filter(candidate => parseConstraints(candidate).unique)) {
+        const seen = new Set();
+        records.forEach((record, index) => {
+            if (isEmpty(record[field.field_name])) return;
+            const value = JSON.stringify(record[field.field_name]);
+            if (seen.has(value)) {
+                errors[index].push({ field: field.field_name, message: `Field '${field.field_name}' must be unique; the value is repeated within the batch.` });
+            }
+            seen.add(value);
+        });
+    }
+    return errors;
+};
+
+// Check the constraints sent with a field definition. Returns an error message or null.
+const validateFieldConstraints = (constraints, data_type) => {
+    if (constraints === undefined || constraints === null) return null;
+    if (typeof constraints !== 'object' || Array.isArray(constraints)) {
+        return 'Constraints must be an object.';
+    }
+
+    const unknown = Object.keys(constraints).filter(key => !CONSTRAINT_KEYS.includes(key));
+    if (unknown.length > 0) {
+        return `Unknown constraint(s): ${unknown.join(', ')}. Use ${CONSTRAINT_KEYS.join(', ')}.`;
+    }
+
+    const type = data_type.toUpperCase();
+    for (const key of ['min', 'max']) {
+        if (constraints[key] !== undefined) {
+            if (!['INT', 'FLOAT'].includes(type)) return `Constraint '${key}' only applies to INT and FLOAT fields.`;
+            if (typeof constraints[key] !== 'number') return `Constraint '${key}' must be a number.`;
+        }
+    }
+    for (const key of ['min_length', 'max_length']) {
+        if (constraints[key] !== undefined) {
+            if (!['VARCHAR', 'TEXT', 'ARRAY'].includes(type)) return `Constraint '${key}' only applies to VARCHAR, TEXT and ARRAY fields.`;
+            if (!Number.isInteger(constraints[key]) || constraints[key] < 0) return `Constraint '${key}' must be a non-negative integer.`;
+        }
+    }
+    if (constraints.min !== undefined && constraints.max !== undefined && constraints.min > constraints.max) {
+        return 'Constraint min must not be greater than max.';
+    }
+    if (constraints.min_length !== undefined && constraints.max_length !== undefined && constraints.min_length > constraints.max_length) {
+        return 'Constraint min_length must not be greater than max_length.';
+    }
+    if (constraints.pattern !== undefined || constraints.format !== undefined) {
+        if (!['VARCHAR', 'TEXT'].includes(type)) return 'Constraints pattern and format only apply to VARCHAR and TEXT fields.';
+    }
+    if (constraints.pattern !== undefined) {
+        if (typeof constraints.pattern !== 'string' || constraints.pattern.length > MAX_PATTERN_LENGTH) {
+            return `Constraint pattern must be a string of at most ${MAX_PATTERN_LENGTH} characters.`;
+        }
+        try {
+            RE2JS.compile(constraints.pattern);
+        } catch (err) {
+            return `Constraint pattern is not a supported regular expression (RE2 syntax, without lookaround or backreferences): ${err.message}`;
+        }
+    }
+    if (constraints.format !== undefined && !FORMATS.includes(constraints.format)) {
+        return `Constraint format must be one of: ${FORMATS.join(', ')}.`;
+    }
+    if (constraints.enum !== undefined && (!Array.isArray(constraints.enum) || constraints.enum.length === 0)) {
+        return 'Constraint enum must be a non-empty array.';
+    }
+    if (constraints.unique !== undefined && typeof constraints.unique !== 'boolean') {
+        return 'Constraint unique must be a boolean.';
+    }
+    return null;
+};
+
+module.exports = {
+    DATA_TYPES,
+    validateDataType,
+    parseConstraints,
+    validateValue,
+    resolveDefault,
+    buildRecord,
+    applyPartial,
+    validateStored,
+    validateBatchUnique,
+    createBatchValidator,
+    validateFieldConstraints,
+    isValidEmail,
+    validatePassword
+};
@@ -0,0 +1,197 @@
+// utils/webhooks.js
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const pool = require('../db');
+const { parseList } = require('./apiKeys');
+const { parseTemplates, shapeRecord } = require('./responseTemplates');
+
+const WEBHOOK_EVENTS = ['create', 'update', 'delete'];
+
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+// Retries wait RETRY_BASE_MS, then 4x longer each time (1s, 4s, 16s, 64s by default)
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000;
+const TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const CONCURRENCY = Number(process.env.WEBHOOK_CONCURRENCY) || 4;
+// Receivers on loopback or private networks are refused unless this is set, e.g. for local testing
+const ALLOW_PRIVATE_HOSTS = process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+// Record history actions map onto the three webhook events
+const ACTION_EVENTS = { create: 'create', undelete: 'create', update: 'update', restore: 'update', migrate: 'update', delete: 'delete' };
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Receivers check X-Webhook-Signature against an HMAC-SHA256 of "<timestamp>.<body>" keyed with
+// the webhook secret; the timestamp comes from X-Webhook-Timestamp and guards against replays
+const signPayload = (secret, timestamp, body) => `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Loopback, private, link-local (cloud metadata lives at 169.254.169.254), shared, multicast and
+// reserved ranges; IPv4-mapped IPv6 addresses are checked as the IPv4 address they carry
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [prefix, bits] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv4');
+}
+for (const [prefix, bits] of [['::', 127], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    PRIVATE_ADDRESSES.addSubnet(prefix, bits, 'ipv6');
+}
+
+const isPrivateAddress = (address, family) => {
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return PRIVATE_ADDRESSES.check(mapped[1], 'ipv4');
+    return PRIVATE_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Resolves to an error message, or null when the URL may receive deliveries. Only http(s) URLs
+// are accepted, and every address the host resolves to must be public (see ALLOW_PRIVATE_HOSTS).
+// Deliveries check again before each attempt, since DNS answers can change after the webhook is saved.
+const validateWebhookUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (err) {
+        return 'Webhook URL is not a valid URL.';
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) {
+        return 'Webhook URL must use http or https.';
+    }
+    if (ALLOW_PRIVATE_HOSTS) return null;
+
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(parsed.hostname.replace(/^\[|\]$/g, ''), { all: true, verbatim: true });
+    } catch (err) {
+        return `Webhook URL host ${parsed.hostname} could not be resolved.`;
+    }
+    if (addresses.some(({ address, family }) => isPrivateAddress(address, family))) {
+        return 'Webhook URL must not point to a loopback, private or link-local address.';
+    }
+    return null;
+};
+
+// Deliveries share a small in-process queue so a bulk change can't open hundreds of connections.
+// Pending retries live in memory and are lost on restart; the delivery log shows where they stopped.
+const queue = [];
+let active = 0;
+
+const pump = () => {
+    while (active < CONCURRENCY && queue.length > 0) {
+        const job = queue.shift();
+        active++;
+        job().catch(err => console.error('Webhook delivery error:', err)).finally(() => {
+            active--;
+            pump();
+        });
+    }
+};
+
+const schedule = (job, delay = 0) => {
+    setTimeout(() => {
+        queue.push(job);
+        pump();
+    }, delay).unref();
+};
+
+// Send one attempt of a delivery and log the outcome; failures are retried with backoff
+const attemptDelivery = async (delivery, attempt) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    let status_code = null;
+    // Redirects are not followed, so a public receiver can't bounce a delivery to a private address
+    let error = await validateWebhookUrl(delivery.url);
+    if (!error) {
+        try {
+            const response = await fetch(delivery.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'mock-api-webhooks',
+                    'X-Webhook-Id': String(delivery.webhook_id),
+                    'X-Webhook-Delivery': String(delivery.delivery_id),
+                    'X-Webhook-Event': delivery.event,
+                    'X-Webhook-Timestamp': String(timestamp),
+                    'X-Webhook-Signature': signPayload(delivery.secret, timestamp, delivery.body)
+                },
+                body: delivery.body,
+                redirect: 'manual',
+                signal: AbortSignal.timeout(TIMEOUT_MS)
+            });
+            status_code = response.status;
+            if (!response.ok) {
+                error = `Receiver responded with ${response.status}.`;
+            }
+        } catch (err) {
+            error = err.name === 'TimeoutError' ? `No response within ${TIMEOUT_MS} ms.` : err.message;
+        }
+    }
+
+    const retry = error && attempt < MAX_ATTEMPTS;
+    await pool.execute(
+        `UPDATE webhook_deliveries SET attempts = ?, status = ?, status_code = ?, error = ?, last_attempt_at = NOW(),
+         next_attempt_at = ${retry ? 'NOW() + INTERVAL ? SECOND' : 'NULL'} WHERE delivery_id = ?`,
+        [
+            attempt, error ? (retry ? 'retrying' : 'failed') : 'succeeded', status_code, error,
+            ...(retry ? [Math.ceil((RETRY_BASE_MS * 4 ** (attempt - 1)) / 1000)] : []),
+            delivery.delivery_id
+        ]
+    );
+
+    if (retry) {
+        schedule(() => attemptDelivery(delivery, attempt + 1), RETRY_BASE_MS * 4 ** (attempt - 1));
+    }
+};
+
+// Log a delivery and queue its first attempt
+const enqueueDelivery = async (webhook, event, payload) => {
+    const body = JSON.stringify(payload);
+    const [result] = await pool.execute(
+        'INSERT INTO webhook_deliveries (webhook_id, event, payload, status, attempts) VALUES (?, ?, ?, ?, ?)',
+        [webhook.webhook_id, event, body, 'pending', 0]
+    );
+
+    const delivery = { delivery_id: result.insertId, webhook_id: webhook.webhook_id, url: webhook.url, secret: webhook.secret, event, body };
+    schedule(() => attemptDelivery(delivery, 1));
+    return result.insertId;
+};
+
+// Fire the webhooks subscribed to the record changes collected in a change context (see
+// utils/history). Call after the transaction commits; errors are logged, never thrown, so a
+// broken receiver can't fail the request that made the change. Record data is shaped by the
+// endpoint's response templates, so hidden fields stay hidden.
+const dispatchChanges = async (context) => {
+    try {
+        const changes = context.changes || [];
+        const endpointIds = [...new Set(changes.map(change => String(change.endpoint_id)))];
+        if (endpointIds.length === 0) return;
+
+        const placeholders = endpointIds.map(() => '?').join(', ');
+        const [webhooks] = await pool.execute(
+            `SELECT w.*, ae.endpoint_name, ae.response_templates FROM webhooks w
+             JOIN api_endpoints ae ON w.endpoint_id = ae.endpoint_id
+             WHERE w.endpoint_id IN (${placeholders}) AND w.active = TRUE`,
+            endpointIds
+        );
+
+        for (const change of changes) {
+            const event = ACTION_EVENTS[change.action];
+            for (const webhook of webhooks) {
+                if (String(webhook.endpoint_id) !== String(change.endpoint_id) || !parseList(webhook.events).includes(event)) continue;
+                await enqueueDelivery(webhook, event, {
+                    event,
+                    endpoint_id: webhook.endpoint_id,
+                    endpoint_name: webhook.endpoint_name,
+                    data_id: change.data_id,
+                    data: change.after ? shapeRecord(change.after, parseTemplates(webhook)) : null,
+                    previous: change.before ? shapeRecord(change.before, parseTemplates(webhook)) : null,
+                    method: context.method,
+                    occurred_at: new Date().toISOString()
+                });
+            }
+        }
+    } catch (err) {
+        console.error('Error dispatching webhooks:', err);
+    }
+};
+
+module.exports = { WEBHOOK_EVENTS, ACTION_EVENTS, generateSecret, signPayload, validateWebhookUrl, enqueueDelivery, dispatchChanges };
@@ -0,0 +1,28 @@
+// utils/workspaces.js
+const { scopeCondition } = require('./permissions');
+
+// Remove the endpoints of a scope (see utils/permissions) with their fields, data, history and
+// webhooks. Must run inside a transaction.
+const deleteScopeEndpoints = async (connection, scope) => {
+    const { clause, params } = scopeCondition(scope);
+    const endpointIds = `SELECT endpoint_id FROM api_endpoints WHERE ${clause}`;
+
+    await connection.execute(
+        `DELETE FROM webhook_deliveries WHERE webhook_id IN (SELECT webhook_id FROM webhooks WHERE endpoint_id IN (${endpointIds}))`,
+        params
+    );
+    for (const table of ['webhooks', 'data_versions', 'data_storage', 'fields']) {
+        await connection.execute(`DELETE FROM ${table} WHERE endpoint_id IN (${endpointIds})`, params);
+    }
+    await connection.execute(`DELETE FROM api_endpoints WHERE ${clause}`, params);
+};
+
+// Remove a workspace with its endpoints, fields, data, history, webhooks and members. Must run inside a transaction.
+const deleteWorkspaceData = async (connection, workspace_id) => {
+    await deleteScopeEndpoints(connection, { workspace_id });
+    for (const table of ['audit_log', 'workspace_members', 'workspaces']) {
+        await connection.execute(`DELETE FROM ${table} WHERE workspace_id = ?`, [workspace_id]);
+    }
+};
+
+module.exports = { deleteScopeEndpoints, deleteWorkspaceData };